@@ -107,15 +107,18 @@ async function runScenario(scenario, index) {
         console.log(`  Old Regime → Taxable: ${fmtInr(o.taxableIncome)} | Tax: ${fmtInr(o.totalTax)} (${o.effectiveRate}%)`);
         console.log(`  New Regime → Taxable: ${fmtInr(n.taxableIncome)} | Tax: ${fmtInr(n.totalTax)} (${n.effectiveRate}%)`);
 
-        if (body.bullets?.length > 0) {
-            console.log('\n' + bold('AI BULLETS:'));
-            body.bullets.slice(0, 3).forEach((b, i) => console.log(`  ${i + 1}. ${b}`));
+        if (body.tips?.length > 0) {
+            console.log('\n' + bold('AI TIPS:'));
+            body.tips.slice(0, 3).forEach((t, i) => {
+                const cited = t.sourceIds.length > 0 ? dim(` [${t.sourceIds.join(', ')}]`) : '';
+                console.log(`  ${i + 1}. ${t.text}${cited}`);
+            });
         }
 
         if (body.sources?.length > 0) {
             console.log('\n' + bold('SOURCES:'));
-            body.sources.slice(0, 2).forEach((s, i) => {
-                console.log(`  [${i + 1}] ${s.file} (p.${s.page}) — ${dim(s.excerpt?.slice(0, 80))}...`);
+            body.sources.slice(0, 2).forEach((s) => {
+                console.log(`  [${s.id}] ${s.file} (p.${s.page}) — ${dim(s.excerpt?.slice(0, 80))}...`);
             });
         }
 
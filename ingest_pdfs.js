@@ -3,132 +3,71 @@
 /**
  * ingest_pdfs.js — PDF ingestion script
  *
- * Reads all PDFs from ./pdfs/, chunks them at ~500 tokens (≈2000 chars)
- * with 200-char overlap, embeds each chunk via Gemini, and upserts into
- * the local Chroma "tax_docs" collection.
+ * Reads all PDFs from ./pdfs/ (or PDF_DIR) page by page, chunks them on headings,
+ * paragraphs and sentences within ~500 tokens (see src/chunker.js), embeds
+ * each chunk with the configured embedding provider (EMBEDDING_PROVIDER —
+ * Gemini by default), and upserts into the "tax_docs" collection of the configured vector store (see
+ * src/vectorStore.js — Chroma, or the embedded local backend).
+ *
+ * Re-runs are incremental (see src/ingestPlan.js): unchanged PDFs and
+ * chunks are skipped, changed chunks are re-embedded, and chunks a PDF no
+ * longer produces are deleted.
  *
  * Usage:
  *   node ingest_pdfs.js
  *   node ingest_pdfs.js --dir ./custom_pdfs
+ *   node ingest_pdfs.js --dry-run   # report what would change, write nothing
+ *   node ingest_pdfs.js --prune     # also delete chunks of PDFs no longer in the folder
  *
  * Prerequisites:
- *   - Chroma running: chroma run --path ./chroma_data
- *   - GEMINI_API_KEY set in .env
+ *   - VECTOR_STORE=local, or Chroma running: chroma run --path ./chroma_data
+ *   - GEMINI_API_KEY set in .env, unless EMBEDDING_PROVIDER=hashed
  */
 
 const fs = require('fs');
 const path = require('path');
-const pdfParse = require('pdf-parse');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { ChromaClient } = require('chromadb');
 require('dotenv').config();
+const { getCollection, deleteChunks, describeStore, COLLECTION_NAME } = require('./src/vectorStore');
+const { getEmbedder } = require('./src/embeddings');
+const { getPdfDir, loadManifest, ingestDocument } = require('./src/ingest');
+const { findOrphans } = require('./src/ingestPlan');
 
 // ─── Configuration ──────────────────────────────────────────────────────────
-const CHUNK_SIZE = 2000;    // characters (~500 tokens)
-const CHUNK_OVERLAP = 200;  // characters
-const COLLECTION_NAME = 'tax_docs';
 const PDF_DIR = process.argv.includes('--dir')
     ? process.argv[process.argv.indexOf('--dir') + 1]
-    : path.join(__dirname, 'pdfs');
-
-// ─── Chroma & Gemini clients ─────────────────────────────────────────────────
-const chromaClient = new ChromaClient({ path: process.env.CHROMA_HOST || 'http://localhost:8000' });
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const embeddingModel = genAI.getGenerativeModel({ model: 'gemini-embedding-001' });
+    : getPdfDir();
+const DRY_RUN = process.argv.includes('--dry-run');
+const PRUNE = process.argv.includes('--prune');
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
-/**
- * Splits text into overlapping chunks.
- * @param {string} text
- * @param {number} chunkSize
- * @param {number} overlap
- * @returns {Array<{text: string, index: number}>}
- */
-function splitIntoChunks(text, chunkSize = CHUNK_SIZE, overlap = CHUNK_OVERLAP) {
-    const chunks = [];
-    let start = 0;
-    let idx = 0;
-
-    while (start < text.length) {
-        const end = Math.min(start + chunkSize, text.length);
-        const chunk = text.slice(start, end).trim();
-        if (chunk.length > 50) { // skip tiny chunks
-            chunks.push({ text: chunk, index: idx++ });
-        }
-        if (end === text.length) break;
-        start += chunkSize - overlap;
-    }
-
-    return chunks;
-}
-
-/**
- * Embeds a single text string via Gemini.
- * @param {string} text
- * @returns {Promise<number[]>}
- */
-async function embed(text) {
-    const result = await embeddingModel.embedContent(text);
-    return result.embedding.values;
+/** "+2 new, ~1 changed, =14 unchanged, −1 removed" */
+function describeCounts({ add, change, keep, remove }) {
+    return `+${add} new, ~${change} changed, =${keep} unchanged, −${remove} removed`;
 }
 
 /**
- * Processes a single PDF file: parse → chunk → embed → upsert.
+ * Brings one PDF's chunks in the store up to date (see src/ingest.js),
+ * printing a dot per chunk embedded.
  * @param {string} filePath
- * @param {object} collection  Chroma collection object
+ * @param {Map} manifest  from loadManifest
+ * @returns {Promise<{ add: number, change: number, keep: number, remove: number }>}
  */
-async function processPdf(filePath, collection) {
+async function processPdf(filePath, manifest) {
     const fileName = path.basename(filePath);
-    console.log(`\n📄 Processing: ${fileName}`);
-
-    const dataBuffer = fs.readFileSync(filePath);
-    const parsed = await pdfParse(dataBuffer);
-    const fullText = parsed.text.replace(/\s+/g, ' ').trim();
-    const pageCount = parsed.numpages;
-
-    console.log(`   Pages: ${pageCount}, Characters: ${fullText.length}`);
-
-    const chunks = splitIntoChunks(fullText);
-    console.log(`   Chunks: ${chunks.length}`);
-
-    // Process in batches of 5 to avoid rate limits
-    const BATCH_SIZE = 5;
-    for (let b = 0; b < chunks.length; b += BATCH_SIZE) {
-        const batch = chunks.slice(b, b + BATCH_SIZE);
-
-        const ids = [];
-        const embeddings = [];
-        const documents = [];
-        const metadatas = [];
-
-        for (const chunk of batch) {
-            const chunkId = `${fileName}_chunk_${chunk.index}`;
-            // Estimate page number based on character position
-            const charPos = fullText.indexOf(chunk.text.slice(0, 50));
-            const estimatedPage = charPos > 0
-                ? Math.ceil((charPos / fullText.length) * pageCount)
-                : 1;
-
-            const embedding = await embed(chunk.text);
-
-            ids.push(chunkId);
-            embeddings.push(embedding);
-            documents.push(chunk.text);
-            metadatas.push({
-                file: fileName,
-                page: estimatedPage,
-                chunk_id: chunk.index,
-                total_chunks: chunks.length,
-            });
-
-            process.stdout.write('.');
-        }
+    process.stdout.write(`\n📄 ${fileName} `);
+    const result = await ingestDocument(fileName, fs.readFileSync(filePath), {
+        manifest,
+        dryRun: DRY_RUN,
+        onEmbed: () => process.stdout.write('.'),
+    });
 
-        await collection.upsert({ ids, embeddings, documents, metadatas });
+    if (result.status === 'unchanged') {
+        console.log('unchanged');
+    } else {
+        console.log(`\n   Pages: ${result.pages}, Chunks: ${result.chunks} (${describeCounts(result.changes)})`);
     }
-
-    console.log(`\n   ✅ ${fileName} ingested successfully`);
+    return result.changes;
 }
 
 // ─── Main ────────────────────────────────────────────────────────────────────
@@ -137,7 +76,10 @@ async function main() {
     console.log('🚀 Tax PDF Ingestion Script');
     console.log('============================');
     console.log(`📁 PDF directory: ${PDF_DIR}`);
-    console.log(`🌐 Chroma host:   ${process.env.CHROMA_HOST || 'http://localhost:8000'}`);
+    console.log(`🌐 Vector store:  ${describeStore()}`);
+    const embedder = getEmbedder();
+    console.log(`🧮 Embeddings:    ${embedder.provider} (${embedder.dimension} dims)`);
+    if (DRY_RUN) console.log('🔍 Dry run: nothing will be embedded, written or deleted');
 
     if (!fs.existsSync(PDF_DIR)) {
         console.error(`\n❌ PDF directory not found: ${PDF_DIR}`);
@@ -149,33 +91,46 @@ async function main() {
         .filter(f => f.toLowerCase().endsWith('.pdf'))
         .map(f => path.join(PDF_DIR, f));
 
-    if (pdfFiles.length === 0) {
+    if (pdfFiles.length === 0 && !PRUNE) {
         console.error('\n❌ No PDF files found in', PDF_DIR);
         process.exit(1);
     }
 
     console.log(`\n📚 Found ${pdfFiles.length} PDF(s):`, pdfFiles.map(f => path.basename(f)).join(', '));
 
-    // Get or create Chroma collection
-    const collection = await chromaClient.getOrCreateCollection({
-        name: COLLECTION_NAME,
-        metadata: { 'hnsw:space': 'cosine' },
-    });
-    console.log(`\n🗂️  Chroma collection: "${COLLECTION_NAME}"`);
+    const collection = await getCollection();
+    const manifest = await loadManifest();
+    console.log(`\n🗂️  Collection: "${COLLECTION_NAME}" (${manifest.size} file(s) ingested before)`);
 
     const startTime = Date.now();
+    const totals = { add: 0, change: 0, keep: 0, remove: 0 };
 
     for (const pdfFile of pdfFiles) {
-        await processPdf(pdfFile, collection);
+        const counts = await processPdf(pdfFile, manifest);
+        for (const key of Object.keys(totals)) totals[key] += counts[key];
+    }
+
+    // Chunks of PDFs no longer in the folder
+    const orphans = findOrphans(manifest, pdfFiles.map((f) => path.basename(f)));
+    const orphanIds = orphans.flatMap((o) => o.ids);
+    if (orphans.length > 0) {
+        console.log(`\n🧹 ${orphanIds.length} chunk(s) from ${orphans.length} PDF(s) no longer in the folder: ${orphans.map((o) => o.file).join(', ')}`);
+        if (PRUNE) {
+            if (!DRY_RUN) await deleteChunks(orphanIds);
+            totals.remove += orphanIds.length;
+        } else {
+            console.log('   Kept. Re-run with --prune to delete them.');
+        }
     }
 
     const durationSec = ((Date.now() - startTime) / 1000).toFixed(1);
     const count = await collection.count();
 
     console.log('\n============================');
-    console.log(`✅ Ingestion complete in ${durationSec}s`);
+    console.log(`${DRY_RUN ? '🔍 Dry run complete' : '✅ Ingestion complete'} in ${durationSec}s`);
+    console.log(`   ${DRY_RUN ? 'Would change' : 'Changes'}: ${describeCounts(totals)}`);
     console.log(`   Total chunks in collection: ${count}`);
-    console.log('\nYou can now start the server: npm run dev');
+    if (!DRY_RUN) console.log('\nYou can now start the server: npm run dev');
 }
 
 main().catch((err) => {
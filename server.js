@@ -8,6 +8,16 @@ const multer = require('multer');
 const fs = require('fs');
 
 const explainRouter = require('./src/routes/explain');
+const breakevenRouter = require('./src/routes/breakeven');
+const optimizeRouter = require('./src/routes/optimize');
+const curveRouter = require('./src/routes/curve');
+const tdsPlanRouter = require('./src/routes/tdsPlan');
+const extractRouter = require('./src/routes/extract');
+const documentsRouter = require('./src/routes/documents');
+const sessionsRouter = require('./src/routes/sessions');
+const { describeStore } = require('./src/vectorStore');
+const { describeLlm } = require('./src/llm');
+const { describeSessionStore } = require('./src/sessionStore');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -42,12 +52,19 @@ const upload = multer({
 
 // ─── Routes ──────────────────────────────────────────────────────────────────
 app.use('/api/explain', explainRouter);
+app.use('/api/breakeven', breakevenRouter);
+app.use('/api/optimize', optimizeRouter);
+app.use('/api/curve', curveRouter);
+app.use('/api/tds-plan', tdsPlanRouter);
+app.use('/api/extract', extractRouter);
+app.use('/api/documents', documentsRouter);
+app.use('/api/sessions', sessionsRouter);
 
 // File upload endpoint (optional; for user-supplied PDFs)
 app.post('/api/upload', upload.single('document'), (req, res) => {
     if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
     res.json({
-        message: 'File uploaded successfully. Run "npm run ingest" to index it.',
+        message: 'File uploaded successfully. Use POST /api/documents to upload and index a PDF in one step.',
         filename: req.file.filename,
         size: req.file.size,
     });
@@ -60,7 +77,9 @@ app.get('/api/health', (req, res) => {
         timestamp: new Date().toISOString(),
         env: {
             gemini: !!process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your_gemini_api_key_here',
-            chroma: process.env.CHROMA_HOST || 'http://localhost:8000',
+            llm: describeLlm(),
+            vectorStore: describeStore(),
+            sessions: describeSessionStore(),
             n8n: !!process.env.N8N_WEBHOOK_URL,
         },
     });
@@ -81,7 +100,9 @@ app.use((err, req, res, _next) => {
 app.listen(PORT, () => {
     console.log(`\n🚀 Tax Regime Explainer running at http://localhost:${PORT}`);
     console.log(`   Gemini API: ${process.env.GEMINI_API_KEY ? '✅ configured' : '❌ missing (set GEMINI_API_KEY)'}`);
-    console.log(`   Chroma:     ${process.env.CHROMA_HOST || 'http://localhost:8000'}`);
+    console.log(`   LLM:        ${describeLlm()}`);
+    console.log(`   Vectors:    ${describeStore()}`);
+    console.log(`   Sessions:   ${describeSessionStore()}`);
     console.log(`   n8n:        ${process.env.N8N_WEBHOOK_URL || 'not configured'}\n`);
 });
 
@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * breakEven.js — "How much more must I invest before the Old Regime wins?"
+ *
+ * Extra deductions only help under the Old Regime, so New Regime tax stays
+ * fixed while Old Regime tax falls as the extra amount grows. Old Regime
+ * tax is a step-wise curve (slab edges, the 87A cliff at ₹5L, surcharge
+ * bands), so an exact equal-tax point may not exist: we look for the
+ * smallest extra deduction at which Old Regime tax is no higher than New.
+ *
+ * The search scans the range in coarse steps to find the first crossing,
+ * then bisects inside that step. Scanning first (rather than bisecting the
+ * whole range) keeps the answer correct even where the gap between the two
+ * regimes is not monotonic.
+ */
+
+const { computeOldRegime, computeNewRegime } = require('./taxCalc');
+
+// ─── Constants ─────────────────────────────────────────────────────────────
+
+const MAX_SCAN_STEPS = 500;
+const MIN_SCAN_STEP = 1_000;
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Finds the extra deduction (on top of `deductions`) at which the Old
+ * Regime stops costing more than the New Regime.
+ *
+ * @param {number|object} income  (same shape as computeOldRegime)
+ * @param {object} [deductions]   current claims (same shape as computeOldRegime)
+ * @param {object} [options]      (same shape as computeOldRegime)
+ *
+ * @returns {{ status: 'old-already-better'|'reachable'|'unreachable',
+ *             breakEvenDeduction: number|null, exact: boolean,
+ *             currentOldTax: number, newTax: number, oldTaxAtBreakEven: number|null }}
+ */
+function findBreakEvenDeduction(income, deductions = {}, options = {}) {
+  const newTax = computeNewRegime(income, deductions, options).totalTax;
+  const current = computeOldRegime(income, deductions, options);
+
+  // Extra deductions are modelled as uncapped "other" deductions
+  const oldTaxWith = (extra) => computeOldRegime(
+    income,
+    { ...deductions, other: (deductions.other || 0) + extra },
+    options
+  ).totalTax;
+
+  const result = (status, breakEvenDeduction, oldTaxAtBreakEven) => ({
+    status,
+    breakEvenDeduction,
+    exact: oldTaxAtBreakEven === newTax,
+    currentOldTax: current.totalTax,
+    newTax,
+    oldTaxAtBreakEven,
+  });
+
+  if (current.totalTax <= newTax) {
+    return result('old-already-better', 0, current.totalTax);
+  }
+
+  // Beyond wiping out all slab income, more deductions change nothing
+  const maxExtra = current.slabIncome;
+  const step = Math.max(MIN_SCAN_STEP, Math.ceil(maxExtra / MAX_SCAN_STEPS));
+
+  let lo = 0;
+  let hi = null;
+  for (let x = step; x < maxExtra + step; x += step) {
+    const extra = Math.min(x, maxExtra);
+    if (oldTaxWith(extra) <= newTax) {
+      hi = extra;
+      break;
+    }
+    lo = extra;
+  }
+
+  if (hi === null) return result('unreachable', null, null);
+
+  // Invariant: oldTaxWith(lo) > newTax >= oldTaxWith(hi)
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (oldTaxWith(mid) <= newTax) hi = mid;
+    else lo = mid;
+  }
+
+  return result('reachable', hi, oldTaxWith(hi));
+}
+
+module.exports = { findBreakEvenDeduction };
@@ -0,0 +1,337 @@
+'use strict';
+
+/**
+ * chunker.js — Page-aware, structure-aware chunking for ingestion
+ *
+ * Reads a PDF page by page (keeping each line's font size and the gap
+ * above it), finds headings, and packs paragraphs into chunks of at most
+ * CHUNK_TOKENS. A paragraph that does not fit is split at sentence ends,
+ * and only a sentence longer than the whole budget is split mid-sentence
+ * (at a word boundary). Chunks never span two sections. Each chunk knows
+ * the pages it came from and its heading path, e.g.
+ * ["Old Tax Regime — Slabs and Deductions", "Section 80D (Medical Insurance)"],
+ * so a citation can read "Section 80D (Medical Insurance), p.3".
+ *
+ * A line is a heading when it is set in a larger font than the body text,
+ * or when it looks like one: "Chapter VI-A", "Section 80D …", "3.1 Scope",
+ * or a short Title Case line ending in a colon. Tokens are estimated at
+ * four characters each.
+ */
+
+const pdfParse = require('pdf-parse');
+
+// ─── Constants ─────────────────────────────────────────────────────────────
+
+const CHUNK_TOKENS = 500;
+const OVERLAP_TOKENS = 100;    // a split section repeats its last sentence if no longer than this
+const CHARS_PER_TOKEN = 4;
+const MAX_HEADING_CHARS = 100;
+const HEADING_SIZE_RATIO = 1.15; // font size vs. body text that marks a heading
+const PARAGRAPH_GAP = 1.3;       // vertical gap, vs. the usual line spacing, that starts a paragraph
+
+// Pattern headings sit below font-size headings (levels 1–2) unless they
+// name a chapter or part
+const PATTERN_HEADINGS = [
+    { pattern: /^(chapter|part)\s+[\divxlc]+\b/i, level: 1 },
+    { pattern: /^(section|sec\.)\s*\d+[a-z]*\b/i, level: 3 },
+    { pattern: /^\d+(\.\d+)*\.?\s+[A-Z]/, level: 3 },
+];
+
+// Words after which a full stop does not end a sentence
+const ABBREVIATIONS = new Set(['rs', 'no', 'sec', 'sr', 'viz', 'etc', 'vs', 'i.e', 'e.g', 'u/s', 'mr', 'ms', 'dr', 'st']);
+
+const BULLET = /^([-•*▪●◦]|\(?[a-z0-9]{1,3}\)|\d+\.)\s/i;
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const tokens = (text) => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+/** Median vertical gap between consecutive lines — the usual line spacing. */
+function lineSpacing(pages) {
+    const gaps = pages.flat().map((l) => l.gapBefore).filter((g) => g > 0).sort((a, b) => a - b);
+    return gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : null;
+}
+
+/** Most common font size, weighted by characters — the body text size. */
+function bodyFontSize(pages) {
+    const chars = new Map();
+    for (const lines of pages) {
+        for (const { text, fontSize } of lines) {
+            if (fontSize) chars.set(fontSize, (chars.get(fontSize) || 0) + text.length);
+        }
+    }
+    let best = null;
+    for (const [size, count] of chars) if (best === null || count > chars.get(best)) best = size;
+    return best;
+}
+
+const isTitleCase = (text) => {
+    const words = text.match(/[A-Za-z][A-Za-z'’-]{3,}/g) || [];
+    return words.length > 0 && words.filter((w) => /^[A-Z]/.test(w)).length / words.length > 0.5;
+};
+
+/**
+ * Heading level of a line (1 = outermost), or 0 for body text.
+ * @param {{ text: string, fontSize?: number }} line
+ * @param {number|null} bodySize
+ * @param {number[]} headingSizes  font sizes above body size, largest first
+ */
+function headingLevel({ text, fontSize }, bodySize, headingSizes) {
+    if (text.length > MAX_HEADING_CHARS || /[.;,]$/.test(text) || BULLET.test(text)) return 0;
+    if (bodySize && fontSize >= bodySize * HEADING_SIZE_RATIO) {
+        return Math.min(headingSizes.indexOf(fontSize) + 1, 2);
+    }
+    for (const { pattern, level } of PATTERN_HEADINGS) {
+        if (pattern.test(text)) return level;
+    }
+    if (/:$/.test(text) && text.length <= 60 && isTitleCase(text)) return 3;
+    return 0;
+}
+
+/**
+ * Splits text into sentences, keeping abbreviations like "Rs." and "u/s."
+ * inside their sentence.
+ * @returns {Array<{ text: string, start: number }>} with offsets into `text`
+ */
+function splitSentences(text) {
+    const sentences = [];
+    let start = 0;
+    const boundary = /[.!?]["'”)]?\s+(?=["'“(]?[A-Z0-9₹•])/g;
+    let m;
+    while ((m = boundary.exec(text)) !== null) {
+        const before = text.slice(start, m.index + 1);
+        const lastWord = (before.match(/(\S+)\.$/) || [])[1];
+        if (lastWord && ABBREVIATIONS.has(lastWord.toLowerCase())) continue;
+        const end = m.index + m[0].length;
+        sentences.push({ text: text.slice(start, end).trim(), start });
+        start = end;
+    }
+    if (start < text.length) sentences.push({ text: text.slice(start).trim(), start });
+    return sentences.filter((s) => s.text);
+}
+
+/** Splits an over-long sentence at word boundaries into pieces within `budget` tokens. */
+function splitWords(text, budget) {
+    const pieces = [];
+    let current = '';
+    for (const word of text.split(/\s+/)) {
+        const next = current ? `${current} ${word}` : word;
+        if (current && tokens(next) > budget) {
+            pieces.push(current);
+            current = word;
+        } else {
+            current = next;
+        }
+    }
+    if (current) pieces.push(current);
+    return pieces;
+}
+
+/**
+ * Walks the lines of every page into sections: each has a heading path
+ * and paragraphs, and each paragraph records the page at which every
+ * piece of its text starts.
+ */
+function toSections(pages) {
+    const bodySize = bodyFontSize(pages);
+    const spacing = lineSpacing(pages);
+    const headingSizes = [...new Set(pages.flat().map((l) => l.fontSize).filter(Boolean))]
+        .filter((s) => bodySize && s >= bodySize * HEADING_SIZE_RATIO)
+        .sort((a, b) => b - a);
+
+    const sections = [];
+    const stack = []; // [{ level, text }]
+    let section = null;
+    let paragraph = null;
+
+    const startSection = () => {
+        section = { headings: stack.map((h) => h.text), paragraphs: [] };
+        sections.push(section);
+        paragraph = null;
+    };
+    startSection();
+
+    pages.forEach((lines, p) => {
+        const page = p + 1;
+        for (const line of lines) {
+            const text = line.text.replace(/\s+/g, ' ').trim();
+            if (!text) {
+                paragraph = null;
+                continue;
+            }
+
+            const level = headingLevel({ ...line, text }, bodySize, headingSizes);
+            if (level > 0 && section.paragraphs.length === 0 && stack.at(-1)?.level === level) {
+                // A heading wrapped onto a second line
+                stack.at(-1).text = `${stack.at(-1).text} ${text.replace(/:$/, '')}`;
+                section.headings = stack.map((h) => h.text);
+                continue;
+            }
+            if (level > 0) {
+                while (stack.length && stack.at(-1).level >= level) stack.pop();
+                stack.push({ level, text: text.replace(/:$/, '') });
+                startSection();
+                continue;
+            }
+
+            const breaks = !paragraph ||
+                BULLET.test(text) ||
+                /:$/.test(paragraph.text) ||
+                (spacing !== null && line.gapBefore > spacing * PARAGRAPH_GAP);
+            if (breaks) {
+                paragraph = { text: '', pages: [] };
+                section.paragraphs.push(paragraph);
+            }
+
+            // Re-join words hyphenated across a line break
+            if (/[a-z]-$/.test(paragraph.text) && /^[a-z]/.test(text)) {
+                paragraph.text = paragraph.text.slice(0, -1);
+            } else if (paragraph.text) {
+                paragraph.text += ' ';
+            }
+            if (paragraph.pages.at(-1)?.page !== page) {
+                paragraph.pages.push({ offset: paragraph.text.length, page });
+            }
+            paragraph.text += text;
+        }
+    });
+
+    return sections.filter((s) => s.paragraphs.length > 0);
+}
+
+/** Page range of text[start, end) within a paragraph. */
+function pageRange(paragraph, start, end) {
+    const at = (offset) => paragraph.pages.filter((m) => m.offset <= offset).at(-1).page;
+    return { pageStart: at(start), pageEnd: at(Math.max(start, end - 1)) };
+}
+
+/**
+ * Breaks a paragraph into units that each fit the budget (the whole
+ * paragraph when it does).
+ */
+function paragraphUnits(paragraph, budget) {
+    const { text } = paragraph;
+    if (tokens(text) <= budget) {
+        return [{ text, newParagraph: true, sentence: false, ...pageRange(paragraph, 0, text.length) }];
+    }
+    const units = [];
+    for (const sentence of splitSentences(text)) {
+        let offset = sentence.start;
+        for (const piece of splitWords(sentence.text, budget)) {
+            const start = text.indexOf(piece, offset);
+            units.push({
+                text: piece,
+                newParagraph: units.length === 0,
+                sentence: true,
+                ...pageRange(paragraph, start, start + piece.length),
+            });
+            offset = start + piece.length;
+        }
+    }
+    return units;
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Chunks a document given as pages of lines.
+ *
+ * @param {Array<Array<{ text: string, fontSize?: number, gapBefore?: number }>>} pages
+ *   lines of each page in reading order; `gapBefore` is the vertical space
+ *   above the line, used (with `fontSize`) to spot paragraph breaks
+ * @param {object} [opts]
+ *   @param {number} [opts.maxTokens=CHUNK_TOKENS]
+ *
+ * @returns {Array<{ text: string, headings: string[], pageStart: number, pageEnd: number }>}
+ *   `text` begins with the heading path ("A > B") when there is one
+ */
+function chunkPages(pages, { maxTokens = CHUNK_TOKENS } = {}) {
+    const chunks = [];
+
+    for (const { headings, paragraphs } of toSections(pages)) {
+        const title = headings.join(' > ');
+        const budget = Math.max(1, maxTokens - (title ? tokens(title) + 1 : 0));
+        let units = [];
+
+        const flush = () => {
+            if (units.length === 0) return;
+            const body = units
+                .map((u, i) => (i === 0 ? '' : u.newParagraph ? '\n' : ' ') + u.text)
+                .join('');
+            chunks.push({
+                text: title ? `${title}\n${body}` : body,
+                headings,
+                pageStart: Math.min(...units.map((u) => u.pageStart)),
+                pageEnd: Math.max(...units.map((u) => u.pageEnd)),
+            });
+        };
+        const size = (list) => tokens(list.map((u) => u.text).join(' '));
+
+        for (const paragraph of paragraphs) {
+            for (const unit of paragraphUnits(paragraph, budget)) {
+                if (units.length > 0 && size([...units, unit]) > budget) {
+                    flush();
+                    const last = units.at(-1);
+                    const carry = last.sentence && tokens(last.text) <= OVERLAP_TOKENS &&
+                        size([last, unit]) <= budget;
+                    units = carry ? [{ ...last, newParagraph: true }] : [];
+                }
+                units.push(unit);
+            }
+        }
+        flush();
+    }
+
+    return chunks;
+}
+
+/**
+ * Reads a PDF's text page by page, line by line.
+ *
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<Array<{ text: string, fontSize: number, gapBefore: number }>>>}
+ */
+async function readPdfPages(buffer) {
+    const pages = [];
+
+    // pdf-parse renders pages in order through this hook
+    const pagerender = async (pageData) => {
+        const content = await pageData.getTextContent({ normalizeWhitespace: true });
+        const lines = [];
+        let lastY = null;
+        for (const item of content.items) {
+            const [a, b, , , , y] = item.transform;
+            const fontSize = Math.round(Math.hypot(a, b) * 10) / 10;
+            if (lastY !== null && Math.abs(y - lastY) < 1) {
+                const line = lines.at(-1);
+                line.text += item.str;
+                line.fontSize = Math.max(line.fontSize, fontSize);
+            } else {
+                lines.push({ text: item.str, fontSize, gapBefore: lastY === null ? 0 : lastY - y });
+                lastY = y;
+            }
+        }
+        pages[pageData.pageIndex] = lines;
+        return '';
+    };
+
+    // pdf.js ignores a Buffer's byteOffset; copy (see form16.js)
+    await pdfParse(new Uint8Array(buffer), { pagerender });
+    return Array.from(pages, (lines) => lines || []);
+}
+
+/**
+ * Short citation for a chunk's metadata, e.g. "Section 80D (Medical Insurance), pp.3–4",
+ * or just "p.3" for chunks ingested without headings.
+ * @param {{ page?: number, page_end?: number, heading?: string }} metadata
+ * @returns {string|null}
+ */
+function formatCitation(metadata = {}) {
+    const { heading, page, page_end: pageEnd } = metadata;
+    const parts = [];
+    if (heading) parts.push(heading);
+    if (page) parts.push(pageEnd && pageEnd !== page ? `pp.${page}–${pageEnd}` : `p.${page}`);
+    return parts.length > 0 ? parts.join(', ') : null;
+}
+
+module.exports = { chunkPages, readPdfPages, formatCitation, splitSentences, CHUNK_TOKENS };
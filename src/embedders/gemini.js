@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * gemini.js — Gemini embedding provider
+ *
+ * Calls gemini-embedding-001 (3072-dimensional vectors). Needs network
+ * access and GEMINI_API_KEY.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const MODEL = 'gemini-embedding-001';
+const DIMENSION = 3072;
+// Cosine distance beyond which a chunk is treated as unrelated (see rerank.js)
+const MAX_RELEVANT_DISTANCE = 0.6;
+
+let _model = null;
+
+function getModel() {
+    if (!_model) {
+        const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+        _model = genAI.getGenerativeModel({ model: MODEL });
+    }
+    return _model;
+}
+
+/**
+ * @param {string} text
+ * @returns {Promise<number[]>}
+ */
+async function embed(text) {
+    const result = await getModel().embedContent(text);
+    return result.embedding.values;
+}
+
+module.exports = {
+    provider: `gemini/${MODEL}`,
+    dimension: DIMENSION,
+    maxRelevantDistance: MAX_RELEVANT_DISTANCE,
+    embed,
+};
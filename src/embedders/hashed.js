@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * hashed.js — Offline bag-of-words embedding provider
+ *
+ * Deterministic and dependency-free: each word is hashed (FNV-1a) into one
+ * of HASHED_EMBEDDING_DIM buckets with a hash-derived sign, weighted by
+ * 1 + log(term frequency), and the vector is L2-normalised. Texts sharing
+ * words end up close under cosine similarity. It knows nothing about
+ * meaning — synonyms do not match — but it needs no network, so ingest
+ * and retrieval work offline and in CI.
+ */
+
+const DEFAULT_DIMENSION = 512;
+// Word-overlap vectors are far apart even for related texts: a question
+// sharing a few words with a long chunk sits around 0.75–0.85
+const MAX_RELEVANT_DISTANCE = 0.9;
+
+// Too common to say anything about a chunk
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+    'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with',
+]);
+
+function dimension() {
+    return Number(process.env.HASHED_EMBEDDING_DIM) || DEFAULT_DIMENSION;
+}
+
+/** 32-bit FNV-1a hash of a string. */
+function fnv1a(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/** Lower-cased word tokens; keeps section numbers like "80c" and "10(13a)" as "80c", "10", "13a". */
+function tokenize(text) {
+    return (text.toLowerCase().match(/[a-z0-9]+/g) || []).filter((t) => !STOPWORDS.has(t));
+}
+
+/**
+ * @param {string} text
+ * @returns {Promise<number[]>}
+ */
+async function embed(text) {
+    const dim = dimension();
+    const counts = new Map();
+    for (const token of tokenize(text)) counts.set(token, (counts.get(token) || 0) + 1);
+
+    const vector = new Array(dim).fill(0);
+    for (const [token, count] of counts) {
+        const hash = fnv1a(token);
+        const sign = hash & 0x80000000 ? -1 : 1;
+        vector[hash % dim] += sign * (1 + Math.log(count));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map((v) => v / norm) : vector;
+}
+
+module.exports = {
+    provider: 'hashed/bow-v1',
+    get dimension() { return dimension(); },
+    maxRelevantDistance: MAX_RELEVANT_DISTANCE,
+    embed,
+    tokenize,
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * embeddings.js — Embedding provider selection
+ *
+ * Shared by the server (src/vectorStore.js) and ingest_pdfs.js so both
+ * always embed with the same model. EMBEDDING_PROVIDER picks one:
+ *  - "gemini" (default) : gemini-embedding-001 via the Gemini API
+ *  - "hashed"           : offline hashed bag-of-words (see embedders/hashed.js)
+ *
+ * Every provider exposes `provider` (a stable id such as
+ * "gemini/gemini-embedding-001"), `dimension`, `maxRelevantDistance` and
+ * `embed(text)`. The vector store records the first two in collection
+ * metadata and refuses to mix vectors from different providers; the
+ * re-ranker uses the third as its default relevance threshold, since
+ * distances are only comparable within one provider.
+ */
+
+const PROVIDERS = {
+    gemini: () => require('./embedders/gemini'),
+    hashed: () => require('./embedders/hashed'),
+};
+
+/**
+ * Resolves the provider named by EMBEDDING_PROVIDER.
+ * @returns {{ provider: string, dimension: number, maxRelevantDistance: number,
+ *            embed: (text: string) => Promise<number[]> }}
+ * @throws {Error} for an unknown provider name
+ */
+function getEmbedder() {
+    const name = (process.env.EMBEDDING_PROVIDER || 'gemini').toLowerCase();
+    if (!PROVIDERS[name]) {
+        throw new Error(
+            `Unknown EMBEDDING_PROVIDER "${name}". Supported: ${Object.keys(PROVIDERS).join(', ')}`
+        );
+    }
+    return PROVIDERS[name]();
+}
+
+/**
+ * Embeds text with the configured provider.
+ * @param {string} text
+ * @returns {Promise<number[]>}
+ */
+async function embedText(text) {
+    return getEmbedder().embed(text);
+}
+
+module.exports = { getEmbedder, embedText };
@@ -0,0 +1,285 @@
+'use strict';
+
+/**
+ * explainPipeline.js — The stages behind /api/explain and /api/sessions
+ *
+ *  - computeTaxNumbers : deterministic tax numbers (old vs new) with a trace
+ *  - retrieveChunks    : vector + keyword search, fused, then re-ranked:
+ *                        drop distant and duplicate chunks, spread across
+ *                        files, keep ≤5
+ *  - explainNumbers    : the explanation from the configured LLM provider
+ *                        (see llm.js), prompted to use ONLY the excerpts and
+ *                        validated as JSON (llmOutput.js), then checked for
+ *                        grounding (grounding.js)
+ *
+ * plus numbersResponse / toSources, which shape the stages' results for
+ * API responses. The routes decide how to deliver them: all at once, as a
+ * stream of events, or as a turn in a conversation.
+ */
+
+const { compareTaxRegimes } = require('./taxCalc');
+const { findBreakEvenDeduction } = require('./breakEven');
+const { TAXPAYER_CATEGORIES, DEDUCTION_SECTIONS, getRules } = require('./taxRules');
+const { resolveTaxInputs } = require('./schemas');
+const { queryTopK } = require('./vectorStore');
+const { rerankChunks } = require('./rerank');
+const { formatCitation } = require('./chunker');
+const { getLlm } = require('./llm');
+const { generateExplanation, RESPONSE_FORMAT } = require('./llmOutput');
+const { verifyExplanation } = require('./grounding');
+
+// ─── Constants ─────────────────────────────────────────────────────────────
+
+const RAG_CANDIDATES = 15; // chunks retrieved before re-ranking
+const RAG_CONTEXT_CHUNKS = 5; // chunks that may reach the prompt
+const MAX_HISTORY_MESSAGES = 6; // earlier conversation turns shown to the model
+const MAX_HISTORY_CHARS = 600;  // per turn
+
+// Said in the prompt and the response when retrieval finds nothing usable
+const NO_CONTEXT_NOTES = {
+    'no-relevant-chunks': 'No indexed document was relevant to this question, so the explanation relies only on the computed tax numbers.',
+    unavailable: 'The document index could not be searched, so the explanation relies only on the computed tax numbers.',
+};
+
+const inr = (n) => `₹${Math.abs(n).toLocaleString('en-IN')}`;
+
+// ─── Prompt ──────────────────────────────────────────────────────────────────
+
+/**
+ * Renders a regime's computation trace as indented prompt lines, e.g.
+ *   "₹3,00,000 – ₹7,00,000 @ 5%: ₹4,00,000 → tax ₹20,000"
+ */
+function formatTrace(trace) {
+    return trace.map((t) => {
+        if (t.step === 'slab' || t.step === 'specialRate') {
+            return `  ${t.label}: ${inr(t.amount)} → tax ${inr(t.tax)}`;
+        }
+        if (t.amount !== undefined) return `  ${t.label}: ${t.amount < 0 ? '−' : ''}${inr(t.amount)}`;
+        return `  ${t.label}: ${t.tax < 0 ? '−' : ''}${inr(t.tax)}`;
+    }).join('\n');
+}
+
+/** The latest turns of a conversation as "User: …" / "Assistant: …" lines. */
+function formatHistory(history) {
+    return history.slice(-MAX_HISTORY_MESSAGES).map((m) => {
+        const text = m.content.length > MAX_HISTORY_CHARS ? `${m.content.slice(0, MAX_HISTORY_CHARS)}…` : m.content;
+        return `${m.role === 'user' ? 'User' : 'Assistant'}: ${text}`;
+    }).join('\n');
+}
+
+/**
+ * The guarded prompt: tax computation, retrieved excerpts (or a note that
+ * there are none) and the user's question. A follow-up in a conversation
+ * also carries the earlier turns and the inputs it changed.
+ *
+ * @param {object} taxNumbers  compareTaxRegimes() output
+ * @param {object[]} chunks
+ * @param {string} [userQuery]
+ * @param {string} [retrievalStatus]
+ * @param {{ history?: Array<{ role: 'user'|'assistant', content: string }>, changes?: string[] }} [conversation]
+ *   `changes` are ready-made lines, e.g. "Salary: ₹12,00,000 → ₹15,00,000"
+ */
+function buildPrompt(taxNumbers, chunks, userQuery, retrievalStatus = 'ok', { history = [], changes = [] } = {}) {
+    const conversation = [
+        history.length > 0 && `=== CONVERSATION SO FAR ===\n${formatHistory(history)}\n\n`,
+        changes.length > 0 && `=== INPUTS CHANGED FOR THIS QUESTION ===\n${changes.join('\n')}\n` +
+            'The tax computation above already uses the changed inputs.\n\n',
+    ].filter(Boolean).join('');
+    const excerpts = chunks
+        .map((c, i) =>
+            `[Excerpt ${i + 1}] (Source: ${c.metadata?.file || 'unknown'} — ${formatCitation(c.metadata) || 'page unknown'})\n${c.text}`
+        )
+        .join('\n\n---\n\n');
+
+    return `You are an Indian tax assistant. Answer ONLY using the excerpts provided below.
+If you cannot find the answer in the excerpts, respond with "I cannot confirm this based on the provided documents."
+Do NOT use any external knowledge or make assumptions beyond what the excerpts state.
+
+=== TAX COMPUTATION (deterministic, FY ${taxNumbers.financialYear}, ${TAXPAYER_CATEGORIES[taxNumbers.category].label}) ===
+Old Regime:
+  Taxable Income: ₹${taxNumbers.old.taxableIncome.toLocaleString('en-IN')}
+  Total Tax:      ₹${taxNumbers.old.totalTax.toLocaleString('en-IN')}
+  Effective Rate: ${taxNumbers.old.effectiveRate}%
+Old Regime computation, step by step:
+${formatTrace(taxNumbers.old.trace)}
+
+New Regime:
+  Taxable Income: ₹${taxNumbers.new.taxableIncome.toLocaleString('en-IN')}
+  Total Tax:      ₹${taxNumbers.new.totalTax.toLocaleString('en-IN')}
+  Effective Rate: ${taxNumbers.new.effectiveRate}%
+New Regime computation, step by step:
+${formatTrace(taxNumbers.new.trace)}
+
+Recommendation: ${taxNumbers.recommendation}
+
+=== RETRIEVED TAX LAW EXCERPTS ===
+${excerpts || `NONE. ${NO_CONTEXT_NOTES[retrievalStatus] || NO_CONTEXT_NOTES['no-relevant-chunks']}
+Do not cite excerpts. For any statement about tax law, respond with "I cannot confirm this based on the provided documents."`}
+
+${conversation}=== USER QUESTION ===
+${userQuery || 'Which tax regime is better for me and why?'}
+
+=== YOUR TASK ===
+Respond with ONLY a JSON object of this shape, with no text before or after it:
+${RESPONSE_FORMAT}
+- "summary": answer the user question, confirming or elaborating on the regime recommendation using the excerpts above. When explaining how a tax figure was reached, quote the exact slab lines from the step-by-step computation; do not recompute them.
+- "tips": 3-5 actionable tax-saving tips. "excerpts" lists the numbers of the excerpts each tip relies on (e.g. [2] for Excerpt 2), or [] if none.
+- "caveats": key conditions or caveats, if any.
+Keep the language concise and in plain English.`;
+}
+
+// ─── Pipeline stages ─────────────────────────────────────────────────────────
+
+/** Deterministic tax numbers for validated input (rule-based HRA if details were given). */
+function computeTaxNumbers(data) {
+    const { income, deductions, options, hra } = resolveTaxInputs(data);
+    const taxNumbers = compareTaxRegimes(income, deductions, options);
+    const { breakEvenDeduction } = findBreakEvenDeduction(income, deductions, options);
+    return { income, deductions, hra, taxNumbers, breakEvenDeduction };
+}
+
+function regimeNumbers(result) {
+    return {
+        incomeHeads: result.incomeHeads,
+        slabIncome: result.slabIncome,
+        taxableIncome: result.taxableIncome,
+        specialRateTax: result.specialRateTax,
+        rebate87A: result.rebate87A,
+        surcharge: result.surcharge,
+        marginalRelief: result.marginalRelief,
+        totalTax: result.totalTax,
+        effectiveRate: result.effectiveRate,
+        totalDeductions: result.totalDeductions,
+        deductionBreakdown: result.deductionBreakdown,
+        trace: result.trace,
+    };
+}
+
+/** The deterministic part of the response. */
+function numbersResponse({ taxNumbers, breakEvenDeduction, hra }) {
+    return {
+        financialYear: taxNumbers.financialYear,
+        category: taxNumbers.category,
+        categoryLabel: TAXPAYER_CATEGORIES[taxNumbers.category].label,
+        verdict: taxNumbers.betterRegime,
+        recommendation: taxNumbers.recommendation,
+        taxNumbers: {
+            old: regimeNumbers(taxNumbers.old),
+            new: regimeNumbers(taxNumbers.new),
+        },
+        savings: Math.abs(taxNumbers.savings),
+        breakEvenDeduction,
+        hra,
+    };
+}
+
+/**
+ * Retrieves candidates, then keeps only relevant, distinct chunks.
+ * @returns {Promise<{ chunks: object[], retrieval: object }>}
+ */
+async function retrieveChunks(userQuery) {
+    let chunks = [];
+    let retrieval;
+    try {
+        const reranked = rerankChunks(
+            await queryTopK(userQuery, RAG_CANDIDATES),
+            { k: RAG_CONTEXT_CHUNKS, query: userQuery }
+        );
+        chunks = reranked.chunks;
+        retrieval = {
+            status: chunks.length > 0 ? 'ok' : 'no-relevant-chunks',
+            ...reranked.stats,
+        };
+    } catch (ragErr) {
+        console.warn('[rag] Vector store query failed (continuing without RAG):', ragErr.message);
+        // Graceful degradation: proceed without RAG chunks
+        retrieval = { status: 'unavailable' };
+    }
+    if (retrieval.status !== 'ok') retrieval.note = NO_CONTEXT_NOTES[retrieval.status];
+    return { chunks, retrieval };
+}
+
+function toSources(chunks) {
+    return chunks.map((c, i) => ({
+        id: i + 1,
+        file: c.metadata?.file || 'unknown',
+        page: c.metadata?.page || null,
+        pageEnd: c.metadata?.page_end || c.metadata?.page || null,
+        section: c.metadata?.section_path || null,
+        citation: formatCitation(c.metadata),
+        chunk_id: c.metadata?.chunk_id ?? null,
+        excerpt: c.text?.slice(0, 150) + (c.text?.length > 150 ? '...' : ''),
+        scores: c.scores || null,
+    }));
+}
+
+/**
+ * Generates the explanation from the guarded prompt, then checks it for
+ * grounding. Never throws: a failed provider becomes a message in
+ * `aiSummary`.
+ *
+ * @param {object} computed  from computeTaxNumbers()
+ * @param {{ chunks: object[], retrieval: object }} retrieved  from retrieveChunks()
+ * @param {string} [query]
+ * @param {object} [options]
+ *   @param {object[]} [options.history]    earlier turns of a conversation (see buildPrompt)
+ *   @param {string[]} [options.changes]    inputs this question changed (see buildPrompt)
+ *   @param {object[]} [options.facts]      more facts the answer may quote, e.g. earlier numbers
+ *   @param {Function} [options.onAttempt]  passed on to the provider for streaming
+ *   @param {Function} [options.onToken]    passed on to the provider for streaming
+ */
+async function explainNumbers(computed, { chunks, retrieval }, query, options = {}) {
+    const { history, changes, facts = [], onAttempt, onToken } = options;
+    const { taxNumbers, breakEvenDeduction, hra, income, deductions } = computed;
+    let aiSummary = null;
+    let tips = [];
+    let caveats = [];
+    let groundingWarnings = [];
+    let llm = null;
+    try {
+        const provider = getLlm();
+        if (provider.isConfigured()) {
+            const prompt = buildPrompt(taxNumbers, chunks, query, retrieval.status, { history, changes });
+            const generated = await generateExplanation(provider, { prompt, taxNumbers, chunks, query, onAttempt, onToken });
+            llm = { provider: provider.name, model: generated.model, output: generated.output };
+            if (generated.explanation) {
+                aiSummary = generated.explanation.summary;
+                // Excerpt N is sources[N - 1], whose id is N
+                tips = generated.explanation.tips.map((t) => ({ text: t.text, sourceIds: t.excerpts }));
+                caveats = generated.explanation.caveats;
+            } else {
+                // Unusable as JSON: show the reply as it is
+                aiSummary = generated.text.trim();
+            }
+
+            // Everything checkable must come from the numbers or the excerpts
+            const verified = verifyExplanation({ summary: aiSummary, tips, caveats }, {
+                facts: [taxNumbers, { breakEvenDeduction }, { hra }, income, { deductions }, DEDUCTION_SECTIONS, ...facts],
+                rules: getRules(taxNumbers.financialYear, taxNumbers.category),
+                chunks,
+            });
+            tips = verified.tips;
+            groundingWarnings = verified.warnings;
+            if (groundingWarnings.length > 0) {
+                console.warn(`[grounding] ${groundingWarnings.length} unsupported claim(s):`,
+                    groundingWarnings.map((w) => w.claim).join(', '));
+            }
+        } else {
+            aiSummary = provider.setupHint;
+        }
+    } catch (aiErr) {
+        console.error('[llm] Generation failed:', aiErr.message, aiErr.status || '');
+        aiSummary = `AI summary unavailable (${aiErr.message?.slice(0, 80)}). Tax numbers above are deterministic.`;
+    }
+
+    return { aiSummary, tips, caveats, groundingWarnings, bullets: tips.map((t) => t.text), llm };
+}
+
+module.exports = {
+    buildPrompt,
+    computeTaxNumbers,
+    numbersResponse,
+    retrieveChunks,
+    toSources,
+    explainNumbers,
+};
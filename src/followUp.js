@@ -0,0 +1,171 @@
+'use strict';
+
+/**
+ * followUp.js — Input changes asked for in a follow-up question
+ *
+ * "What if I add ₹50k NPS?" changes an input, so the numbers must be
+ * recomputed before the question is answered. parseInputEdits() reads
+ * such edits out of the text with a few fixed rules — no model is asked,
+ * so a misread is reproducible and the user sees exactly what was applied:
+ *
+ *  - each clause (split at commas, "and", "then") may hold one edit, but
+ *    only when it asks for one: it has an edit verb ("add", "remove",
+ *    "increase … by", "set … to", "up by"), or it follows "if" /
+ *    "suppose" in the same sentence. "Is the 80C limit ₹1,50,000?" is a
+ *    question about the inputs, not a change to them;
+ *  - its target is the first matching keyword: "NPS", "PPF", "home loan",
+ *    "salary" … or a section number ("80CCD(1B)", "24(b)");
+ *  - its amount is a rupee amount as grounding.js reads it ("₹50k",
+ *    "Rs 1.5 lakh");
+ *  - "remove", "drop", "stop", "without" set the amount to zero (none
+ *    needed); "… to ₹X" after increase / reduce / set replaces it;
+ *    "reduce", "cut", "down by" subtract; "add", "another", "more",
+ *    "by" … add, and so do "invest", "put", "pay", "contribute" for a
+ *    deduction; otherwise the amount replaces it.
+ *
+ * Explicit changes sent with the message need no parsing and win over
+ * parsed ones. applyInputEdits() applies either kind to a session's inputs
+ * and reports what changed.
+ */
+
+const { DEDUCTION_SECTIONS } = require('./taxRules');
+const { extractClaims } = require('./grounding');
+
+// ─── Constants ─────────────────────────────────────────────────────────────
+
+// Most specific first: "employer NPS" before "NPS", "parents" before "80D"
+const TARGETS = [
+    { field: 'section80CCD2', pattern: /\bemployer(?:'s)?\s+(?:nps|contribution)|\b80\s*ccd\s*\(?\s*2\b/i },
+    { field: 'section80CCD1B', pattern: /\bnps\b|\bnational pension|\b80\s*ccd\b/i },
+    { field: 'section80DParents', pattern: /\bparents?\b.*\b(?:health|medical|mediclaim|insurance|80\s*d)\b|\b(?:health|medical|mediclaim|80\s*d)\b.*\bparents?\b/i },
+    { field: 'section80D', pattern: /\bhealth insurance|\bmedical insurance|\bmediclaim|\b80\s*d\b/i },
+    { field: 'section24b', pattern: /\bhome[-\s]?loan|\bhousing loan|\b24\s*\(?\s*b\b/i },
+    { field: 'section80E', pattern: /\beducation loan|\b80\s*e\b/i },
+    { field: 'section80G', pattern: /\bdonat|\b80\s*g\b/i },
+    { field: 'section80TTB', pattern: /\b80\s*ttb\b/i },
+    { field: 'section80TTA', pattern: /\bsavings?(?: account)? interest|\b80\s*tta\b/i },
+    { field: 'section80C', pattern: /\bppf\b|\belss\b|\bepf\b|\blife insurance|\btax[-\s]?sav|\b80\s*c\b/i },
+    { field: 'hra', pattern: /\bhra\b|\bhouse rent/i },
+    { field: 'salary', pattern: /\bsalary|\bctc\b|\bpay\b|\bincome\b/i },
+];
+
+const SENTENCE_BREAK = /[?!]+|\.(?=\s+[A-Z])/; // not the dot in "Rs. 1.5 lakh"
+const CLAUSE_BREAK = /,(?!\d)|;|\band\b|\bthen\b/i; // not the commas in ₹1,50,000
+// A clause changes an input only when it asks to: an edit verb, or an "if" before it
+const HYPOTHETICAL = /\b(?:if|suppose|supposing|assuming)\b/i;
+const EDIT = /\b(?:add(?:ing|ed)?|put(?:ting)?|increase[sd]?|rais(?:e|es|ed|ing)|hike|top[-\s]?up|reduc(?:e|es|ed|ing)|cut|decrease[sd]?|(?:up|down) by)\b|\b(?:set|change[sd]?)\b.*\bto\b/i;
+
+// How the amount is applied, checked in this order
+const REMOVE = /\b(?:remove|drop|stop|without|no longer|cancel)\b/i;
+const CHANGE_TO = /\b(?:increase[sd]?|rais(?:e|es|ed|ing)|reduc(?:e|es|ed|ing)|decrease[sd]?|cut|set|change[sd]?|goes (?:up|down))\b.*\bto\b/i;
+const SUBTRACT = /\b(?:reduc(?:e|es|ed|ing)|cut|decrease[sd]?|lower(?:ed)?|down by)\b/i;
+const ADD = /\b(?:add(?:ing|ed)?|another|more|extra|additional|increase[sd]?|rais(?:e|es|ed|ing)|top[-\s]?up|hike|by)\b/i;
+// Paying into a deduction adds to what is already claimed
+const INVEST = /\b(?:invest(?:s|ed|ing)?|put(?:s|ting)?|pa(?:y|ys|id|ying)|contribut(?:e|es|ed|ing))\b/i;
+
+const LABELS = { salary: 'Salary', financialYear: 'Financial year', age: 'Age', category: 'Taxpayer category' };
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const inr = (n) => `₹${Math.abs(n).toLocaleString('en-IN')}`;
+
+/** "deductions.section80C" → "Section 80C (PPF, ELSS, life insurance, etc.)" */
+function labelFor(field) {
+    const [head, key] = field.split('.');
+    return head === 'deductions' ? DEDUCTION_SECTIONS[key] || key : LABELS[head] || head;
+}
+
+function readField(inputs, field) {
+    const [head, key] = field.split('.');
+    return key ? inputs[head]?.[key] ?? 0 : inputs[head];
+}
+
+/** The edit one clause asks for, or null. */
+function readEdit(clause) {
+    const target = TARGETS.find((t) => t.pattern.test(clause));
+    if (!target) return null;
+    const field = target.field === 'salary' ? 'salary' : `deductions.${target.field}`;
+    const amounts = extractClaims(clause).filter((c) => c.type === 'amount');
+
+    if (REMOVE.test(clause) && field !== 'salary') return { field, op: 'set', value: 0 };
+    if (amounts.length !== 1) return null;
+    const { value } = amounts[0];
+    if (CHANGE_TO.test(clause)) return { field, op: 'set', value };
+    if (SUBTRACT.test(clause)) return { field, op: 'add', value: -value };
+    const adds = ADD.test(clause) || (field !== 'salary' && INVEST.test(clause));
+    return { field, op: adds ? 'add' : 'set', value };
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Edits asked for in a follow-up question.
+ *
+ * @param {string} text
+ * @returns {Array<{ field: string, op: 'add'|'set', value: number }>}
+ *   `field` is "salary" or "deductions.<section>"; `value` is negative for
+ *   a reduction
+ */
+function parseInputEdits(text) {
+    const edits = [];
+    for (const sentence of (text || '').split(SENTENCE_BREAK)) {
+        let hypothetical = false; // an "if" earlier in the sentence covers the clauses after it
+        for (let clause of sentence.split(CLAUSE_BREAK)) {
+            if (!EDIT.test(clause) && !REMOVE.test(clause) && !hypothetical) {
+                const marker = clause.match(HYPOTHETICAL);
+                if (!marker) continue;
+                clause = clause.slice(marker.index); // "… count if I pay ₹X": only "if I pay ₹X"
+                hypothetical = true;
+            }
+            const edit = readEdit(clause);
+            if (edit) edits.push(edit);
+        }
+    }
+    return edits;
+}
+
+/**
+ * Explicit changes sent with a message, as edits.
+ * @param {{ salary?: number, financialYear?: string, age?: number, category?: string,
+ *           deductions?: Record<string, number> }} [changes]
+ */
+function editsFromChanges(changes = {}) {
+    const { deductions = {}, ...top } = changes;
+    return [
+        ...Object.entries(top).map(([field, value]) => ({ field, op: 'set', value })),
+        ...Object.entries(deductions).map(([key, value]) => ({ field: `deductions.${key}`, op: 'set', value })),
+    ];
+}
+
+/**
+ * Applies edits to a copy of a session's inputs. Later edits to the same
+ * field win; an add stops at zero; edits that leave a value as it was
+ * are not reported.
+ *
+ * @param {object} inputs  ExplainSchema-shaped, as stored in the session
+ * @param {Array<{ field: string, op: 'add'|'set', value: * }>} edits
+ * @returns {{ inputs: object, changes: Array<{ field: string, label: string, from: *, to: * }> }}
+ */
+function applyInputEdits(inputs, edits) {
+    const next = { ...inputs, deductions: { ...inputs.deductions } };
+    const before = new Map();
+    for (const { field, op, value } of edits) {
+        if (!before.has(field)) before.set(field, readField(inputs, field));
+        const to = op === 'add' ? Math.max(0, readField(next, field) + value) : value;
+        const [head, key] = field.split('.');
+        if (key) next[head][key] = to;
+        else next[head] = to;
+    }
+    const changes = [...before]
+        .map(([field, from]) => ({ field, label: labelFor(field), from, to: readField(next, field) }))
+        .filter((c) => c.from !== c.to);
+    return { inputs: next, changes };
+}
+
+/** "Section 80CCD(1B) — own NPS contribution: ₹0 → ₹50,000" */
+function describeChange({ field, label, from, to }) {
+    const show = (v) => (v === undefined ? 'not set' : typeof v === 'number' && field !== 'age' ? inr(v) : String(v));
+    return `${label}: ${show(from)} → ${show(to)}`;
+}
+
+module.exports = { parseInputEdits, editsFromChanges, applyInputEdits, describeChange };
@@ -0,0 +1,205 @@
+'use strict';
+
+/**
+ * form16.js — Pull calculator inputs out of a Form 16 or salary slip
+ *
+ * Reads the text layer of a PDF (via pdf-parse) and looks for the lines of
+ * Form 16 Part B — gross salary, standard deduction u/s 16(ia), HRA
+ * exemption u/s 10(13A), 80C and 80D — or the earnings lines of a monthly
+ * salary slip. Each figure comes back with a confidence between 0 and 1 and
+ * the line it was read from, so the user can check it before submitting.
+ *
+ * This is pattern matching on free text, not a form parser: scanned PDFs
+ * without a text layer yield nothing, and unusual layouts lower confidence
+ * rather than fail.
+ */
+
+const pdfParse = require('pdf-parse');
+const { SUPPORTED_FINANCIAL_YEARS } = require('./taxRules');
+
+// ─── Constants ─────────────────────────────────────────────────────────────
+
+// Label patterns per field, strongest first. `confidence` applies when the
+// amount is on the same line as the label. `totalWithin` lets a heading
+// without an amount take it from a "Total" line up to that many lines below
+// (Form 16 item 1 lists 17(1), 17(2) and 17(3) before "(d) Total").
+const FIELD_PATTERNS = {
+  salary: [
+    { pattern: /gross\s+salary/i, confidence: 0.9, totalWithin: 5 },
+    { pattern: /gross\s+(earnings|pay)|total\s+earnings/i, confidence: 0.85 },
+    { pattern: /section\s*17\s*\(1\)/i, confidence: 0.7 }, // excludes perquisites
+  ],
+  standardDeduction: [
+    { pattern: /standard\s+deduction/i, confidence: 0.9 },
+  ],
+  hra: [
+    { pattern: /10\s*\(\s*13A\s*\)/i, confidence: 0.9 },
+  ],
+  hraReceived: [
+    { pattern: /house\s+rent\s+allowance|\bHRA\b/i, confidence: 0.75 },
+  ],
+  basicSalary: [
+    { pattern: /\bbasic(\s+(pay|salary))?\b/i, confidence: 0.8 },
+  ],
+  section80C: [
+    { pattern: /\b80\s*C\b/i, confidence: 0.85 },
+  ],
+  section80D: [
+    { pattern: /\b80\s*D\b/i, confidence: 0.85 },
+  ],
+};
+
+// Fields that only make sense for one kind of document
+const FORM16_ONLY = ['standardDeduction', 'hra', 'section80C', 'section80D'];
+const SLIP_ONLY = ['hraReceived', 'basicSalary'];
+
+const NEXT_LINE_PENALTY = 0.2;  // amount found on the line after the label
+const CONFLICT_PENALTY = 0.3;   // label found more than once with different amounts
+const ANNUALISED_PENALTY = 0.1; // monthly slip figure multiplied by 12
+
+// An amount is a standalone number (Indian or plain grouping); digits that
+// are part of section numbers like 80C or 17(1) are skipped
+const AMOUNT = /(?<![\w.(])(\d{1,3}(?:,\d{2,3})+|\d+)(?:\.\d{1,2})?(?![\w(),])/g;
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const round2 = (n) => +Math.max(0, n).toFixed(2);
+
+/** Last amount on a line (amount columns come last in Form 16 tables). */
+function lastAmount(text) {
+  const matches = [...text.matchAll(AMOUNT)];
+  if (matches.length === 0) return null;
+  return Number(matches.at(-1)[1].replace(/,/g, ''));
+}
+
+/**
+ * @returns {'form16'|'salarySlip'|'unknown'}
+ */
+function detectDocumentType(text) {
+  if (/form\s*(no\.?\s*)?16\b|part\s*[-–]?\s*b\b/i.test(text)) return 'form16';
+  if (/pay\s*slip|salary\s*slip|pay\s+period|earnings/i.test(text)) return 'salarySlip';
+  return 'unknown';
+}
+
+/**
+ * Reads the financial year from "Assessment Year 2025-26" (→ FY 2024-25)
+ * or "Financial Year 2024-25" / "FY 2024-25".
+ */
+function detectFinancialYear(text) {
+  const ay = text.match(/assessment\s+year\W*(20\d{2})\s*[-–]\s*(\d{2})\b/i);
+  const fy = text.match(/(?:financial\s+year|\bF\.?Y\.?)\W*(20\d{2})\s*[-–]\s*(\d{2})\b/i);
+  let year = null;
+  if (ay) year = `${Number(ay[1]) - 1}-${String(Number(ay[2]) - 1).padStart(2, '0')}`;
+  else if (fy) year = `${fy[1]}-${fy[2]}`;
+  if (!year || !SUPPORTED_FINANCIAL_YEARS.includes(year)) return null;
+  return { value: year, confidence: ay ? 0.95 : 0.9, source: (ay || fy)[0] };
+}
+
+/**
+ * Finds one field: the first line matching its strongest pattern, with the
+ * amount after the label on that line (or, failing that, a nearby "Total"
+ * line when the pattern allows it, else the next line).
+ */
+function findField(lines, patterns) {
+  for (const { pattern, confidence, totalWithin = 0 } of patterns) {
+    const hits = [];
+    lines.forEach((line, i) => {
+      const match = line.match(pattern);
+      if (!match) return;
+      const rest = line.slice(match.index + match[0].length);
+      let value = lastAmount(rest);
+      let score = confidence;
+      const totalLine = value === null && lines
+        .slice(i + 1, i + 1 + totalWithin)
+        .find((l) => /^(\([a-z]\)\s*)?total\b/i.test(l));
+      if (totalLine) {
+        value = lastAmount(totalLine);
+      } else if (value === null && i + 1 < lines.length) {
+        value = lastAmount(lines[i + 1]);
+        score -= NEXT_LINE_PENALTY;
+      }
+      if (value !== null) hits.push({ value, confidence: score, source: line });
+    });
+
+    if (hits.length === 0) continue;
+    const [first] = hits;
+    const conflicting = hits.some((h) => h.value !== first.value);
+    return {
+      ...first,
+      confidence: round2(conflicting ? first.confidence - CONFLICT_PENALTY : first.confidence),
+    };
+  }
+  return null;
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Extracts calculator inputs from the text of a Form 16 or salary slip.
+ *
+ * Salary-slip figures are monthly and are annualised (×12). The HRA on a
+ * slip is the allowance received, not the exemption, so it is reported
+ * under `hraReceived` (with `basicSalary`) for the user to complete
+ * `hraDetails`, and is not put into the payload.
+ *
+ * @param {string} text
+ * @returns {{ documentType: 'form16'|'salarySlip'|'unknown',
+ *             fields: Object<string, { value: number|string, confidence: number, source: string, annualised?: boolean }>,
+ *             missing: string[], payload: object }}
+ *   `payload` is a pre-filled /api/explain body built from the fields found
+ */
+function extractFromText(text) {
+  const lines = text.split(/\r?\n/).map((l) => l.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  const documentType = detectDocumentType(text);
+  const monthly = documentType === 'salarySlip';
+
+  const fields = {};
+  const missing = [];
+  for (const [name, patterns] of Object.entries(FIELD_PATTERNS)) {
+    if (monthly && FORM16_ONLY.includes(name)) continue;
+    if (!monthly && SLIP_ONLY.includes(name)) continue;
+
+    const found = findField(lines, patterns);
+    if (!found) {
+      missing.push(name);
+    } else if (monthly) {
+      fields[name] = {
+        ...found,
+        value: found.value * 12,
+        confidence: round2(found.confidence - ANNUALISED_PENALTY),
+        annualised: true,
+      };
+    } else {
+      fields[name] = found;
+    }
+  }
+
+  const financialYear = detectFinancialYear(text);
+  if (financialYear) fields.financialYear = financialYear;
+
+  const payload = {};
+  if (fields.salary) payload.salary = fields.salary.value;
+  if (financialYear) payload.financialYear = financialYear.value;
+  const deductions = {};
+  for (const section of ['section80C', 'section80D', 'hra']) {
+    if (fields[section]) deductions[section] = fields[section].value;
+  }
+  if (Object.keys(deductions).length > 0) payload.deductions = deductions;
+
+  return { documentType, fields, missing, payload };
+}
+
+/**
+ * Parses a PDF and extracts calculator inputs from its text layer.
+ *
+ * @param {Buffer} buffer  PDF file contents
+ * @returns {Promise<ReturnType<typeof extractFromText> & { pages: number }>}
+ */
+async function extractFromPdf(buffer) {
+  // pdf.js reads the whole underlying ArrayBuffer, ignoring byteOffset, so
+  // a small Buffer carved from Node's shared pool parses as garbage; copy it
+  const parsed = await pdfParse(new Uint8Array(buffer));
+  return { pages: parsed.numpages, ...extractFromText(parsed.text) };
+}
+
+module.exports = { extractFromText, extractFromPdf };
@@ -0,0 +1,333 @@
+'use strict';
+
+/**
+ * grounding.js — Checks the AI explanation against what it was given
+ *
+ * The prompt tells the model to use only the tax numbers and the excerpts;
+ * this checks that it did, for the claims that can be checked mechanically:
+ * rupee amounts ("₹1,50,000", "Rs 1.5 lakh"), percentages ("30%") and
+ * section numbers ("Section 80D", "80CCD(1B)", "u/s 87A").
+ *
+ * A claim is supported when it appears in the evidence:
+ *  - facts    : the compareTaxRegimes output and the user's own inputs —
+ *               every number in them, fractions also as percentages (a
+ *               0.05 rate supports "5%")
+ *  - rules    : from the year's rule table, only what belongs to a
+ *               section (the 80C cap, the 87A rebate limit, the standard
+ *               deduction) and the slabs
+ *  - excerpts : the text, heading and section path of the retrieved chunks,
+ *               sentence by sentence. A tip that cites excerpts is checked
+ *               against those only; other text against all of them.
+ *
+ * Numbers are tied to what they are about. A clause that names a section
+ * ("the 80C limit is ₹2,00,000", split from the rest of its sentence at
+ * commas, semicolons and "and") is checked only against numbers under that
+ * section — its entry in the deduction breakdown, its cap, an excerpt
+ * sentence naming it or under its heading — so neither the 24(b) cap nor
+ * a total that happens to be ₹2,00,000 backs it. Other clauses are checked
+ * against every number. A rate, or a section's figure, under one regime
+ * does not support a sentence about the other ("the new regime's standard
+ * deduction is ₹50,000"). A rate given for income "above ₹X" or "up to ₹X"
+ * must be the rate of the slab that starts or ends at X.
+ *
+ * Amounts match within half a percent and percentages at the precision
+ * written ("6%" matches a 5.96% effective rate). A tip with an unsupported
+ * claim is removed; the summary and caveats cannot be split safely, so they
+ * are kept and flagged. Either way a warning is returned.
+ */
+
+const { tokenize } = require('./lexicalIndex');
+
+// ─── Constants ─────────────────────────────────────────────────────────────
+
+const AMOUNT_TOLERANCE = 0.005; // relative; rounding in prose
+const UNITS = { lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, l: 1e5, crore: 1e7, crores: 1e7, cr: 1e7, k: 1e3 };
+
+const NUMBER = String.raw`\d[\d,]*(?:\.\d+)?`;
+const UNIT = String.raw`lakhs?|lacs?|crores?|cr`;
+
+// A claim in the AI text: a rupee amount (with a ₹/Rs/INR prefix, or a lakh
+// or crore figure), a percentage, or a section reference
+const CLAIM = new RegExp(
+    String.raw`(?:₹|\bRs\.?|\bINR)\s*(${NUMBER})(?:\s*(${UNIT}|k|l)\b)?` +
+    String.raw`|\b(${NUMBER})\s*(${UNIT})\b` +
+    String.raw`|\b(${NUMBER})\s*(?:%|per\s*cent\b|percent\b)` +
+    String.raw`|\b(?:sections?|sec\.?|u\/s)\s*(\d+[a-z]*(?:\(\s*[a-z0-9]+\s*\))*)` +
+    String.raw`|\b(80[a-z]{1,4}(?:\(\s*[a-z0-9]+\s*\))*|87a|115bac)(?![a-z0-9])`,
+    'gi'
+);
+
+// Any number in the evidence, with an optional lakh/crore unit
+const EVIDENCE_NUMBER = new RegExp(String.raw`(${NUMBER})(?:\s*(${UNIT})\b)?`, 'gi');
+
+// Sentence ends, but not the dot in "Rs. 1.5 lakh" or "Sec. 80C"
+const SENTENCE_BREAK = /\n+|(?<=[!?;])\s+|(?<=\.)\s+(?=[A-Z₹])/;
+// Clause breaks, but not the commas in ₹1,50,000
+const CLAUSE_BREAK = /[,;:](?!\d)|\b(?:and|but|while|whereas)\b/i;
+
+// Sections named in words rather than by number, as section keys
+const NAMED_SECTIONS = [
+    { key: '16ia', pattern: /\bstandard deduction/i },
+    { key: '1013a', pattern: /\bhra\b|\bhouse rent/i },
+    { key: '87a', pattern: /\brebate\b/i },
+];
+// Input and rule keys that name a section other than as "section<number>"
+const KEY_SECTIONS = { standardDeduction: '16ia', hra: '1013a', rebate87A: '87a' };
+
+// Words before an amount that make it a slab boundary
+const LOWER_BOUND = /(?:above|over|exceeding|beyond|more than|in excess of)\s*$/i;
+const UPPER_BOUND = /(?:up\s*to|upto|below|under|till|not exceeding)\s*$/i;
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const toNumber = (digits, unit) => Number(digits.replace(/,/g, '')) * (UNITS[unit?.toLowerCase()] || 1);
+
+/** "80CCD(1B)" → "80ccd1b", the form lexicalIndex.tokenize gives it. */
+const sectionKey = (ref) => ref.toLowerCase().match(/[a-z0-9]+/g).join('');
+
+/** "section80DParents" → "80d", "hra" → "1013a"; null for other keys. */
+function keySection(key) {
+    if (KEY_SECTIONS[key]) return KEY_SECTIONS[key];
+    const m = /^section(\d+[a-z]*?\d*[a-z]?)(?:parents)?$/i.exec(key);
+    return m ? m[1].toLowerCase() : null;
+}
+
+/** Section keys a piece of text names, by number or in words. */
+function sectionsNamed(text) {
+    const keys = extractClaims(text).filter((c) => c.type === 'section').map((c) => c.value);
+    for (const { key, pattern } of NAMED_SECTIONS) if (pattern.test(text)) keys.push(key);
+    return new Set(keys);
+}
+
+/** 'old', 'new', or null when a text names neither regime or both. */
+function regimeNamed(text) {
+    const old = /\bold(?:\s+tax)?\s+regime\b/i.test(text);
+    const neu = /\bnew(?:\s+tax)?\s+regime\b/i.test(text);
+    return old === neu ? null : old ? 'old' : 'new';
+}
+
+/** Every number written in a piece of text, lakh/crore figures scaled. */
+function numbersIn(text) {
+    const numbers = [];
+    for (const [, digits, unit] of String(text).matchAll(EVIDENCE_NUMBER)) {
+        const n = toNumber(digits, unit);
+        if (Number.isFinite(n)) numbers.push(n);
+    }
+    return numbers;
+}
+
+const splitSentences = (text) => String(text).split(SENTENCE_BREAK).filter((t) => t.trim());
+
+function newEvidence() {
+    // entries: numbers with the sections and regime they are about
+    return { entries: new Map(), sections: new Set(), slabs: [] };
+}
+
+function addNumber(evidence, n, scope) {
+    const id = `${scope.regime}|${[...scope.sections].sort().join(',')}`;
+    if (!evidence.entries.has(id)) {
+        evidence.entries.set(id, { regime: scope.regime, sections: scope.sections, numbers: new Set() });
+    }
+    evidence.entries.get(id).numbers.add(n);
+}
+
+/**
+ * Adds the numbers and section tokens found anywhere in `value` to
+ * `evidence`, scoped by the keys they sit under: "old" / "new" give the
+ * regime, "section80C" or an object's `section` field the section.
+ * With `sectionedOnly`, numbers outside any section are left out.
+ */
+function collect(value, evidence, scope = { regime: null, sections: new Set() }, sectionedOnly = false) {
+    const keep = !sectionedOnly || scope.sections.size > 0;
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value) || !keep) return;
+        addNumber(evidence, Math.abs(value), scope);
+        if (value > 0 && value < 1) addNumber(evidence, Math.round(value * 10000) / 100, scope);
+    } else if (typeof value === 'string') {
+        tokenize(value).forEach((t) => evidence.sections.add(t));
+        const named = sectionsNamed(value);
+        const inner = named.size > 0 && scope.sections.size === 0 ? { ...scope, sections: named } : scope;
+        if (!sectionedOnly || inner.sections.size > 0) numbersIn(value).forEach((n) => addNumber(evidence, n, inner));
+    } else if (Array.isArray(value)) {
+        value.forEach((v) => collect(v, evidence, scope, sectionedOnly));
+    } else if (value && typeof value === 'object') {
+        // A breakdown or trace line is about its `section`, or the one its label names
+        const own = typeof value.section === 'string' ? new Set([keySection(value.section)].filter(Boolean))
+            : typeof value.label === 'string' ? sectionsNamed(value.label)
+            : new Set();
+        const here = own.size > 0 ? { ...scope, sections: own } : scope;
+        for (const [key, v] of Object.entries(value)) {
+            const section = keySection(key);
+            if (section) evidence.sections.add(section);
+            const child = key === 'old' || key === 'new' ? { ...here, regime: key }
+                : section ? { ...here, sections: new Set([section]) }
+                : here;
+            collect(v, evidence, child, sectionedOnly);
+        }
+    }
+}
+
+/** Section caps and the like, plus each regime's slabs as { regime, from, to, rate }. */
+function collectRules(rules, evidence) {
+    if (!rules) return;
+    collect(rules, evidence, undefined, true);
+    for (const regime of ['old', 'new']) {
+        let from = 0;
+        for (const { up_to: to, rate } of rules[regime]?.slabs || []) {
+            evidence.slabs.push({ regime, from, to, rate: Math.round(rate * 10000) / 100 });
+            from = to;
+        }
+    }
+}
+
+/** Excerpt sentences, each about the sections it names, else its chunk's heading. */
+function collectChunks(chunks, evidence) {
+    for (const c of chunks) {
+        const heading = [c.metadata?.heading || '', c.metadata?.section_path || ''].join(' ');
+        tokenize(heading).forEach((t) => evidence.sections.add(t));
+        const headed = sectionsNamed(heading);
+        for (const sentence of splitSentences(c.text || '')) {
+            tokenize(sentence).forEach((t) => evidence.sections.add(t));
+            const named = sectionsNamed(sentence);
+            const scope = { regime: regimeNamed(sentence), sections: named.size > 0 ? named : headed };
+            numbersIn(sentence).forEach((n) => addNumber(evidence, n, scope));
+        }
+        numbersIn(heading).forEach((n) => addNumber(evidence, n, { regime: null, sections: headed }));
+    }
+}
+
+function buildEvidence(facts, rules, chunks) {
+    const evidence = newEvidence();
+    collect(facts, evidence);
+    collectRules(rules, evidence);
+    collectChunks(chunks, evidence);
+    return evidence;
+}
+
+const numberMatches = (claim, n) =>
+    claim.type === 'amount'
+        ? Math.abs(n - claim.value) <= Math.max(1, n * AMOUNT_TOLERANCE)
+        : Number(n.toFixed(claim.decimals)) === claim.value;
+
+/**
+ * An entry can back a claim in a clause about `scope` if it is about a
+ * section the clause names (any entry when it names none) and, for a rate
+ * or a section's figure, not about the other regime. Totals may come from
+ * either: "the New Regime saves ₹45,500: ₹71,500 against ₹1.17 lakh".
+ */
+function applies(entry, claim, scope) {
+    const regimeBound = claim.type === 'percent' || scope.sections.size > 0;
+    if (regimeBound && entry.regime && scope.regime && entry.regime !== scope.regime) return false;
+    if (scope.sections.size === 0) return true;
+    return [...entry.sections].some((s) => scope.sections.has(s));
+}
+
+function isSupported(claim, scope, evidence) {
+    if (claim.type === 'section') return evidence.sections.has(claim.value);
+    if (claim.value === 0) return true;
+
+    const slabs = evidence.slabs.filter((s) => !scope.regime || s.regime === scope.regime);
+    if (claim.type === 'percent' && scope.bounds.length > 0) {
+        // "income above ₹10 lakh is taxed at 30%": the rate of that slab
+        return slabs.some((s) => s.rate === claim.value && scope.bounds.some(({ edge, value }) =>
+            s[edge] !== null && numberMatches({ type: 'amount', value }, s[edge])));
+    }
+    if (claim.type === 'amount' && scope.bounds.some((b) => b.value === claim.value)) {
+        if (slabs.some((s) => [s.from, s.to].some((edge) => edge && numberMatches(claim, edge)))) return true;
+    }
+    for (const entry of evidence.entries.values()) {
+        if (!applies(entry, claim, scope)) continue;
+        for (const n of entry.numbers) if (numberMatches(claim, n)) return true;
+    }
+    return false;
+}
+
+/** What one clause is about: its sections, its sentence's regime, slab boundaries. */
+function clauseScope(clause, claims, regime) {
+    const sections = new Set(claims.filter((c) => c.type === 'section').map((c) => c.value));
+    for (const { key, pattern } of NAMED_SECTIONS) if (pattern.test(clause)) sections.add(key);
+    // Slab boundaries only in clauses about income, not about a section's limit
+    const bounds = sections.size > 0 ? [] : claims
+        .filter((c) => c.type === 'amount')
+        .map((c) => {
+            const before = clause.slice(0, c.index);
+            const edge = LOWER_BOUND.test(before) ? 'from' : UPPER_BOUND.test(before) ? 'to' : null;
+            return edge && { edge, value: c.value };
+        })
+        .filter(Boolean);
+    return { regime, sections, bounds };
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * The checkable claims in a piece of text, in order.
+ *
+ * @param {string} text
+ * @returns {Array<{ type: 'amount'|'percent'|'section', claim: string, value: number|string,
+ *                    index: number, decimals?: number }>}
+ *   `claim` as written, at `index`; `value` in rupees, percent, or a section key ("80ccd1b")
+ */
+function extractClaims(text) {
+    const claims = [];
+    for (const m of (text || '').matchAll(CLAIM)) {
+        const claim = m[0].trim();
+        const { index } = m;
+        if (m[1] !== undefined) claims.push({ type: 'amount', claim, value: toNumber(m[1], m[2]), index });
+        else if (m[3] !== undefined) claims.push({ type: 'amount', claim, value: toNumber(m[3], m[4]), index });
+        else if (m[5] !== undefined) {
+            const digits = m[5].replace(/,/g, '');
+            claims.push({ type: 'percent', claim, value: Number(digits), decimals: (digits.split('.')[1] || '').length, index });
+        } else {
+            claims.push({ type: 'section', claim, value: sectionKey(m[6] || m[7]), index });
+        }
+    }
+    return claims;
+}
+
+/**
+ * Checks an explanation's claims against the facts and excerpts and removes
+ * tips that make unsupported ones.
+ *
+ * @param {{ summary: string|null, tips: Array<{ text: string, sourceIds: number[] }>, caveats: string[] }} explanation
+ *   `sourceIds` are 1-based indexes into `chunks`
+ * @param {{ facts: *, rules?: object, chunks: Array<{ text: string, metadata?: object }> }} evidence
+ *   `facts` the compareTaxRegimes output and inputs, `rules` the year's getRules() table
+ * @returns {{ summary: string|null, tips: object[], caveats: string[],
+ *             warnings: Array<{ field: string, type: string, claim: string, message: string, removed: boolean }> }}
+ *   `field` is "summary", "tips[i]" or "caveats[i]", indexed as given
+ */
+function verifyExplanation({ summary, tips = [], caveats = [] }, { facts, rules = null, chunks = [] }) {
+    const all = buildEvidence(facts, rules, chunks);
+    const warnings = [];
+
+    // Records a warning per unsupported claim; true when there are none
+    const check = (text, field, evidence, where, removed = false) => {
+        let supported = true;
+        for (const sentence of splitSentences(text)) {
+            const regime = regimeNamed(sentence);
+            for (const clause of sentence.split(CLAUSE_BREAK)) {
+                const claims = extractClaims(clause);
+                const scope = clauseScope(clause, claims, regime);
+                for (const { type, claim, ...rest } of claims) {
+                    if (isSupported({ type, ...rest }, scope, evidence)) continue;
+                    warnings.push({ field, type, claim, message: `"${claim}" is not in the tax computation or ${where}`, removed });
+                    supported = false;
+                }
+            }
+        }
+        return supported;
+    };
+
+    if (summary) check(summary, 'summary', all, 'the excerpts');
+    const kept = tips.filter((tip, i) => {
+        if (tip.sourceIds.length === 0) return check(tip.text, `tips[${i}]`, all, 'the excerpts', true);
+        const cited = buildEvidence(facts, rules, tip.sourceIds.map((id) => chunks[id - 1]).filter(Boolean));
+        return check(tip.text, `tips[${i}]`, cited, `the excerpts it cites (${tip.sourceIds.join(', ')})`, true);
+    });
+    caveats.forEach((caveat, i) => check(caveat, `caveats[${i}]`, all, 'the excerpts'));
+
+    return { summary, tips: kept, caveats, warnings };
+}
+
+module.exports = { extractClaims, verifyExplanation };
@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * hra.js — House Rent Allowance exemption u/s 10(13A) (Old Regime only)
+ *
+ * Exemption is the minimum of:
+ *   (a) Actual HRA received
+ *   (b) Rent paid minus 10% of salary
+ *   (c) 50% of salary for metro cities / 40% for non-metro cities
+ *
+ * "Salary" here means basic pay + dearness allowance (DA) for the
+ * months the rented accommodation was occupied. All inputs are annual.
+ *
+ * Like taxCalc.js, this module has ZERO external dependencies.
+ */
+
+// ─── Constants ─────────────────────────────────────────────────────────────
+
+const METRO_CITIES = ['delhi', 'new delhi', 'mumbai', 'kolkata', 'chennai'];
+
+const METRO_PCT = 0.50;
+const NON_METRO_PCT = 0.40;
+const RENT_SALARY_OFFSET_PCT = 0.10;
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Returns true if the city counts as a metro for HRA purposes.
+ * @param {string} [city]
+ * @returns {boolean}
+ */
+function isMetroCity(city) {
+  return !!city && METRO_CITIES.includes(city.trim().toLowerCase());
+}
+
+/**
+ * Computes the HRA exemption and reports which of the three limbs applied.
+ *
+ * @param {object} details
+ *   @param {number} details.basicSalary    Annual basic pay
+ *   @param {number} [details.da=0]         Annual dearness allowance (forming part of retirement benefits)
+ *   @param {number} details.hraReceived    Annual HRA received from employer
+ *   @param {number} details.rentPaid       Annual rent paid
+ *   @param {string} [details.city]         City of residence (Delhi/Mumbai/Kolkata/Chennai are metro)
+ *   @param {boolean} [details.metro]       Explicit metro flag; overrides `city`
+ *
+ * @returns {{ exemption, appliedLimb, metro, limbs: { actualHra, rentMinus10PercentSalary, percentOfSalary } }}
+ */
+function computeHraExemption(details) {
+  const {
+    basicSalary,
+    da = 0,
+    hraReceived,
+    rentPaid,
+    city,
+    metro = isMetroCity(city),
+  } = details;
+
+  const salary = basicSalary + da;
+
+  const limbs = {
+    actualHra: Math.max(0, Math.round(hraReceived)),
+    rentMinus10PercentSalary: Math.max(0, Math.round(rentPaid - salary * RENT_SALARY_OFFSET_PCT)),
+    percentOfSalary: Math.max(0, Math.round(salary * (metro ? METRO_PCT : NON_METRO_PCT))),
+  };
+
+  // Lowest limb wins; on a tie the first in statutory order is reported
+  const [appliedLimb, exemption] = Object.entries(limbs)
+    .reduce((min, entry) => (entry[1] < min[1] ? entry : min));
+
+  return { exemption, appliedLimb, metro, limbs };
+}
+
+module.exports = { computeHraExemption, isMetroCity, METRO_CITIES };
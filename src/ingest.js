@@ -0,0 +1,191 @@
+'use strict';
+
+/**
+ * ingest.js — Brings one PDF's chunks in the vector store up to date
+ *
+ * Shared by ingest_pdfs.js (every PDF in a folder) and /api/documents (one
+ * uploaded or re-indexed PDF): parse page by page → chunk on headings (see
+ * chunker.js) → diff against the manifest (see ingestPlan.js) → embed what
+ * is new or changed, delete what is gone.
+ *
+ * The PDFs themselves live in PDF_DIR (default ./pdfs/), which stays the
+ * source of truth: documents uploaded through the API are saved there too,
+ * so `npm run ingest -- --prune` keeps them.
+ */
+
+const path = require('path');
+const {
+    upsertChunks, deleteChunks, listChunks, getEmbeddings, embedText,
+} = require('./vectorStore');
+const { readPdfPages, chunkPages } = require('./chunker');
+const { contentHash, fileHash, buildManifest, isUpToDate, planFile } = require('./ingestPlan');
+
+// ─── Constants ─────────────────────────────────────────────────────────────
+
+const EMBED_BATCH_SIZE = 5; // chunks embedded between upserts, to avoid rate limits
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Folder the PDFs are read from and uploaded to. */
+function getPdfDir() {
+    return path.resolve(process.env.PDF_DIR || path.join(__dirname, '..', 'pdfs'));
+}
+
+/** The current manifest of ingested files, read back from the store. */
+async function loadManifest() {
+    return buildManifest(await listChunks());
+}
+
+/**
+ * Parses and chunks a PDF into store records (without embeddings).
+ * @param {string} fileName
+ * @param {Buffer} buffer
+ * @returns {Promise<{ pages: number, chunks: Array<{ id: string, text: string, hash: string, metadata: object }> }>}
+ */
+async function chunkPdf(fileName, buffer) {
+    const hash = fileHash(buffer);
+    const pages = await readPdfPages(buffer);
+    const pieces = chunkPages(pages);
+    const chunks = pieces.map((chunk, index) => {
+        // Metadata values must be scalars (Chroma), so the heading path
+        // is stored joined
+        const metadata = {
+            file: fileName,
+            page: chunk.pageStart,
+            page_end: chunk.pageEnd,
+        };
+        if (chunk.headings.length > 0) {
+            metadata.heading = chunk.headings.at(-1);
+            metadata.section_path = chunk.headings.join(' > ');
+        }
+        const hashed = contentHash(chunk.text, metadata);
+        return {
+            id: `${fileName}_chunk_${index}`,
+            text: chunk.text,
+            hash: hashed,
+            metadata: {
+                ...metadata,
+                chunk_id: index,
+                total_chunks: pieces.length,
+                file_hash: hash,
+                content_hash: hashed,
+            },
+        };
+    });
+    return { pages: pages.length, chunks };
+}
+
+/** Store batch from records that carry their embedding. */
+function toBatch(records) {
+    return {
+        ids: records.map((c) => c.id),
+        embeddings: records.map((c) => c.embedding),
+        documents: records.map((c) => c.text),
+        metadatas: records.map((c) => c.metadata),
+    };
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Ingests one PDF incrementally. A PDF that is already up to date is not
+ * parsed; otherwise only new and changed chunks are embedded, chunks with
+ * the same content keep their stored vectors (even when an insertion
+ * earlier in the PDF renumbered them), and ids the PDF no longer produces
+ * are deleted.
+ *
+ * @param {string} fileName  stored as the chunks' `file`
+ * @param {Buffer} buffer    PDF file contents
+ * @param {object} [opts]
+ *   @param {Map}      [opts.manifest]       from loadManifest(); read from the store if omitted
+ *   @param {boolean}  [opts.dryRun=false]   plan only — embed, write and delete nothing
+ *   @param {boolean}  [opts.force=false]    re-embed every chunk even if unchanged
+ *   @param {Function} [opts.onEmbed]        called after each chunk is embedded
+ *
+ * @returns {Promise<{ status: 'unchanged'|'planned'|'updated', pages: number|null, chunks: number,
+ *                     changes: { add: number, change: number, keep: number, remove: number } }>}
+ *   `pages` is null when the PDF was skipped unparsed
+ */
+async function ingestDocument(fileName, buffer, opts = {}) {
+    const { dryRun = false, force = false, onEmbed = () => {} } = opts;
+    const manifest = opts.manifest || await loadManifest();
+
+    if (!force && isUpToDate(manifest, fileName, fileHash(buffer))) {
+        const stored = manifest.get(fileName).chunks.size;
+        return { status: 'unchanged', pages: null, chunks: stored, changes: { add: 0, change: 0, keep: stored, remove: 0 } };
+    }
+
+    const { pages, chunks } = await chunkPdf(fileName, buffer);
+    // Forcing: no hash matches a stored one, so every stored id counts as changed
+    const plan = planFile(manifest, fileName, force ? chunks.map(({ id }) => ({ id, hash: undefined })) : chunks);
+    const changes = {
+        add: plan.add.length,
+        change: plan.change.length,
+        keep: plan.keep.length + plan.moved.length,
+        remove: plan.remove.length,
+    };
+    if (dryRun) return { status: 'planned', pages, chunks: chunks.length, changes };
+
+    const ingestedAt = new Date().toISOString();
+    const byId = new Map(chunks.map((c) => [c.id, { ...c, metadata: { ...c.metadata, ingested_at: ingestedAt } }]));
+
+    // Same content, under the same id or a shifted one: reuse the stored
+    // vectors (read before any upsert overwrites them), refresh the metadata
+    const reuse = [...plan.keep.map((id) => ({ id, from: id })), ...plan.moved];
+    const stored = await getEmbeddings([...new Set(reuse.map(({ from }) => from))]);
+    const kept = reuse.filter(({ from }) => stored.has(from))
+        .map(({ id, from }) => ({ ...byId.get(id), embedding: stored.get(from) }));
+    if (kept.length > 0) await upsertChunks(toBatch(kept));
+
+    // New or changed (or a reused vector that went missing): embed
+    const toEmbed = [...plan.add, ...plan.change, ...reuse.filter(({ from }) => !stored.has(from)).map(({ id }) => id)]
+        .map((id) => byId.get(id));
+    for (let b = 0; b < toEmbed.length; b += EMBED_BATCH_SIZE) {
+        const batch = toEmbed.slice(b, b + EMBED_BATCH_SIZE);
+        for (const chunk of batch) {
+            chunk.embedding = await embedText(chunk.text);
+            onEmbed(chunk);
+        }
+        await upsertChunks(toBatch(batch));
+    }
+
+    await deleteChunks(plan.remove);
+    return { status: 'updated', pages, chunks: chunks.length, changes };
+}
+
+/**
+ * Deletes every stored chunk of a PDF.
+ * @param {string} fileName
+ * @returns {Promise<number>} chunks deleted
+ */
+async function removeDocument(fileName) {
+    const entry = (await loadManifest()).get(fileName);
+    if (!entry) return 0;
+    await deleteChunks([...entry.chunks.keys()]);
+    return entry.chunks.size;
+}
+
+/**
+ * One summary per ingested PDF, by file name.
+ * @returns {Promise<Array<{ file: string, chunks: number, fileHash: string|null, ingestedAt: string|null }>>}
+ */
+async function listDocuments() {
+    const manifest = await loadManifest();
+    return [...manifest]
+        .map(([file, entry]) => ({
+            file,
+            chunks: entry.chunks.size,
+            fileHash: entry.fileHash,
+            ingestedAt: entry.ingestedAt,
+        }))
+        .sort((a, b) => a.file.localeCompare(b.file));
+}
+
+module.exports = {
+    getPdfDir,
+    loadManifest,
+    chunkPdf,
+    ingestDocument,
+    removeDocument,
+    listDocuments,
+};
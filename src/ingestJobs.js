@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * ingestJobs.js — Background queue for /api/documents
+ *
+ * Embedding a PDF takes seconds to minutes, so the documents routes answer
+ * 202 with a job and run the work here. Jobs run one at a time, in the
+ * order they were queued: two ingests of the same file must not interleave
+ * their upserts and deletes, and the embedding API is rate limited anyway.
+ * Deletes go through the same queue (runExclusive) for the same reason.
+ *
+ * Jobs live in memory only; a restart forgets them, and the last
+ * MAX_FINISHED_JOBS finished jobs are kept for polling.
+ */
+
+const crypto = require('crypto');
+
+// ─── Constants ─────────────────────────────────────────────────────────────
+
+const MAX_FINISHED_JOBS = 50;
+
+// ─── State ───────────────────────────────────────────────────────────────────
+
+const jobs = new Map(); // id → job, in creation order
+let tail = Promise.resolve();
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Drops the oldest finished jobs beyond MAX_FINISHED_JOBS. */
+function trimFinished() {
+    const finished = [...jobs.values()].filter((j) => j.status === 'done' || j.status === 'failed');
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+        jobs.delete(job.id);
+    }
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Runs `task` after every queued job has finished.
+ * @template T
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+function runExclusive(task) {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Queues `task` as a job.
+ *
+ * @param {'ingest'|'reindex'} type
+ * @param {string} file
+ * @param {() => Promise<object>} task  resolves to the job's `result`
+ * @returns {{ id: string, type: string, file: string, status: 'queued'|'running'|'done'|'failed',
+ *             queuedAt: string, startedAt: string|null, finishedAt: string|null,
+ *             result: object|null, error: string|null }}
+ *   the live job object; it is updated in place as the job runs
+ */
+function startJob(type, file, task) {
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        file,
+        status: 'queued',
+        queuedAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        error: null,
+    };
+    jobs.set(job.id, job);
+
+    runExclusive(async () => {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        try {
+            job.result = await task();
+            job.status = 'done';
+        } catch (err) {
+            console.error(`[ingestJobs] ${type} ${file} failed:`, err.message);
+            job.error = err.message;
+            job.status = 'failed';
+        }
+        job.finishedAt = new Date().toISOString();
+        trimFinished();
+    });
+    return job;
+}
+
+/** @returns {object|null} the job with this id */
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+/** Jobs still queued or running, oldest first. */
+function pendingJobs() {
+    return [...jobs.values()].filter((j) => j.status === 'queued' || j.status === 'running');
+}
+
+module.exports = { startJob, getJob, pendingJobs, runExclusive };
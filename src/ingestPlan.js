@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * ingestPlan.js — What a re-ingest needs to change
+ *
+ * Each stored chunk carries `file_hash` (SHA-256 of its PDF), `content_hash`
+ * (SHA-256 of its text, pages and heading), `total_chunks` and
+ * `ingested_at` (ISO time it was last written), so the
+ * manifest of what is ingested is read back from the vector store itself
+ * and cannot drift from it. Comparing a PDF's fresh chunks against that
+ * manifest sorts them into:
+ *  - add     : ids not stored yet — embed and upsert
+ *  - change  : stored with different content — re-embed and upsert
+ *  - keep    : same content — no embedding call; metadata is refreshed
+ *              (reusing the stored vector) when the file itself changed
+ *  - moved   : content stored under another id of the file — chunk ids
+ *              are positional, so a paragraph inserted near the start
+ *              renumbers every later chunk; the vector stored with the
+ *              same content hash is reused
+ *  - remove  : stored ids the PDF no longer produces — delete
+ *
+ * A PDF whose hash matches and whose chunks are all present is skipped
+ * without parsing. Chunks of PDFs no longer in the folder are only deleted
+ * when pruning.
+ */
+
+const crypto = require('crypto');
+
+// Chunk metadata that is derived rather than content
+const BOOKKEEPING_KEYS = ['file_hash', 'content_hash', 'total_chunks', 'chunk_id', 'ingested_at'];
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Hash of a chunk's text and citation metadata.
+ * @param {string} text
+ * @param {object} metadata
+ */
+function contentHash(text, metadata) {
+    const cited = Object.fromEntries(
+        Object.entries(metadata)
+            .filter(([key]) => !BOOKKEEPING_KEYS.includes(key))
+            .sort(([a], [b]) => a.localeCompare(b))
+    );
+    return sha256(JSON.stringify({ text, metadata: cited }));
+}
+
+/** Hash of a PDF's bytes. */
+function fileHash(buffer) {
+    return sha256(buffer);
+}
+
+/**
+ * Groups stored chunks by file.
+ *
+ * @param {{ ids: string[], metadatas: object[] }} stored  e.g. from collection.get()
+ * @returns {Map<string, { fileHash: string|null, totalChunks: number|null, ingestedAt: string|null,
+ *                        chunks: Map<string, string|null> }>}
+ *   keyed by file name; chunk id → content hash (null for chunks ingested
+ *   before hashes were recorded); `ingestedAt` is the latest chunk write
+ */
+function buildManifest({ ids, metadatas }) {
+    const files = new Map();
+    ids.forEach((id, i) => {
+        const meta = metadatas[i] || {};
+        const file = meta.file || '(unknown)';
+        if (!files.has(file)) {
+            files.set(file, {
+                fileHash: meta.file_hash || null,
+                totalChunks: meta.total_chunks ?? null,
+                ingestedAt: null,
+                chunks: new Map(),
+            });
+        }
+        const entry = files.get(file);
+        if (meta.ingested_at && !(entry.ingestedAt >= meta.ingested_at)) entry.ingestedAt = meta.ingested_at;
+        // Chunks left from an interrupted run may disagree; then the file is not up to date
+        if (entry.fileHash !== (meta.file_hash || null)) entry.fileHash = null;
+        entry.chunks.set(id, meta.content_hash || null);
+    });
+    return files;
+}
+
+/**
+ * True when a PDF with `hash` is fully ingested and can be skipped unparsed.
+ */
+function isUpToDate(manifest, file, hash) {
+    const entry = manifest.get(file);
+    return Boolean(entry) && entry.fileHash === hash && entry.chunks.size === entry.totalChunks;
+}
+
+/**
+ * Sorts a PDF's fresh chunks against the manifest.
+ *
+ * @param {Map} manifest                          from buildManifest
+ * @param {string} file
+ * @param {Array<{ id: string, hash: string }>} chunks
+ * @returns {{ add: string[], change: string[], keep: string[],
+ *             moved: Array<{ id: string, from: string }>, remove: string[] }}
+ *   chunk ids; `from` is the stored id whose vector a moved chunk reuses
+ */
+function planFile(manifest, file, chunks) {
+    const stored = manifest.get(file)?.chunks || new Map();
+    const storedByHash = new Map();
+    for (const [id, hash] of stored) if (hash && !storedByHash.has(hash)) storedByHash.set(hash, id);
+
+    const plan = { add: [], change: [], keep: [], moved: [], remove: [] };
+    const fresh = new Set();
+    for (const { id, hash } of chunks) {
+        fresh.add(id);
+        if (stored.has(id) && stored.get(id) === hash) plan.keep.push(id);
+        else if (storedByHash.has(hash)) plan.moved.push({ id, from: storedByHash.get(hash) });
+        else if (!stored.has(id)) plan.add.push(id);
+        else plan.change.push(id);
+    }
+    for (const id of stored.keys()) if (!fresh.has(id)) plan.remove.push(id);
+    return plan;
+}
+
+/**
+ * Stored files that are not among `files` (deleted or moved PDFs).
+ * @returns {Array<{ file: string, ids: string[] }>}
+ */
+function findOrphans(manifest, files) {
+    const present = new Set(files);
+    return [...manifest]
+        .filter(([file]) => !present.has(file))
+        .map(([file, entry]) => ({ file, ids: [...entry.chunks.keys()] }));
+}
+
+module.exports = { contentHash, fileHash, buildManifest, isUpToDate, planFile, findOrphans };
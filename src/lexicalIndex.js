@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * lexicalIndex.js — BM25 keyword index over the ingested chunks
+ *
+ * Embedding search is good at paraphrase and poor at exact tokens: a query
+ * like "80CCD(1B) limit" is mostly a section number, and the nearest
+ * vectors are often chunks about some other section. BM25 scores chunks by
+ * the query words they actually contain, weighting rare words (section
+ * numbers) far above common ones.
+ *
+ * Section references are kept whole as well as split: "80CCD(1B)" indexes
+ * as "80ccd1b", "80ccd" and "1b", so a query for 80CCD(1B) prefers chunks
+ * about 80CCD(1B) over ones that only mention 80CCD(2). Stopwords ("the",
+ * "what", "in") are dropped, so a chunk is not a match for merely sharing
+ * one with the question.
+ */
+
+// ─── Constants ─────────────────────────────────────────────────────────────
+
+const BM25_K1 = 1.2;  // term-frequency saturation
+const BM25_B = 0.75;  // document-length normalisation
+
+// A section reference such as 80C, 87A, 10(13A) or 80CCD(1B); otherwise a word
+const TOKEN = /\d+[a-z]*(?:\(\s*[a-z0-9]+\s*\))*|[a-z]+/g;
+
+// A section reference proper: digits then letters, but not an amount ("50k", "2l")
+const SECTION_TOKEN = /^\d+[a-z][a-z0-9]*$/;
+const AMOUNT_UNIT = /^\d+(?:k|l|cr|lakhs?|lacs?|crores?)$/;
+
+// Too common to say anything about a chunk
+const STOPWORDS = new Set([
+    'a', 'about', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'but', 'by', 'can',
+    'could', 'do', 'does', 'for', 'from', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is',
+    'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'should', 'so', 'than',
+    'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to', 'today', 'was', 'we',
+    'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+]);
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Lower-cased tokens without stopwords; a section reference with
+ * sub-clauses also yields its parts ("80ccd(1b)" → "80ccd1b", "80ccd", "1b").
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    const tokens = [];
+    for (const [match] of (text || '').toLowerCase().matchAll(TOKEN)) {
+        if (STOPWORDS.has(match)) continue;
+        const parts = match.match(/[a-z0-9]+/g);
+        tokens.push(parts.join(''));
+        if (parts.length > 1) tokens.push(...parts);
+    }
+    return tokens;
+}
+
+/**
+ * The section references in a text, whole ("80ccd1b", "87a", "24b") —
+ * the tokens a keyword match can be trusted on.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function sectionTokens(text) {
+    const sections = [];
+    for (const [match] of (text || '').toLowerCase().matchAll(TOKEN)) {
+        const token = match.match(/[a-z0-9]+/g).join('');
+        if (SECTION_TOKEN.test(token) && !AMOUNT_UNIT.test(token)) sections.push(token);
+    }
+    return sections;
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Builds an in-memory BM25 index.
+ *
+ * @param {Array<{ id: string, text: string }>} docs
+ * @returns {{ size: number, search: (query: string, k?: number) => Array<{ id: string, score: number }> }}
+ */
+function buildIndex(docs) {
+    const postings = new Map(); // term → Map(docIndex → term frequency)
+    const lengths = docs.map(({ text }, d) => {
+        const tokens = tokenize(text);
+        for (const term of tokens) {
+            if (!postings.has(term)) postings.set(term, new Map());
+            const tf = postings.get(term);
+            tf.set(d, (tf.get(d) || 0) + 1);
+        }
+        return tokens.length;
+    });
+    const avgLength = lengths.reduce((sum, n) => sum + n, 0) / (docs.length || 1);
+
+    const idf = (term) => {
+        const df = postings.get(term)?.size || 0;
+        return Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+    };
+
+    /**
+     * Top-k documents by BM25 score; documents sharing no query term are
+     * left out.
+     */
+    function search(query, k = 10) {
+        const scores = new Map();
+        for (const term of new Set(tokenize(query))) {
+            const tf = postings.get(term);
+            if (!tf) continue;
+            const weight = idf(term);
+            for (const [d, freq] of tf) {
+                const norm = freq + BM25_K1 * (1 - BM25_B + BM25_B * (lengths[d] / avgLength));
+                scores.set(d, (scores.get(d) || 0) + weight * ((freq * (BM25_K1 + 1)) / norm));
+            }
+        }
+        return [...scores]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, k)
+            .map(([d, score]) => ({ id: docs[d].id, score }));
+    }
+
+    return { size: docs.length, search };
+}
+
+module.exports = { buildIndex, tokenize, sectionTokens };
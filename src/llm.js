@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * llm.js — LLM provider selection
+ *
+ * LLM_PROVIDER picks who writes the explanation in /api/explain:
+ *  - "gemini" (default) : Gemini API (see llms/gemini.js)
+ *  - "openai"           : any OpenAI-compatible chat completions endpoint,
+ *                         hosted or local (see llms/openai.js)
+ *  - "template"         : offline, deterministic text built from the tax
+ *                         numbers alone (see llms/template.js)
+ *
+ * Every provider exposes `name`, `isConfigured()`, `setupHint` (what to set
+ * when it is not configured) and `generate(request)`, where `request`
+ * carries the finished `prompt` as well as the `taxNumbers`, `chunks` and
+ * `query` it was built from, and `json` when the prompt asks for a JSON
+ * reply (see llmOutput.js). HTTP providers send the prompt, switch on their
+ * API's JSON mode, and own their retries and model fallback; the template
+ * provider ignores the prompt and always replies in JSON.
+ *
+ * For streaming, `request` may also carry `onAttempt(model)`, called before
+ * every try (a retry or fallback starts the reply over), and
+ * `onToken(text)`, called with each piece of the reply as it arrives.
+ */
+
+const PROVIDERS = {
+    gemini: () => require('./llms/gemini'),
+    openai: () => require('./llms/openai'),
+    template: () => require('./llms/template'),
+};
+
+/**
+ * Resolves the provider named by LLM_PROVIDER.
+ * @returns {{ name: string, setupHint: string|null, isConfigured: () => boolean,
+ *            generate: (request: { prompt: string, taxNumbers: object, chunks: object[], query?: string, json?: boolean,
+ *                                  onAttempt?: (model: string) => void, onToken?: (text: string) => void })
+ *              => Promise<{ text: string, model: string }> }}
+ * @throws {Error} for an unknown provider name
+ */
+function getLlm() {
+    const name = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+    if (!PROVIDERS[name]) {
+        throw new Error(
+            `Unknown LLM_PROVIDER "${name}". Supported: ${Object.keys(PROVIDERS).join(', ')}`
+        );
+    }
+    return PROVIDERS[name]();
+}
+
+/** "gemini", or "gemini (not configured)" — for logs and /api/health. */
+function describeLlm() {
+    const llm = getLlm();
+    return llm.isConfigured() ? llm.name : `${llm.name} (not configured)`;
+}
+
+module.exports = { getLlm, describeLlm };
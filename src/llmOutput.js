@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * llmOutput.js — Structured explanation from the LLM
+ *
+ * The prompt asks for one JSON object:
+ *   { "summary": "...", "tips": [{ "text": "...", "excerpts": [1, 3] }], "caveats": ["..."] }
+ * where `excerpts` are the numbers of the "[Excerpt N]" blocks a tip relies
+ * on. The reply is validated with Zod rather than scraped line by line.
+ *
+ * Models wrap JSON in code fences, add a sentence before it or leave a
+ * trailing comma; those are repaired locally. A reply that still does not
+ * validate is sent back once with the error (a re-ask). Excerpt numbers
+ * that do not exist are dropped. If nothing valid comes back, callers get
+ * the raw text so the user still sees something.
+ */
+
+const { z } = require('zod');
+
+// ─── Constants ─────────────────────────────────────────────────────────────
+
+const MAX_REASKS = 1;
+const MAX_ECHOED_CHARS = 4000; // of the invalid reply, sent back in the re-ask
+
+// ─── Schema ──────────────────────────────────────────────────────────────────
+
+// A bare string is accepted as a tip without citations
+const TipSchema = z.union([
+    z.string().trim().min(1).transform((text) => ({ text, excerpts: [] })),
+    z.object({
+        text: z.string().trim().min(1),
+        excerpts: z.array(z.coerce.number().int()).default([]),
+    }),
+]);
+
+const ExplanationSchema = z.object({
+    summary: z.string().trim().min(1),
+    tips: z.array(TipSchema).max(10).default([]),
+    caveats: z.array(z.string().trim().min(1)).max(10).default([]),
+});
+
+/** The JSON shape, as shown to the model in the prompt. */
+const RESPONSE_FORMAT = `{
+  "summary": "2-4 sentences",
+  "tips": [{ "text": "one actionable tip", "excerpts": [1] }],
+  "caveats": ["one condition or caveat"]
+}`;
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** "tips.0.text: Required; summary: Expected string, received null" */
+function describeIssues(error) {
+    return error.issues
+        .map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+        .join('; ');
+}
+
+/**
+ * Candidate JSON texts for a reply, most literal first.
+ * @returns {Array<{ json: string, repaired: boolean }>}
+ */
+function candidates(text) {
+    const trimmed = (text || '').trim();
+    const out = [{ json: trimmed, repaired: false }];
+    const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    if (fenced) out.push({ json: fenced[1], repaired: false });
+    const start = trimmed.indexOf('{');
+    const end = trimmed.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+        const object = trimmed.slice(start, end + 1);
+        out.push({ json: object, repaired: true });
+        out.push({ json: object.replace(/,\s*([}\]])/g, '$1'), repaired: true });
+    }
+    return out;
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Parses and validates a reply.
+ *
+ * @param {string} text          the model's reply
+ * @param {number} excerptCount  excerpts in the prompt; other numbers are dropped
+ * @returns {{ ok: true, value: { summary: string, tips: Array<{ text: string, excerpts: number[] }>,
+ *             caveats: string[] }, repaired: boolean }
+ *          | { ok: false, error: string }}
+ */
+function parseExplanation(text, excerptCount) {
+    let error = 'No JSON object found';
+    for (const { json, repaired } of candidates(text)) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (err) {
+            continue;
+        }
+        const parsed = ExplanationSchema.safeParse(data);
+        if (!parsed.success) {
+            error = describeIssues(parsed.error);
+            continue;
+        }
+        const value = parsed.data;
+        for (const tip of value.tips) {
+            tip.excerpts = [...new Set(tip.excerpts)].filter((n) => n >= 1 && n <= excerptCount);
+        }
+        return { ok: true, value, repaired };
+    }
+    return { ok: false, error };
+}
+
+/**
+ * The prompt for a re-ask: the original prompt, the invalid reply and
+ * what was wrong with it.
+ */
+function buildReaskPrompt(prompt, reply, error) {
+    return `${prompt}
+
+=== YOUR PREVIOUS RESPONSE ===
+${(reply || '').slice(0, MAX_ECHOED_CHARS)}
+
+That response was not valid (${error}). Respond again with ONLY the JSON object described above.`;
+}
+
+/**
+ * Generates an explanation with `provider`, re-asking once if the reply
+ * does not validate.
+ *
+ * @param {{ generate: Function }} provider  from getLlm()
+ * @param {{ prompt: string, chunks: object[] }} request  passed on to provider.generate
+ * @returns {Promise<{ explanation: object|null, text: string, model: string,
+ *                     output: 'json'|'repaired'|'text', attempts: number }>}
+ *   `explanation` is null (and `output` "text") when no reply validated;
+ *   `text` is then the last raw reply
+ * @throws whatever provider.generate throws
+ */
+async function generateExplanation(provider, request) {
+    const excerptCount = request.chunks?.length || 0;
+    let reply = await provider.generate({ ...request, json: true });
+    let parsed = parseExplanation(reply.text, excerptCount);
+    let attempts = 1;
+
+    while (!parsed.ok && attempts <= MAX_REASKS) {
+        console.warn(`[llm] Invalid JSON from ${reply.model} (${parsed.error.slice(0, 80)}), re-asking`);
+        attempts++;
+        reply = await provider.generate({
+            ...request,
+            prompt: buildReaskPrompt(request.prompt, reply.text, parsed.error),
+            json: true,
+        });
+        parsed = parseExplanation(reply.text, excerptCount);
+    }
+
+    let output = 'text';
+    if (parsed.ok) output = parsed.repaired || attempts > 1 ? 'repaired' : 'json';
+    return {
+        explanation: parsed.ok ? parsed.value : null,
+        text: reply.text,
+        model: reply.model,
+        output,
+        attempts,
+    };
+}
+
+module.exports = {
+    ExplanationSchema,
+    RESPONSE_FORMAT,
+    parseExplanation,
+    buildReaskPrompt,
+    generateExplanation,
+};
@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * fallback.js — Retry and model fallback shared by the HTTP LLM providers
+ *
+ * Each model in the list is tried in order. A rate-limited call (429) is
+ * retried once on the same model after the delay the server suggests; any
+ * other failure, or a second 429, moves on to the next model. The last
+ * error is thrown when every model has failed.
+ */
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * @param {object} opts
+ *   @param {string}   opts.label        log prefix, e.g. "gemini"
+ *   @param {string[]} opts.models       model names, preferred first
+ *   @param {(model: string) => Promise<string>} opts.call   one generation attempt
+ *   @param {(err: Error) => number|null} opts.retryDelay
+ *     ms to wait before retrying a rate-limited call; null when `err` is not a rate limit
+ * @returns {Promise<{ text: string, model: string }>}
+ */
+async function withFallback({ label, models, call, retryDelay }) {
+    let lastErr;
+    for (const model of models) {
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                const text = await call(model);
+                console.log(`[${label}] ✅ responded with ${model}`);
+                return { text, model };
+            } catch (err) {
+                lastErr = err;
+                const delay = retryDelay(err);
+                if (delay !== null && attempt === 0) {
+                    console.warn(`[${label}] 429 on ${model}, retrying in ${delay}ms…`);
+                    await sleep(delay);
+                    continue; // retry same model once
+                }
+                // Not 429 or second attempt failed — try next model
+                console.warn(`[${label}] ${model} failed (${err.message?.slice(0, 60)})`);
+                break;
+            }
+        }
+    }
+    throw lastErr; // all models exhausted
+}
+
+module.exports = { withFallback };
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * gemini.js — Gemini LLM provider
+ *
+ * Calls the Gemini API with GEMINI_API_KEY, trying GEMINI_MODEL first and
+ * then the models known to work on the free tier. With `onToken` the reply
+ * is streamed (generateContentStream) and each piece is passed on as it
+ * arrives.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { withFallback } = require('./fallback');
+
+// gemini-2.5-flash is confirmed working on this API key.
+// 1.5-flash variants return 404 on v1beta; 2.0-flash returns 429 (quota).
+const GEMINI_MODELS = process.env.GEMINI_MODEL
+    ? [process.env.GEMINI_MODEL, 'gemini-2.5-flash', 'gemini-2.0-flash']
+    : ['gemini-2.5-flash', 'gemini-2.0-flash', 'gemini-2.0-flash-lite'];
+
+/**
+ * Extract the suggested retry delay (seconds) from a 429 error message.
+ * Falls back to defaultSec if not found.
+ */
+function parseRetryDelay(errMsg, defaultSec = 10) {
+    const match = errMsg?.match(/retry in ([\d.]+)s/i);
+    return match ? Math.ceil(parseFloat(match[1])) * 1000 : defaultSec * 1000;
+}
+
+function isConfigured() {
+    const key = process.env.GEMINI_API_KEY;
+    return Boolean(key) && key !== 'your_gemini_api_key_here';
+}
+
+/**
+ * @param {{ prompt: string, json?: boolean, onAttempt?: Function, onToken?: Function }} request
+ *   `json` asks for a JSON-only reply; `onAttempt(model)` is called before
+ *   each try, `onToken(text)` with each streamed piece
+ * @returns {Promise<{ text: string, model: string }>}
+ */
+async function generate({ prompt, json = false, onAttempt, onToken }) {
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    return withFallback({
+        label: 'gemini',
+        models: GEMINI_MODELS,
+        call: async (modelName) => {
+            const model = genAI.getGenerativeModel({
+                model: modelName,
+                ...(json && { generationConfig: { responseMimeType: 'application/json' } }),
+            });
+            onAttempt?.(modelName);
+            if (!onToken) {
+                const result = await model.generateContent(prompt);
+                return result.response.text();
+            }
+            const result = await model.generateContentStream(prompt);
+            let text = '';
+            for await (const chunk of result.stream) {
+                const piece = chunk.text();
+                text += piece;
+                if (piece) onToken(piece);
+            }
+            return text;
+        },
+        retryDelay: (err) =>
+            err.message?.includes('429') || err.status === 429 ? parseRetryDelay(err.message) : null,
+    });
+}
+
+module.exports = {
+    name: 'gemini',
+    setupHint: 'Set GEMINI_API_KEY in .env to enable AI-powered explanations.',
+    isConfigured,
+    generate,
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * openai.js — OpenAI-compatible LLM provider
+ *
+ * POSTs to `<OPENAI_BASE_URL>/chat/completions`, so it works with OpenAI
+ * itself and with local servers that speak the same API (Ollama at
+ * http://localhost:11434/v1, llama.cpp, LM Studio, vLLM). OPENAI_MODEL may
+ * list several models separated by commas, tried in order. OPENAI_API_KEY
+ * is sent as a bearer token when set; local servers usually need none.
+ * With `onToken` the request sets `stream: true` and the server-sent
+ * deltas are passed on as they arrive.
+ */
+
+const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+const { withFallback } = require('./fallback');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const REQUEST_TIMEOUT_MS = 60_000; // local models on a CPU can be slow
+const DEFAULT_RETRY_SEC = 10;
+
+function settings() {
+    return {
+        baseUrl: (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, ''),
+        apiKey: process.env.OPENAI_API_KEY,
+        models: (process.env.OPENAI_MODEL || DEFAULT_MODEL).split(',').map((m) => m.trim()).filter(Boolean),
+    };
+}
+
+/** A key for the hosted API, or any base URL (a local server needs no key). */
+function isConfigured() {
+    return Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL);
+}
+
+/** ms to wait after a 429, from its Retry-After header; null for other errors. */
+function retryDelay(err) {
+    if (err.response?.status !== 429) return null;
+    const seconds = Number(err.response.headers?.['retry-after']);
+    return (Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_RETRY_SEC) * 1000;
+}
+
+/**
+ * Reads a streamed chat completion ("data: {...}" lines, ending with
+ * "data: [DONE]"), passing each content delta to onToken.
+ * @returns {Promise<string>} the whole reply
+ */
+async function readStream(stream, onToken) {
+    const decoder = new StringDecoder('utf8'); // "₹" may be split across chunks
+    let text = '';
+    let buffered = '';
+    for await (const bytes of stream) {
+        buffered += typeof bytes === 'string' ? bytes : decoder.write(bytes);
+        const lines = buffered.split('\n');
+        buffered = lines.pop(); // may be incomplete
+        for (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+            const payload = line.slice('data:'.length).trim();
+            if (!payload || payload === '[DONE]') continue;
+            const piece = JSON.parse(payload).choices?.[0]?.delta?.content;
+            if (piece) {
+                text += piece;
+                onToken(piece);
+            }
+        }
+    }
+    return text;
+}
+
+/**
+ * @param {{ prompt: string, json?: boolean, onAttempt?: Function, onToken?: Function }} request
+ *   `json` asks for a JSON-only reply; `onAttempt(model)` is called before
+ *   each try, `onToken(text)` with each streamed piece
+ * @returns {Promise<{ text: string, model: string }>}
+ */
+async function generate({ prompt, json = false, onAttempt, onToken }) {
+    const { baseUrl, apiKey, models } = settings();
+    return withFallback({
+        label: 'openai',
+        models,
+        call: async (model) => {
+            onAttempt?.(model);
+            const { data } = await axios.post(
+                `${baseUrl}/chat/completions`,
+                {
+                    model,
+                    messages: [{ role: 'user', content: prompt }],
+                    temperature: 0.2,
+                    ...(json && { response_format: { type: 'json_object' } }),
+                    ...(onToken && { stream: true }),
+                },
+                {
+                    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+                    timeout: REQUEST_TIMEOUT_MS,
+                    ...(onToken && { responseType: 'stream' }),
+                }
+            );
+            const text = onToken ? await readStream(data, onToken) : data?.choices?.[0]?.message?.content;
+            if (!text) throw new Error(`Empty response from ${model}`);
+            return text;
+        },
+        retryDelay,
+    });
+}
+
+module.exports = {
+    name: 'openai',
+    setupHint: 'Set OPENAI_API_KEY or OPENAI_BASE_URL in .env to enable AI-powered explanations.',
+    isConfigured,
+    generate,
+};
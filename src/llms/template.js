@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * template.js — Offline LLM provider that fills in a fixed template
+ *
+ * Writes the explanation from the computed tax numbers alone: the verdict
+ * and each regime's taxable income, tax and top slab in the summary; capped
+ * deductions as tips, plus a tip pointing to each retrieved excerpt by its
+ * number; the 87A rebate as a caveat. It never reads the excerpts' text, so
+ * it cannot misstate the law, and the same input always gives the same
+ * output — which is what tests and offline demos need. The reply is the
+ * same JSON object the prompt asks the other providers for; when streamed,
+ * it arrives as a single token.
+ */
+
+const { formatCitation } = require('../chunker');
+
+const MAX_EXCERPT_POINTERS = 3;
+
+const inr = (n) => `₹${Math.abs(n).toLocaleString('en-IN')}`;
+const regimeName = (regime) => (regime === 'old' ? 'Old Regime' : 'New Regime');
+
+/** The highest slab with income in it, e.g. "₹10,00,000 – ₹12,00,000 @ 15%". */
+function topSlab(result) {
+    const slabs = (result.trace || []).filter((t) => t.step === 'slab' && t.amount > 0);
+    return slabs.length > 0 ? slabs.at(-1).label : null;
+}
+
+function describeRegime(regime, result) {
+    const parts = [`taxable income ${inr(result.taxableIncome)}, tax ${inr(result.totalTax)} (${result.effectiveRate}% effective)`];
+    if (result.totalDeductions > 0) parts.push(`after ${inr(result.totalDeductions)} of deductions`);
+    const slab = topSlab(result);
+    if (slab) parts.push(`top slab reached: ${slab}`);
+    return `${regimeName(regime)}: ${parts.join('; ')}.`;
+}
+
+/**
+ * @param {{ taxNumbers: object, chunks?: Array<{ metadata: object }>, onAttempt?: Function, onToken?: Function }} request
+ * @returns {Promise<{ text: string, model: string }>}  `text` is JSON
+ */
+async function generate({ taxNumbers, chunks = [], onAttempt, onToken }) {
+    onAttempt?.('template');
+
+    const { old: oldRegime, new: newRegime, betterRegime, recommendation, financialYear } = taxNumbers;
+
+    let verdict;
+    if (betterRegime === 'equal') {
+        verdict = `${recommendation} Each regime's tax for FY ${financialYear} is ${inr(newRegime.totalTax)}.`;
+    } else {
+        const [better, other] = betterRegime === 'new' ? [newRegime, oldRegime] : [oldRegime, newRegime];
+        const otherRegime = betterRegime === 'new' ? 'old' : 'new';
+        verdict = `${recommendation} For FY ${financialYear} your tax is ${inr(better.totalTax)} under the ` +
+            `${regimeName(betterRegime)} against ${inr(other.totalTax)} under the ${regimeName(otherRegime)}.`;
+    }
+    const summary = [verdict, describeRegime('old', oldRegime), describeRegime('new', newRegime)].join(' ');
+
+    const tips = [];
+    for (const d of oldRegime.deductionBreakdown || []) {
+        if (d.claimed > d.allowed) {
+            tips.push({ text: `${d.label}: ${inr(d.claimed)} claimed but only ${inr(d.allowed)} allowed.`, excerpts: [] });
+        }
+    }
+    chunks.slice(0, MAX_EXCERPT_POINTERS).forEach((c, i) => {
+        const citation = formatCitation(c.metadata) || 'page unknown';
+        tips.push({
+            text: `For the rules behind these figures, see Excerpt ${i + 1} (${c.metadata?.file || 'unknown'}, ${citation}).`,
+            excerpts: [i + 1],
+        });
+    });
+
+    const caveats = [];
+    for (const [regime, result] of [['old', oldRegime], ['new', newRegime]]) {
+        if (result.rebate87A > 0) {
+            caveats.push(`The rebate u/s 87A of ${inr(result.rebate87A)} reduces the ${regimeName(regime)} tax.`);
+        }
+    }
+    caveats.push('Written from the computed tax numbers by the offline template provider; the excerpts are cited, not interpreted.');
+
+    const text = JSON.stringify({ summary, tips, caveats });
+    onToken?.(text);
+    return { text, model: 'template' };
+}
+
+module.exports = {
+    name: 'template',
+    setupHint: null,
+    isConfigured: () => true,
+    generate,
+};
@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * optimizer.js — Where should the next rupee go?
+ *
+ * Given current claims and an investable budget, fills the remaining room
+ * in the investment-linked Old Regime sections (80C, 80CCD(1B), 80D for
+ * self and parents), using the caps from taxRules.js for the taxpayer's
+ * year and category.
+ *
+ * Every rupee in these sections lowers slab income by one rupee, so tax
+ * depends only on the total invested, not on how it is split. Because tax
+ * is step-wise (87A cliff, slab edges), investing the whole budget may
+ * save no more than a smaller amount: we invest the smallest amount that
+ * reaches the lowest tax the budget allows.
+ */
+
+const { computeOldRegime, computeNewRegime } = require('./taxCalc');
+const { getRules, DEDUCTION_SECTIONS } = require('./taxRules');
+
+// ─── Constants ─────────────────────────────────────────────────────────────
+
+// Filled in this order when the budget cannot cover every section
+const INVESTABLE_SECTIONS = ['section80C', 'section80CCD1B', 'section80D', 'section80DParents'];
+
+const MARGINAL_PROBE = 1_000; // ₹ used to measure "what the next rupee saves"
+// Recommendations are rounded up to this: totalTax is rounded to the rupee,
+// so the last few rupees of an investment can look like they save nothing
+const INVESTMENT_STEP = 100;
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Remaining room (cap minus current claim) in each investable section.
+ */
+function sectionRoom(deductions, rules) {
+  return INVESTABLE_SECTIONS.map((section) => {
+    const limit = rules.deductions[section];
+    const cap = limit
+      ? (deductions.parentsSenior && limit.seniorParentsCap) || limit.cap
+      : 0;
+    const currentClaim = deductions[section] || 0;
+    return { section, cap, currentClaim, room: Math.max(0, cap - currentClaim) };
+  });
+}
+
+/**
+ * Spreads `amount` across sections in INVESTABLE_SECTIONS order.
+ * @returns {object} extra amount per section
+ */
+function allocate(amount, rooms) {
+  const extra = {};
+  let left = amount;
+  for (const { section, room } of rooms) {
+    extra[section] = Math.min(left, room);
+    left -= extra[section];
+  }
+  return extra;
+}
+
+function withExtra(deductions, extra) {
+  const merged = { ...deductions };
+  for (const [section, amount] of Object.entries(extra)) {
+    merged[section] = (merged[section] || 0) + amount;
+  }
+  return merged;
+}
+
+const perRupee = (saved, invested) => (invested > 0 ? +(saved / invested).toFixed(4) : 0);
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Recommends how to invest `budget` across deduction sections to minimise
+ * Old Regime tax, and says whether that beats the New Regime.
+ *
+ * @param {number|object} income  (same shape as computeOldRegime)
+ * @param {object} deductions     current claims (same shape as computeOldRegime)
+ * @param {number} budget         rupees available to invest
+ * @param {object} [options]      (same shape as computeOldRegime)
+ *
+ * @returns {{ budget, investableRoom, recommendedInvestment, unusedBudget, allocation,
+ *             oldTaxBefore, oldTaxAfter, newTax, taxSaved, savedPerRupee, nextRupeeSaves,
+ *             recommendedRegime }}
+ */
+function optimizeDeductions(income, deductions, budget, options = {}) {
+  const before = computeOldRegime(income, deductions, options);
+  const rules = getRules(before.financialYear, before.category).old;
+  const newTax = computeNewRegime(income, deductions, options).totalTax;
+
+  const rooms = sectionRoom(deductions, rules);
+  const investableRoom = rooms.reduce((sum, r) => sum + r.room, 0);
+  const maxInvest = Math.min(budget, investableRoom);
+
+  const taxWith = (amount) =>
+    computeOldRegime(income, withExtra(deductions, allocate(amount, rooms)), options).totalTax;
+
+  // Smallest amount that reaches the lowest tax within budget (tax is
+  // non-increasing in the amount invested, so bisection is safe)
+  const floorTax = taxWith(maxInvest);
+  let lo = -1;
+  let hi = maxInvest;
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (taxWith(mid) <= floorTax) hi = mid;
+    else lo = mid;
+  }
+  const recommendedInvestment = Math.min(maxInvest, Math.ceil(hi / INVESTMENT_STEP) * INVESTMENT_STEP);
+
+  // Per-section lines, filled in order so each shows its own saving
+  const extra = allocate(recommendedInvestment, rooms);
+  let filled = 0;
+  let taxSoFar = before.totalTax;
+  const allocation = rooms.map(({ section, cap, currentClaim, room }) => {
+    const invest = extra[section];
+    filled += invest;
+    const taxAfter = taxWith(filled);
+    const taxSaved = taxSoFar - taxAfter;
+    taxSoFar = taxAfter;
+    return {
+      section,
+      label: DEDUCTION_SECTIONS[section],
+      currentClaim,
+      cap,
+      room,
+      invest,
+      taxSaved,
+      savedPerRupee: perRupee(taxSaved, invest),
+    };
+  });
+
+  const taxSaved = before.totalTax - floorTax;
+  const probe = Math.min(MARGINAL_PROBE, investableRoom - recommendedInvestment);
+  const nextRupeeSaves = perRupee(floorTax - taxWith(recommendedInvestment + probe), probe);
+
+  return {
+    budget,
+    investableRoom,
+    recommendedInvestment,
+    unusedBudget: budget - recommendedInvestment,
+    allocation,
+    oldTaxBefore: before.totalTax,
+    oldTaxAfter: floorTax,
+    newTax,
+    taxSaved,
+    savedPerRupee: perRupee(taxSaved, recommendedInvestment),
+    nextRupeeSaves,
+    recommendedRegime: floorTax < newTax ? 'old' : floorTax > newTax ? 'new' : 'equal',
+  };
+}
+
+module.exports = { optimizeDeductions, INVESTABLE_SECTIONS };
@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * payroll.js — Monthly TDS projection and the year-end regime switch
+ *
+ * Employers deduct tax (TDS) from salary every month under the regime the
+ * employee declared at the start of the year. Given salary and TDS so far,
+ * this projects the full-year tax under each regime, spreads what is left
+ * evenly over the remaining months, and shows the refund or extra tax due
+ * if the return is filed under the other regime (salaried individuals can
+ * still switch regimes when filing their ITR).
+ *
+ * Months are counted from April, the first month of the financial year.
+ */
+
+const { compareTaxRegimes } = require('./taxCalc');
+
+// ─── Constants ─────────────────────────────────────────────────────────────
+
+const FY_MONTHS = ['Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec', 'Jan', 'Feb', 'Mar'];
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Spreads `amount` over the months after `monthsElapsed`; the last month
+ * absorbs the rounding.
+ * @returns {Array<{ month: string, tds: number }>}
+ */
+function monthlySchedule(amount, monthsElapsed) {
+  const months = FY_MONTHS.slice(monthsElapsed);
+  if (months.length === 0) return [];
+
+  const perMonth = Math.floor(amount / months.length);
+  return months.map((month, i) => ({
+    month,
+    tds: i === months.length - 1 ? amount - perMonth * (months.length - 1) : perMonth,
+  }));
+}
+
+/**
+ * What happens at filing time when `tdsDeducted` has been withheld and the
+ * return shows `taxLiability`.
+ */
+function settlement(taxLiability, tdsDeducted) {
+  const balance = taxLiability - tdsDeducted;
+  return {
+    taxLiability,
+    balance,
+    outcome: balance > 0 ? 'payable' : balance < 0 ? 'refund' : 'nil',
+  };
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Projects TDS for the rest of the year under both regimes.
+ *
+ * @param {number|object} income  Income for the full year (same shape as
+ *   computeOldRegime). `salary` is the current annual rate: the months still
+ *   to come are paid at salary / 12, past months come from `salaryToDate`.
+ * @param {object} deductions     (same shape as computeOldRegime)
+ * @param {object} payroll
+ *   @param {number} payroll.monthsElapsed     salary months paid so far (0–12)
+ *   @param {number} [payroll.salaryToDate=0]  gross salary paid so far
+ *   @param {number} [payroll.tdsToDate=0]     TDS already deducted
+ *   @param {'old'|'new'} [payroll.declaredRegime='new']  regime declared to the employer
+ * @param {object} [options]      (same shape as computeOldRegime)
+ *
+ * @returns {{ financialYear, category, declaredRegime, monthsElapsed, remainingMonths,
+ *             projectedSalary, tdsToDate, betterRegime,
+ *             regimes: { old, new }, yearEnd: { tdsDeducted, old, new }, recommendation }}
+ */
+function projectTds(income, deductions, payroll, options = {}) {
+  const {
+    monthsElapsed,
+    salaryToDate = 0,
+    tdsToDate = 0,
+    declaredRegime = 'new',
+  } = payroll;
+  const heads = typeof income === 'number' ? { salary: income } : income;
+  const remainingMonths = FY_MONTHS.length - monthsElapsed;
+
+  const projectedSalary = Math.round(salaryToDate + (heads.salary / 12) * remainingMonths);
+  const comparison = compareTaxRegimes({ ...heads, salary: projectedSalary }, deductions, options);
+
+  // TDS still to be deducted if payroll withheld under each regime
+  const regimes = {};
+  for (const regime of ['old', 'new']) {
+    const totalTax = comparison[regime].totalTax;
+    const remainingTds = Math.max(0, totalTax - tdsToDate);
+    const schedule = monthlySchedule(remainingTds, monthsElapsed);
+    regimes[regime] = {
+      totalTax,
+      remainingTds,
+      monthlyTds: schedule[0]?.tds ?? 0,
+      schedule,
+    };
+  }
+
+  // Payroll keeps withholding under the declared regime for the months
+  // left (none once all twelve are paid); the return may be filed under either
+  const withheld = regimes[declaredRegime].schedule.reduce((sum, m) => sum + m.tds, 0);
+  const tdsDeducted = tdsToDate + withheld;
+  const yearEnd = {
+    tdsDeducted,
+    old: settlement(comparison.old.totalTax, tdsDeducted),
+    new: settlement(comparison.new.totalTax, tdsDeducted),
+  };
+
+  const other = declaredRegime === 'old' ? 'new' : 'old';
+  const name = (regime) => (regime === 'old' ? 'Old' : 'New');
+  const { balance } = yearEnd[other];
+  const inr = (n) => `₹${Math.abs(n).toLocaleString('en-IN')}`;
+  let recommendation;
+  if (balance < 0) {
+    recommendation = `Filing under the ${name(other)} Regime would get you a refund of ${inr(balance)}.`;
+  } else if (balance > 0) {
+    recommendation = `Filing under the ${name(other)} Regime would leave ${inr(balance)} to pay; stay with the ${name(declaredRegime)} Regime.`;
+  } else {
+    recommendation = 'Both regimes settle to the same amount at year end.';
+  }
+
+  return {
+    financialYear: comparison.financialYear,
+    category: comparison.category,
+    declaredRegime,
+    monthsElapsed,
+    remainingMonths,
+    projectedSalary,
+    tdsToDate,
+    betterRegime: comparison.betterRegime,
+    regimes,
+    yearEnd,
+    recommendation,
+  };
+}
+
+module.exports = { projectTds, FY_MONTHS };
@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * rerank.js — Filters retrieved chunks before they reach the prompt
+ *
+ * queryTopK returns the best-ranked chunks whether or not they are any
+ * good. This stage, in order:
+ *  1. drops chunks whose cosine distance is above RAG_MAX_DISTANCE (by
+ *     default the embedding provider's `maxRelevantDistance`), unless they
+ *     contain a section number the query names — "80CCD(1B)" finds the
+ *     right chunk by keyword even when its vector is far from the query's.
+ *     Sharing an ordinary word with the query is not enough: most chunks
+ *     share one, and nothing would ever be too distant;
+ *  2. drops duplicates — the same text (whitespace and case aside) as a
+ *     chunk already kept, e.g. a paragraph repeated in another file. The
+ *     next chunk of the same section is not one: chunks repeat at most a
+ *     carried sentence, so it holds the rest of the section;
+ *  3. takes at most RAG_MAX_PER_FILE chunks per file while other files have
+ *     relevant chunks left, then fills any remaining slots in rank order.
+ *
+ * Retrieval order is kept otherwise. An empty result means nothing in the
+ * index is relevant, and callers should say so rather than prompt with it.
+ */
+
+const { getEmbedder } = require('./embeddings');
+const { sectionTokens } = require('./lexicalIndex');
+
+// ─── Constants ─────────────────────────────────────────────────────────────
+
+const DEFAULT_MAX_PER_FILE = 2;
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function settings() {
+    return {
+        maxDistance: Number(process.env.RAG_MAX_DISTANCE) || getEmbedder().maxRelevantDistance,
+        maxPerFile: Number(process.env.RAG_MAX_PER_FILE) || DEFAULT_MAX_PER_FILE,
+    };
+}
+
+const normalise = (text) => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+/** True if `chunk` was a keyword match on one of the query's section numbers. */
+function matchesSection(chunk, sections) {
+    if (!(chunk.scores?.lexical > 0) || sections.length === 0) return false;
+    const meta = chunk.metadata || {};
+    const own = new Set(sectionTokens([chunk.text, meta.heading, meta.section_path].join(' ')));
+    return sections.some((s) => own.has(s));
+}
+
+/** True if `chunk` repeats the text of `kept`. */
+function isDuplicate(chunk, kept) {
+    return normalise(chunk.text) === normalise(kept.text);
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Re-ranks retrieved chunks (see the module comment).
+ *
+ * @param {Array<{ text: string, metadata: object, distance: number|null }>} chunks
+ *   in retrieval order, best first
+ * @param {object} [opts]
+ *   @param {number} [opts.k=5]            chunks to return at most
+ *   @param {number} [opts.maxDistance]    default RAG_MAX_DISTANCE or the provider's threshold
+ *   @param {number} [opts.maxPerFile]     default RAG_MAX_PER_FILE or 2
+ *   @param {string} [opts.query]          the question; its section numbers let keyword
+ *                                         matches past the distance threshold
+ *
+ * @returns {{ chunks: object[], stats: { candidates: number, tooDistant: number,
+ *             duplicates: number, used: number, maxDistance: number } }}
+ */
+function rerankChunks(chunks, opts = {}) {
+    const { k = 5, maxDistance, maxPerFile, query = '' } = { ...settings(), ...opts };
+
+    // A keyword match on a section number is kept whatever its distance
+    const sections = sectionTokens(query);
+    const relevant = chunks.filter((c) =>
+        matchesSection(c, sections) ||
+        (c.distance !== null && c.distance !== undefined && c.distance <= maxDistance)
+    );
+
+    const unique = [];
+    for (const chunk of relevant) {
+        if (!unique.some((kept) => isDuplicate(chunk, kept))) unique.push(chunk);
+    }
+
+    const picked = [];
+    const perFile = new Map();
+    for (const chunk of unique) {
+        if (picked.length === k) break;
+        const file = chunk.metadata?.file;
+        if ((perFile.get(file) || 0) >= maxPerFile) continue;
+        perFile.set(file, (perFile.get(file) || 0) + 1);
+        picked.push(chunk);
+    }
+    // Not enough other files to fill k: take the next best regardless
+    for (const chunk of unique) {
+        if (picked.length === k) break;
+        if (!picked.includes(chunk)) picked.push(chunk);
+    }
+    const order = new Map(unique.map((c, i) => [c, i]));
+    picked.sort((a, b) => order.get(a) - order.get(b));
+
+    return {
+        chunks: picked,
+        stats: {
+            candidates: chunks.length,
+            tooDistant: chunks.length - relevant.length,
+            duplicates: relevant.length - unique.length,
+            used: picked.length,
+            maxDistance,
+        },
+    };
+}
+
+module.exports = { rerankChunks };
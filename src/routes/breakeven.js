@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * breakeven.js — GET /api/breakeven route
+ *
+ * Answers "how much more must I invest before the Old Regime wins?" for a
+ * salary and current deductions passed as query parameters, e.g.
+ *   /api/breakeven?salary=1500000&section80C=150000&financialYear=2025-26
+ */
+
+const express = require('express');
+const { findBreakEvenDeduction } = require('../breakEven');
+const { TaxQuerySchema, fromTaxQuery, resolveTaxInputs } = require('../schemas');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+    const parsed = TaxQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+        return res.status(400).json({
+            error: 'Invalid input',
+            details: parsed.error.flatten().fieldErrors,
+        });
+    }
+
+    try {
+        const { income, deductions, options } = resolveTaxInputs(fromTaxQuery(parsed.data));
+        const result = findBreakEvenDeduction(income, deductions, options);
+
+        return res.json({
+            financialYear: options.financialYear,
+            salary: income.salary,
+            ...result,
+        });
+    } catch (err) {
+        console.error('[/api/breakeven] Error:', err);
+        return res.status(500).json({ error: 'Internal server error', message: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * curve.js — GET /api/curve route
+ *
+ * Tax under both regimes across a salary range, for charting. Deductions
+ * are held fixed and passed as query parameters, e.g.
+ *   /api/curve?from=300000&to=3000000&step=25000&section80C=150000
+ */
+
+const express = require('express');
+const { computeTaxCurve } = require('../taxCurve');
+const { CurveQuerySchema, fromTaxQuery, resolveTaxInputs } = require('../schemas');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+    const parsed = CurveQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+        return res.status(400).json({
+            error: 'Invalid input',
+            details: parsed.error.flatten().fieldErrors,
+        });
+    }
+
+    try {
+        const { from, to, step, ...query } = parsed.data;
+        const { deductions, options } = resolveTaxInputs(fromTaxQuery(query));
+        const curve = computeTaxCurve({ from, to, step }, deductions, options);
+
+        return res.json({ from, to, step, ...curve });
+    } catch (err) {
+        console.error('[/api/curve] Error:', err);
+        return res.status(500).json({ error: 'Internal server error', message: err.message });
+    }
+});
+
+module.exports = router;
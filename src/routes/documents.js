@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * documents.js — /api/documents routes (the RAG knowledge base)
+ *
+ *   GET    /api/documents               indexed PDFs: chunks, ingestion time, hash
+ *   POST   /api/documents               upload a PDF (multipart field `document`)
+ *                                       and ingest it in the background → 202 + job
+ *   GET    /api/documents/jobs/:id      status of a background job
+ *   DELETE /api/documents/:file         delete a PDF and its chunks
+ *   POST   /api/documents/:file/reindex re-embed every chunk of a PDF → 202 + job
+ *
+ * Uploaded PDFs are saved in PDF_DIR next to the ones `npm run ingest`
+ * reads, and ingested with the same code (see ../ingest.js), so the two
+ * ways of managing the corpus agree. Unlike /api/upload, an uploaded PDF is
+ * searchable as soon as its job is done.
+ */
+
+const express = require('express');
+const fs = require('fs/promises');
+const path = require('path');
+const multer = require('multer');
+const { getPdfDir, ingestDocument, removeDocument, listDocuments } = require('../ingest');
+const { startJob, getJob, pendingJobs, runExclusive } = require('../ingestJobs');
+
+const router = express.Router();
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10 MB
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype === 'application/pdf') cb(null, true);
+        else cb(new Error('Only PDF files are allowed'));
+    },
+}).single('document');
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** A bare PDF file name — no directories, so it stays inside PDF_DIR. */
+const isPdfName = (name) =>
+    name === path.basename(name) && !name.startsWith('.') && /\.pdf$/i.test(name);
+
+const safeName = (name) => name.replace(/[^a-zA-Z0-9._-]/g, '_');
+
+async function exists(filePath) {
+    return fs.access(filePath).then(() => true, () => false);
+}
+
+/** Validates `:file`; sends 400 and returns null if it is not a PDF name. */
+function fileParam(req, res) {
+    const { file } = req.params;
+    if (isPdfName(file)) return file;
+    res.status(400).json({ error: 'Invalid document name', message: 'Expected a PDF file name such as guide.pdf' });
+    return null;
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+
+router.get('/', async (req, res) => {
+    try {
+        const pdfDir = getPdfDir();
+        const documents = await listDocuments();
+        for (const doc of documents) {
+            // false when only the chunks remain — it can be deleted but not re-indexed
+            doc.onDisk = isPdfName(doc.file) && await exists(path.join(pdfDir, doc.file));
+        }
+        return res.json({ documents, jobs: pendingJobs() });
+    } catch (err) {
+        console.error('[/api/documents] Error:', err.message);
+        return res.status(500).json({ error: 'Internal server error', message: err.message });
+    }
+});
+
+router.post('/', (req, res) => {
+    upload(req, res, async (uploadErr) => {
+        if (uploadErr) return res.status(400).json({ error: uploadErr.message });
+        if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+        const buffer = req.file.buffer;
+        if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+            return res.status(400).json({ error: 'Not a PDF file' });
+        }
+        let file = safeName(req.file.originalname);
+        if (!/\.pdf$/i.test(file)) file += '.pdf';
+
+        try {
+            const pdfDir = getPdfDir();
+            await fs.mkdir(pdfDir, { recursive: true });
+            await fs.writeFile(path.join(pdfDir, file), buffer);
+        } catch (err) {
+            console.error('[/api/documents] Error:', err.message);
+            return res.status(500).json({ error: 'Could not save the PDF', message: err.message });
+        }
+
+        const job = startJob('ingest', file, () => ingestDocument(file, buffer));
+        return res.status(202).location(`/api/documents/jobs/${job.id}`).json({ job });
+    });
+});
+
+router.get('/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    return res.json({ job });
+});
+
+router.delete('/:file', async (req, res) => {
+    const file = fileParam(req, res);
+    if (!file) return undefined;
+
+    try {
+        // Queued behind any ingest of the same file, so it cannot re-add chunks afterwards
+        const result = await runExclusive(async () => {
+            const filePath = path.join(getPdfDir(), file);
+            const deletedFile = await exists(filePath);
+            if (deletedFile) await fs.unlink(filePath);
+            return { file, deletedChunks: await removeDocument(file), deletedFile };
+        });
+        if (result.deletedChunks === 0 && !result.deletedFile) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        return res.json(result);
+    } catch (err) {
+        console.error('[/api/documents] Error:', err.message);
+        return res.status(500).json({ error: 'Internal server error', message: err.message });
+    }
+});
+
+router.post('/:file/reindex', async (req, res) => {
+    const file = fileParam(req, res);
+    if (!file) return undefined;
+
+    const filePath = path.join(getPdfDir(), file);
+    if (!await exists(filePath)) {
+        return res.status(404).json({ error: 'Document not found', message: `${file} is not in the PDF folder` });
+    }
+    const job = startJob('reindex', file, async () => ingestDocument(file, await fs.readFile(filePath), { force: true }));
+    return res.status(202).location(`/api/documents/jobs/${job.id}`).json({ job });
+});
+
+module.exports = router;
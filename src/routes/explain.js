@@ -3,121 +3,37 @@
 /**
  * explain.js — POST /api/explain route
  *
- * Pipeline:
+ * Pipeline (stages 2–5 live in ../explainPipeline.js):
  *  1. Validate input via Zod
- *  2. Compute deterministic tax numbers (old vs new)
- *  3. Query Chroma for top-5 relevant chunks
- *  4. Call Gemini with guarded prompt (ONLY use retrieved excerpts)
- *  5. Fire n8n webhook (non-blocking)
- *  6. Return structured JSON response
+ *  2. Compute deterministic tax numbers (old vs new), with a step-by-step trace
+ *  3. Retrieve candidate chunks (vector + keyword search, fused) and re-rank
+ *     them: drop distant and duplicate chunks, spread across files, keep ≤5
+ *  4. Generate the explanation with the configured LLM provider (see
+ *     ../llm.js) from a guarded prompt (ONLY use retrieved excerpts), as
+ *     JSON validated by ../llmOutput.js: summary, tips citing excerpts, caveats
+ *  5. Check its amounts, percentages and section numbers against the tax
+ *     numbers and excerpts (../grounding.js); drop tips that are unsupported
+ *  6. Fire n8n webhook (non-blocking)
+ *  7. Return structured JSON response
+ *
+ * POST /stream (or GET with query parameters) runs the same pipeline and
+ * sends each stage as a Server-Sent Event as soon as it is ready, with the
+ * AI reply token by token.
  */
 
 const express = require('express');
-const { z } = require('zod');
 const axios = require('axios');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { compareTaxRegimes } = require('../taxCalc');
-const { queryTopK } = require('../vectorStore');
+const { ExplainSchema, ExplainQuerySchema, fromTaxQuery } = require('../schemas');
+const {
+    computeTaxNumbers,
+    numbersResponse,
+    retrieveChunks,
+    toSources,
+    explainNumbers,
+} = require('../explainPipeline');
 
 const router = express.Router();
 
-// ─── Input Schema ────────────────────────────────────────────────────────────
-const DeductionsSchema = z.object({
-    section80C: z.number().min(0).max(150_000).default(0),
-    section80D: z.number().min(0).max(25_000).default(0),
-    hra: z.number().min(0).default(0),
-    other: z.number().min(0).default(0),
-}).default({});
-
-const ExplainSchema = z.object({
-    salary: z.number().positive('Salary must be a positive number'),
-    deductions: DeductionsSchema,
-    query: z.string().max(500).optional(),
-});
-
-// gemini-2.5-flash is confirmed working on this API key.
-// 1.5-flash variants return 404 on v1beta; 2.0-flash returns 429 (quota).
-const GEMINI_MODELS = process.env.GEMINI_MODEL
-    ? [process.env.GEMINI_MODEL, 'gemini-2.5-flash', 'gemini-2.0-flash']
-    : ['gemini-2.5-flash', 'gemini-2.0-flash', 'gemini-2.0-flash-lite'];
-
-/** Sleep for ms milliseconds */
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-
-/**
- * Extract the suggested retry delay (seconds) from a 429 error message.
- * Falls back to defaultSec if not found.
- */
-function parseRetryDelay(errMsg, defaultSec = 10) {
-    const match = errMsg?.match(/retry in ([\d.]+)s/i);
-    return match ? Math.ceil(parseFloat(match[1])) * 1000 : defaultSec * 1000;
-}
-
-async function callGemini(taxNumbers, chunks, userQuery) {
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-    const excerpts = chunks
-        .map((c, i) =>
-            `[Excerpt ${i + 1}] (Source: ${c.metadata?.file || 'unknown'}, Page: ${c.metadata?.page || '?'})\n${c.text}`
-        )
-        .join('\n\n---\n\n');
-
-    const prompt = `You are an Indian tax assistant. Answer ONLY using the excerpts provided below.
-If you cannot find the answer in the excerpts, respond with "I cannot confirm this based on the provided documents."
-Do NOT use any external knowledge or make assumptions beyond what the excerpts state.
-
-=== TAX COMPUTATION (deterministic) ===
-Old Regime:
-  Taxable Income: ₹${taxNumbers.old.taxableIncome.toLocaleString('en-IN')}
-  Total Tax:      ₹${taxNumbers.old.totalTax.toLocaleString('en-IN')}
-  Effective Rate: ${taxNumbers.old.effectiveRate}%
-
-New Regime (FY 2024-25):
-  Taxable Income: ₹${taxNumbers.new.taxableIncome.toLocaleString('en-IN')}
-  Total Tax:      ₹${taxNumbers.new.totalTax.toLocaleString('en-IN')}
-  Effective Rate: ${taxNumbers.new.effectiveRate}%
-
-Recommendation: ${taxNumbers.recommendation}
-
-=== RETRIEVED TAX LAW EXCERPTS ===
-${excerpts || 'No excerpts available — answer only from the deterministic tax numbers above.'}
-
-=== USER QUESTION ===
-${userQuery || 'Which tax regime is better for me and why?'}
-
-=== YOUR TASK ===
-1. Confirm or elaborate on the regime recommendation using the excerpts above.
-2. Provide 3-5 bullet points of actionable tax-saving tips (cite the excerpt number for each tip if applicable).
-3. Note any key conditions or caveats.
-Keep the response concise and in plain English.`;
-
-    // Try each model in order, retry on 429 once per model
-    let lastErr;
-    for (const modelName of GEMINI_MODELS) {
-        for (let attempt = 0; attempt < 2; attempt++) {
-            try {
-                const model = genAI.getGenerativeModel({ model: modelName });
-                const result = await model.generateContent(prompt);
-                console.log(`[gemini] ✅ responded with ${modelName}`);
-                return result.response.text();
-            } catch (err) {
-                lastErr = err;
-                const is429 = err.message?.includes('429') || err.status === 429;
-                if (is429 && attempt === 0) {
-                    const delay = parseRetryDelay(err.message);
-                    console.warn(`[gemini] 429 on ${modelName}, retrying in ${delay}ms…`);
-                    await sleep(delay);
-                    continue; // retry same model once
-                }
-                // Not 429 or second attempt failed — try next model
-                console.warn(`[gemini] ${modelName} failed (${err.message?.slice(0, 60)})`);
-                break;
-            }
-        }
-    }
-    throw lastErr; // all models exhausted
-}
-
 // ─── Webhook helper (non-blocking) ──────────────────────────────────────────
 function fireWebhook(payload) {
     const url = process.env.N8N_WEBHOOK_URL;
@@ -128,7 +44,25 @@ function fireWebhook(payload) {
         .catch((err) => console.warn('[webhook] n8n error:', err.message));
 }
 
-// ─── Route Handler ───────────────────────────────────────────────────────────
+/** Step 6: the n8n report for a finished explanation. */
+function notifyWebhook(data, computed, response) {
+    fireWebhook({
+        financialYear: data.financialYear,
+        category: response.category,
+        salary: data.salary,
+        income: computed.income,
+        deductions: computed.deductions,
+        verdict: response.verdict,
+        recommendation: response.recommendation,
+        taxNumbers: response.taxNumbers,
+        savings: response.savings,
+        timestamp: response.timestamp,
+    });
+}
+
+const defaultQuery = (data) => data.query || `tax regime comparison for salary ${data.salary}`;
+
+// ─── Route Handlers ──────────────────────────────────────────────────────────
 router.post('/', async (req, res) => {
     // 1. Validate input
     const parsed = ExplainSchema.safeParse(req.body);
@@ -139,85 +73,21 @@ router.post('/', async (req, res) => {
         });
     }
 
-    const { salary, deductions, query } = parsed.data;
-
     try {
-        // 2. Compute deterministic tax numbers
-        const taxNumbers = compareTaxRegimes(salary, deductions);
-
-        // 3. Retrieve top-5 RAG chunks
-        const userQuery = query || `tax regime comparison for salary ${salary}`;
-        let chunks = [];
-        try {
-            chunks = await queryTopK(userQuery, 5);
-        } catch (ragErr) {
-            console.warn('[rag] Chroma query failed (continuing without RAG):', ragErr.message);
-            // Graceful degradation: proceed without RAG chunks
-        }
-
-        // 4. Call Gemini with guarded prompt
-        let aiSummary = null;
-        let bullets = [];
-        if (process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your_gemini_api_key_here') {
-            try {
-                aiSummary = await callGemini(taxNumbers, chunks, query);
-                // Extract bullet points from response
-                bullets = aiSummary
-                    .split('\n')
-                    .filter(line => line.trim().match(/^[-•*\d]/))
-                    .map(line => line.replace(/^[-•*\d.]+\s*/, '').trim())
-                    .filter(Boolean);
-            } catch (aiErr) {
-                console.error('[gemini] API call failed:', aiErr.message, aiErr.status || '');
-                aiSummary = `AI summary unavailable (${aiErr.message?.slice(0, 80)}). Tax numbers above are deterministic.`;
-            }
-        } else {
-            aiSummary = 'Set GEMINI_API_KEY in .env to enable AI-powered explanations.';
-        }
-
-        // 5. Build response
-        const sources = chunks.map(c => ({
-            file: c.metadata?.file || 'unknown',
-            page: c.metadata?.page || null,
-            chunk_id: c.metadata?.chunk_id ?? null,
-            excerpt: c.text?.slice(0, 150) + (c.text?.length > 150 ? '...' : ''),
-        }));
+        const computed = computeTaxNumbers(parsed.data);
+        const retrieved = await retrieveChunks(defaultQuery(parsed.data));
+        const explanation = await explainNumbers(computed, retrieved, parsed.data.query);
 
+        // 7. Build response
         const response = {
-            verdict: taxNumbers.betterRegime,
-            recommendation: taxNumbers.recommendation,
-            taxNumbers: {
-                old: {
-                    taxableIncome: taxNumbers.old.taxableIncome,
-                    totalTax: taxNumbers.old.totalTax,
-                    effectiveRate: taxNumbers.old.effectiveRate,
-                    totalDeductions: taxNumbers.old.totalDeductions,
-                },
-                new: {
-                    taxableIncome: taxNumbers.new.taxableIncome,
-                    totalTax: taxNumbers.new.totalTax,
-                    effectiveRate: taxNumbers.new.effectiveRate,
-                    totalDeductions: taxNumbers.new.totalDeductions,
-                },
-            },
-            savings: Math.abs(taxNumbers.savings),
-            aiSummary,
-            bullets,
-            sources,
+            ...numbersResponse(computed),
+            ...explanation,
+            sources: toSources(retrieved.chunks),
+            retrieval: retrieved.retrieval,
             timestamp: new Date().toISOString(),
         };
 
-        // 6. Fire n8n webhook (fire-and-forget)
-        fireWebhook({
-            salary,
-            deductions,
-            verdict: response.verdict,
-            recommendation: response.recommendation,
-            taxNumbers: response.taxNumbers,
-            savings: response.savings,
-            timestamp: response.timestamp,
-        });
-
+        notifyWebhook(parsed.data, computed, response);
         return res.json(response);
     } catch (err) {
         console.error('[/api/explain] Error:', err);
@@ -225,4 +95,73 @@ router.post('/', async (req, res) => {
     }
 });
 
+/**
+ * Streams the same pipeline as Server-Sent Events, each stage as soon as
+ * it is ready:
+ *   numbers → sources → (attempt, token…)… → done
+ * `attempt` starts the AI reply over (a retry, fallback or re-ask), and
+ * `token` carries the next piece of the raw reply. `done` holds the
+ * validated explanation — the same fields as POST / returns. A failure
+ * after the stream has started is sent as an `error` event.
+ */
+async function streamExplanation(data, res) {
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // no proxy buffering (nginx)
+    });
+    const send = (event, payload) => {
+        if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    try {
+        const computed = computeTaxNumbers(data);
+        const numbers = numbersResponse(computed);
+        send('numbers', numbers);
+
+        const retrieved = await retrieveChunks(defaultQuery(data));
+        send('sources', { sources: toSources(retrieved.chunks), retrieval: retrieved.retrieval });
+
+        const explanation = await explainNumbers(computed, retrieved, data.query, {
+            onAttempt: (model) => send('attempt', { model }),
+            onToken: (text) => send('token', { text }),
+        });
+        const timestamp = new Date().toISOString();
+        send('done', { ...explanation, timestamp });
+
+        notifyWebhook(data, computed, { ...numbers, timestamp });
+    } catch (err) {
+        console.error('[/api/explain/stream] Error:', err);
+        send('error', { error: 'Internal server error', message: err.message });
+    }
+    res.end();
+}
+
+router.post('/stream', (req, res) => {
+    const parsed = ExplainSchema.safeParse(req.body);
+    if (!parsed.success) {
+        return res.status(400).json({
+            error: 'Invalid input',
+            details: parsed.error.flatten().fieldErrors,
+        });
+    }
+    return streamExplanation(parsed.data, res);
+});
+
+// For EventSource, which can only GET: /api/explain/stream?salary=1200000&section80C=150000&query=...
+router.get('/stream', (req, res) => {
+    const parsed = ExplainQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+        return res.status(400).json({
+            error: 'Invalid input',
+            details: parsed.error.flatten().fieldErrors,
+        });
+    }
+    const { query, ...taxQuery } = parsed.data;
+    return streamExplanation({ ...fromTaxQuery(taxQuery), query }, res);
+});
+
 module.exports = router;
@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * extract.js — POST /api/extract route
+ *
+ * Accepts a Form 16 or salary-slip PDF (multipart field `document`) and
+ * returns the figures read from it as a pre-filled /api/explain payload,
+ * with a confidence per field. Unlike /api/upload, the file never joins
+ * the RAG corpus: it is written to the OS temp directory and deleted as
+ * soon as it has been read.
+ */
+
+const express = require('express');
+const fs = require('fs/promises');
+const os = require('os');
+const multer = require('multer');
+const { extractFromPdf } = require('../form16');
+const { ExplainSchema } = require('../schemas');
+
+const router = express.Router();
+
+const upload = multer({
+    dest: os.tmpdir(),
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10 MB
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype === 'application/pdf') cb(null, true);
+        else cb(new Error('Only PDF files are allowed'));
+    },
+}).single('document');
+
+router.post('/', (req, res) => {
+    upload(req, res, async (uploadErr) => {
+        if (uploadErr) return res.status(400).json({ error: uploadErr.message });
+        if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+        try {
+            const buffer = await fs.readFile(req.file.path);
+            const extracted = await extractFromPdf(buffer);
+
+            return res.json({
+                ...extracted,
+                // true when the payload can be sent to /api/explain as it is
+                complete: ExplainSchema.safeParse(extracted.payload).success,
+            });
+        } catch (err) {
+            console.error('[/api/extract] Error:', err.message);
+            return res.status(422).json({ error: 'Could not read the PDF', message: err.message });
+        } finally {
+            await fs.unlink(req.file.path).catch(() => {});
+        }
+    });
+});
+
+module.exports = router;
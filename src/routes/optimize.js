@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * optimize.js — POST /api/optimize route
+ *
+ * Takes the same salary / deductions payload as /api/explain plus an
+ * investable `budget`, and returns the allocation across deduction
+ * sections that minimises tax.
+ */
+
+const express = require('express');
+const { optimizeDeductions } = require('../optimizer');
+const { OptimizeSchema, resolveTaxInputs } = require('../schemas');
+
+const router = express.Router();
+
+router.post('/', (req, res) => {
+    const parsed = OptimizeSchema.safeParse(req.body);
+    if (!parsed.success) {
+        return res.status(400).json({
+            error: 'Invalid input',
+            details: parsed.error.flatten().fieldErrors,
+        });
+    }
+
+    try {
+        const { income, deductions, options } = resolveTaxInputs(parsed.data);
+        const plan = optimizeDeductions(income, deductions, parsed.data.budget, options);
+
+        return res.json({
+            financialYear: options.financialYear,
+            salary: income.salary,
+            ...plan,
+        });
+    } catch (err) {
+        console.error('[/api/optimize] Error:', err);
+        return res.status(500).json({ error: 'Internal server error', message: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * sessions.js — /api/sessions routes (follow-up conversations)
+ *
+ *   POST   /api/sessions               start a session from an /api/explain body;
+ *                                      answers its `query` → 201 + session
+ *   GET    /api/sessions/:id           inputs, current numbers and messages
+ *   POST   /api/sessions/:id/messages  ask a follow-up; recomputes the numbers
+ *                                      if it changes an input
+ *   DELETE /api/sessions/:id           forget the session → 204
+ *
+ * The conversation logic lives in ../sessions.js; these handlers only
+ * validate and translate results into status codes.
+ */
+
+const express = require('express');
+const { ExplainSchema, SessionMessageSchema } = require('../schemas');
+const { createSession, getSession, deleteSession, askFollowUp } = require('../sessions');
+
+const router = express.Router();
+
+const invalidInput = (res, details) => res.status(400).json({ error: 'Invalid input', details });
+const notFound = (res) => res.status(404).json({ error: 'Session not found' });
+
+router.post('/', async (req, res) => {
+    const parsed = ExplainSchema.safeParse(req.body);
+    if (!parsed.success) return invalidInput(res, parsed.error.flatten().fieldErrors);
+
+    try {
+        const session = await createSession(parsed.data);
+        return res.status(201).location(`${req.baseUrl}/${session.id}`).json(session);
+    } catch (err) {
+        console.error('[/api/sessions] Error:', err);
+        return res.status(500).json({ error: 'Internal server error', message: err.message });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const session = await getSession(req.params.id);
+        return session ? res.json(session) : notFound(res);
+    } catch (err) {
+        console.error('[/api/sessions] Error:', err.message);
+        return res.status(500).json({ error: 'Internal server error', message: err.message });
+    }
+});
+
+router.post('/:id/messages', async (req, res) => {
+    const parsed = SessionMessageSchema.safeParse(req.body);
+    if (!parsed.success) return invalidInput(res, parsed.error.flatten().fieldErrors);
+
+    try {
+        const result = await askFollowUp(req.params.id, parsed.data);
+        if (result.status === 'not-found') return notFound(res);
+        if (result.status === 'invalid') return invalidInput(res, result.details);
+        const { reply, changes, numbers } = result;
+        return res.json({ sessionId: req.params.id, message: reply, changes, numbers });
+    } catch (err) {
+        console.error('[/api/sessions] Error:', err);
+        return res.status(500).json({ error: 'Internal server error', message: err.message });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        return (await deleteSession(req.params.id)) ? res.status(204).end() : notFound(res);
+    } catch (err) {
+        console.error('[/api/sessions] Error:', err.message);
+        return res.status(500).json({ error: 'Internal server error', message: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * tdsPlan.js — POST /api/tds-plan route
+ *
+ * Takes the same salary / deductions payload as /api/explain plus a
+ * `payroll` block (months elapsed, salary and TDS so far, declared
+ * regime), and returns the monthly TDS for the rest of the year under each
+ * regime with the year-end refund or balance for filing under either.
+ */
+
+const express = require('express');
+const { projectTds } = require('../payroll');
+const { TdsPlanSchema, resolveTaxInputs } = require('../schemas');
+
+const router = express.Router();
+
+router.post('/', (req, res) => {
+    const parsed = TdsPlanSchema.safeParse(req.body);
+    if (!parsed.success) {
+        return res.status(400).json({
+            error: 'Invalid input',
+            details: parsed.error.flatten().fieldErrors,
+        });
+    }
+
+    try {
+        const { income, deductions, options } = resolveTaxInputs(parsed.data);
+        const plan = projectTds(income, deductions, parsed.data.payroll, options);
+
+        return res.json({ salary: income.salary, ...plan });
+    } catch (err) {
+        console.error('[/api/tds-plan] Error:', err);
+        return res.status(500).json({ error: 'Internal server error', message: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * schemas.js — Shared Zod request schemas
+ *
+ * Every route that takes a salary + deductions payload validates it with
+ * the schemas here, then turns it into calculator arguments with
+ * resolveTaxInputs().
+ */
+
+const { z } = require('zod');
+const { computeHraExemption } = require('./hra');
+const {
+    SUPPORTED_FINANCIAL_YEARS,
+    DEFAULT_FINANCIAL_YEAR,
+    SUPPORTED_CATEGORIES,
+    DEDUCTION_SECTIONS,
+} = require('./taxRules');
+const { MAX_CURVE_POINTS } = require('./taxCurve');
+
+// ─── Body schemas (JSON) ─────────────────────────────────────────────────────
+// Claimed amounts — statutory caps and regime eligibility are applied by
+// taxCalc and reported back per section in deductionBreakdown.
+const DeductionsSchema = z.object({
+    section80C: z.number().min(0).default(0),
+    section80CCD1B: z.number().min(0).default(0),
+    section80CCD2: z.number().min(0).default(0),
+    section80D: z.number().min(0).default(0),
+    section80DParents: z.number().min(0).default(0),
+    parentsSenior: z.boolean().default(false),
+    section24b: z.number().min(0).default(0),
+    section80E: z.number().min(0).default(0),
+    section80G: z.number().min(0).default(0),
+    section80TTA: z.number().min(0).default(0),
+    section80TTB: z.number().min(0).default(0),
+    hra: z.number().min(0).default(0),
+    other: z.number().min(0).default(0),
+}).default({});
+
+// When supplied, the computed exemption replaces deductions.hra
+const HraDetailsSchema = z.object({
+    basicSalary: z.number().min(0),
+    da: z.number().min(0).default(0),
+    hraReceived: z.number().min(0),
+    rentPaid: z.number().min(0),
+    city: z.string().max(100).optional(),
+    metro: z.boolean().optional(),
+});
+
+// Non-salary income heads; salary stays in the top-level `salary` field
+const IncomeSchema = z.object({
+    otherSources: z.number().min(0).default(0),
+    houseProperty: z.object({
+        rentReceived: z.number().min(0).default(0),
+        municipalTaxes: z.number().min(0).default(0),
+        interestOnLoan: z.number().min(0).default(0),
+    }).default({}),
+    capitalGains: z.object({
+        stcgEquity: z.number().min(0).default(0),
+        ltcgEquity: z.number().min(0).default(0),
+    }).default({}),
+}).default({});
+
+// Fields shared by every salary-based request
+const TaxInputShape = {
+    salary: z.number().positive('Salary must be a positive number'),
+    income: IncomeSchema,
+    deductions: DeductionsSchema,
+    hraDetails: HraDetailsSchema.optional(),
+    financialYear: z.enum(SUPPORTED_FINANCIAL_YEARS).default(DEFAULT_FINANCIAL_YEAR),
+    age: z.number().int().min(0).max(130).optional(),
+    category: z.enum(SUPPORTED_CATEGORIES).optional(), // overrides age
+};
+
+const ExplainSchema = z.object({
+    ...TaxInputShape,
+    query: z.string().max(500).optional(),
+});
+
+// A follow-up in a session. `changes` sets inputs explicitly; the question
+// itself may change them too (see followUp.js).
+const SessionMessageSchema = z.object({
+    content: z.string().trim().min(1).max(500),
+    changes: z.object({
+        salary: TaxInputShape.salary.optional(),
+        financialYear: z.enum(SUPPORTED_FINANCIAL_YEARS).optional(),
+        age: TaxInputShape.age,
+        category: TaxInputShape.category,
+        deductions: z.object(Object.fromEntries(
+            Object.keys(DEDUCTION_SECTIONS).map((section) => [section, z.number().min(0).optional()])
+        )).optional(),
+    }).default({}),
+});
+
+const OptimizeSchema = z.object({
+    ...TaxInputShape,
+    budget: z.number().min(0, 'Budget must be zero or more'),
+});
+
+const TdsPlanSchema = z.object({
+    ...TaxInputShape,
+    payroll: z.object({
+        monthsElapsed: z.number().int().min(0).max(12),
+        salaryToDate: z.number().min(0).default(0),
+        tdsToDate: z.number().min(0).default(0),
+        declaredRegime: z.enum(['old', 'new']).default('new'),
+    }),
+});
+
+// ─── Query-string schemas (GET) ──────────────────────────────────────────────
+// Flat query parameters: ?salary=1200000&section80C=150000&financialYear=2025-26
+const amountParam = z.coerce.number().min(0).default(0);
+
+const TaxQuerySchema = z.object({
+    salary: z.coerce.number().positive('Salary must be a positive number'),
+    financialYear: z.enum(SUPPORTED_FINANCIAL_YEARS).default(DEFAULT_FINANCIAL_YEAR),
+    age: z.coerce.number().int().min(0).max(130).optional(),
+    category: z.enum(SUPPORTED_CATEGORIES).optional(),
+    parentsSenior: z.enum(['true', 'false']).default('false').transform((v) => v === 'true'),
+    ...Object.fromEntries(Object.keys(DEDUCTION_SECTIONS).map((section) => [section, amountParam])),
+});
+
+// GET /api/explain/stream: the TaxQuerySchema parameters plus the question
+const ExplainQuerySchema = TaxQuerySchema.extend({
+    query: z.string().max(500).optional(),
+});
+
+// Salary sweep for /api/curve: the TaxQuerySchema parameters minus salary
+const CurveQuerySchema = TaxQuerySchema.omit({ salary: true }).extend({
+    from: z.coerce.number().min(0).default(0),
+    to: z.coerce.number().positive().default(5_000_000),
+    step: z.coerce.number().min(1_000, 'Step must be at least ₹1,000').default(50_000),
+}).refine((q) => q.to >= q.from, { message: '`to` must not be below `from`', path: ['to'] })
+    .refine((q) => Math.ceil((q.to - q.from) / q.step) + 1 <= MAX_CURVE_POINTS, {
+        message: `At most ${MAX_CURVE_POINTS} points; use a larger step`,
+        path: ['step'],
+    });
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Turns a parsed TaxInputShape payload into calculator arguments.
+ * Rule-based HRA (if hraDetails were given) replaces deductions.hra.
+ *
+ * @param {object} data  output of a schema built on TaxInputShape
+ * @returns {{ income: object, deductions: object, options: object, hra: object|null }}
+ */
+function resolveTaxInputs(data) {
+    const { salary, income = {}, hraDetails, financialYear, age, category } = data;
+    let { deductions } = data;
+
+    const hra = hraDetails ? computeHraExemption(hraDetails) : null;
+    if (hra) deductions = { ...deductions, hra: hra.exemption };
+
+    const basicSalary = hraDetails ? hraDetails.basicSalary + hraDetails.da : undefined;
+
+    return {
+        income: { salary, ...income },
+        deductions,
+        options: { financialYear, age, category, basicSalary },
+        hra,
+    };
+}
+
+/**
+ * Splits a parsed TaxQuerySchema object into the same shape as the body
+ * schemas (deductions nested under `deductions`).
+ */
+function fromTaxQuery(query) {
+    const { salary, financialYear, age, category, parentsSenior, ...sections } = query;
+    return { salary, financialYear, age, category, deductions: { ...sections, parentsSenior } };
+}
+
+module.exports = {
+    DeductionsSchema,
+    HraDetailsSchema,
+    IncomeSchema,
+    TaxInputShape,
+    ExplainSchema,
+    SessionMessageSchema,
+    OptimizeSchema,
+    TdsPlanSchema,
+    TaxQuerySchema,
+    ExplainQuerySchema,
+    CurveQuerySchema,
+    resolveTaxInputs,
+    fromTaxQuery,
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * sessionStore.js — Where conversation sessions are kept
+ *
+ * SESSION_STORE picks the backend:
+ *  - "memory" (default) : in the server process; lost on restart
+ *  - "file"             : one JSON file per session under SESSION_DIR
+ *
+ * Every backend exposes async `get(id)` (the session, or null), `save(session)`
+ * and `remove(id)` (whether it existed), plus `describe()` for logs and
+ * /api/health. Sessions are plain JSON, so a database backend only has to
+ * store one document per id.
+ */
+
+const BACKENDS = {
+    memory: () => require('./sessionStores/memory'),
+    file: () => require('./sessionStores/file'),
+};
+
+/**
+ * Resolves the backend named by SESSION_STORE.
+ * @throws {Error} for an unknown backend name
+ */
+function getSessionStore() {
+    const name = (process.env.SESSION_STORE || 'memory').toLowerCase();
+    if (!BACKENDS[name]) {
+        throw new Error(
+            `Unknown SESSION_STORE "${name}". Supported: ${Object.keys(BACKENDS).join(', ')}`
+        );
+    }
+    return BACKENDS[name]();
+}
+
+/** Human-readable backend description, e.g. "file (./session_data)". */
+function describeSessionStore() {
+    return getSessionStore().describe();
+}
+
+module.exports = { getSessionStore, describeSessionStore };
@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * file.js — File-backed session store
+ *
+ * One JSON file per session under SESSION_DIR (default ./session_data), so
+ * conversations survive a restart. Writes go through a temp file + rename,
+ * so a crash never leaves half a session. Ids that are not plain
+ * letters, digits and dashes are treated as unknown rather than turned
+ * into paths.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+function sessionDir() {
+    return process.env.SESSION_DIR || path.join(__dirname, '..', '..', 'session_data');
+}
+
+/** The session's file, or null for an id that cannot be one of ours. */
+function fileFor(id) {
+    return /^[A-Za-z0-9-]+$/.test(id) ? path.join(sessionDir(), `${id}.json`) : null;
+}
+
+async function get(id) {
+    const file = fileFor(id);
+    if (!file) return null;
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
+
+async function save(session) {
+    const file = fileFor(session.id);
+    if (!file) throw new Error(`Invalid session id "${session.id}"`);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(session));
+    await fs.rename(tmp, file);
+}
+
+/** @returns {Promise<boolean>} whether the session existed */
+async function remove(id) {
+    const file = fileFor(id);
+    if (!file) return false;
+    try {
+        await fs.unlink(file);
+        return true;
+    } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+    }
+}
+
+module.exports = {
+    describe: () => `file (${sessionDir()})`,
+    get,
+    save,
+    remove,
+};
@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * memory.js — In-process session store
+ *
+ * Sessions live in a Map and are lost when the server restarts. Once there
+ * are more than MAX_SESSIONS, the least recently saved are dropped.
+ * Sessions are copied in and out, so callers never share an object with
+ * the store — the same as reading them back from a file.
+ */
+
+const MAX_SESSIONS = 1000;
+
+const sessions = new Map(); // id → session, least recently saved first
+
+async function get(id) {
+    const session = sessions.get(id);
+    return session ? structuredClone(session) : null;
+}
+
+async function save(session) {
+    sessions.delete(session.id); // re-inserting moves it to the end
+    sessions.set(session.id, structuredClone(session));
+    while (sessions.size > MAX_SESSIONS) sessions.delete(sessions.keys().next().value);
+}
+
+/** @returns {Promise<boolean>} whether the session existed */
+async function remove(id) {
+    return sessions.delete(id);
+}
+
+module.exports = {
+    describe: () => 'memory',
+    get,
+    save,
+    remove,
+};
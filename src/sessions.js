@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * sessions.js — Conversations about one tax computation
+ *
+ * A session keeps the inputs (salary, deductions, …), the numbers computed
+ * from them and the messages so far, in the store picked by SESSION_STORE
+ * (see sessionStore.js). It opens with the answer to a first question, as
+ * /api/explain would give it. Each follow-up is answered from the same
+ * pipeline (see explainPipeline.js) with fresh retrieval for the question
+ * and the latest turns of the conversation in the prompt.
+ *
+ * A follow-up that changes an input — "what if I add ₹50k NPS?", or
+ * explicit `changes` — is applied first (see followUp.js) and the numbers
+ * are recomputed, so the answer and the session describe the new inputs.
+ * The earlier numbers remain facts the answer may quote.
+ *
+ * Turns in one session run one at a time, so two quick follow-ups cannot
+ * overwrite each other's messages.
+ */
+
+const crypto = require('crypto');
+const { ExplainSchema } = require('./schemas');
+const { getSessionStore } = require('./sessionStore');
+const {
+    computeTaxNumbers,
+    numbersResponse,
+    retrieveChunks,
+    toSources,
+    explainNumbers,
+} = require('./explainPipeline');
+const { parseInputEdits, editsFromChanges, applyInputEdits, describeChange } = require('./followUp');
+
+// ─── Constants ─────────────────────────────────────────────────────────────
+
+const DEFAULT_QUESTION = 'Which tax regime is better for me and why?';
+const MAX_STORED_MESSAGES = 100; // older messages are dropped from the session
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const tails = new Map(); // session id → settles when its latest turn has
+
+/** Runs `task` after the session's earlier turns have finished. */
+function runInSession(id, task) {
+    const run = (tails.get(id) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    tails.set(id, tail);
+    tail.then(() => {
+        if (tails.get(id) === tail) tails.delete(id);
+    });
+    return run;
+}
+
+/**
+ * Answers `question` in the context of the session's messages.
+ * @returns {Promise<object>} the assistant message
+ */
+async function answer(session, computed, question, { changes = [], facts = [] } = {}) {
+    const retrieved = await retrieveChunks(question);
+    const explanation = await explainNumbers(computed, retrieved, question, {
+        history: session.messages,
+        changes: changes.map(describeChange),
+        facts,
+    });
+    return {
+        role: 'assistant',
+        content: explanation.aiSummary || '',
+        tips: explanation.tips,
+        caveats: explanation.caveats,
+        groundingWarnings: explanation.groundingWarnings,
+        llm: explanation.llm,
+        sources: toSources(retrieved.chunks),
+        retrieval: retrieved.retrieval,
+        at: new Date().toISOString(),
+    };
+}
+
+async function addTurn(session, question, changes, reply) {
+    const userMessage = { role: 'user', content: question, changes, at: reply.at };
+    session.messages = [...session.messages, userMessage, reply].slice(-MAX_STORED_MESSAGES);
+    session.updatedAt = reply.at;
+    await getSessionStore().save(session);
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Starts a session and answers its first question (`query`, or which
+ * regime is better).
+ *
+ * @param {object} data  ExplainSchema output
+ * @returns {Promise<{ id: string, createdAt: string, updatedAt: string, inputs: object,
+ *                     numbers: object, messages: object[] }>}
+ *   `numbers` as /api/explain returns them; `messages` alternate user / assistant
+ */
+async function createSession(data) {
+    const { query, ...inputs } = data;
+    const computed = computeTaxNumbers(inputs);
+    const now = new Date().toISOString();
+    const session = {
+        id: crypto.randomUUID(),
+        createdAt: now,
+        updatedAt: now,
+        inputs,
+        numbers: numbersResponse(computed),
+        messages: [],
+    };
+    const question = query || DEFAULT_QUESTION;
+    await addTurn(session, question, [], await answer(session, computed, question));
+    return session;
+}
+
+/** @returns {Promise<object|null>} */
+async function getSession(id) {
+    return getSessionStore().get(id);
+}
+
+/** @returns {Promise<boolean>} whether the session existed */
+async function deleteSession(id) {
+    return runInSession(id, () => getSessionStore().remove(id));
+}
+
+/**
+ * Answers a follow-up, recomputing the numbers first if it changes inputs.
+ *
+ * @param {string} id
+ * @param {{ content: string, changes?: object }} message  SessionMessageSchema output
+ * @returns {Promise<{ status: 'not-found' }
+ *                  | { status: 'invalid', details: object }
+ *                  | { status: 'ok', reply: object, changes: object[], numbers: object }>}
+ *   `invalid` when the changed inputs fail ExplainSchema (e.g. a salary of ₹0);
+ *   `changes` lists each input that changed, `{ field, label, from, to }`
+ */
+function askFollowUp(id, { content, changes: explicit }) {
+    return runInSession(id, async () => {
+        const session = await getSessionStore().get(id);
+        if (!session) return { status: 'not-found' };
+
+        // Explicit changes come last, so they win over parsed ones
+        const edits = [...parseInputEdits(content), ...editsFromChanges(explicit)];
+        const { inputs, changes } = applyInputEdits(session.inputs, edits);
+        const previous = session.numbers;
+        if (changes.length > 0) {
+            const parsed = ExplainSchema.safeParse(inputs);
+            if (!parsed.success) return { status: 'invalid', details: parsed.error.flatten().fieldErrors };
+            session.inputs = parsed.data;
+        }
+
+        const computed = computeTaxNumbers(session.inputs);
+        session.numbers = numbersResponse(computed);
+        const reply = await answer(session, computed, content, {
+            changes,
+            facts: changes.length > 0 ? [previous] : [],
+        });
+        await addTurn(session, content, changes, reply);
+        return { status: 'ok', reply, changes, numbers: session.numbers };
+    });
+}
+
+module.exports = { createSession, getSession, deleteSession, askFollowUp };
@@ -1,80 +1,93 @@
 'use strict';
 
 /**
- * taxCalc.js — Deterministic Indian Tax Calculator (FY 2024-25)
+ * taxCalc.js — Deterministic Indian Tax Calculator
  *
- * This module has ZERO external dependencies. All slab rates are
- * hard-coded per official Budget 2024 announcements.
+ * This module has ZERO external dependencies. Slab rates, standard
+ * deductions, deduction caps and 87A thresholds come from the per-year
+ * registry in taxRules.js (FY 2023-24, 2024-25 and 2025-26); FY 2024-25
+ * is used when no financial year is given.
  *
  * Old Regime (with deductions):
- *   Slabs on taxable income after 80C / 80D / HRA etc.
+ *   Slabs on taxable income after 80C / 80D / HRA etc., each capped
+ *   at its statutory limit (see DEDUCTION_SECTIONS in taxRules.js)
  *   0–2.5L  → 0%
  *   2.5–5L  → 5%
  *   5–10L   → 20%
  *   10L+    → 30%
  *   Standard deduction: ₹50,000 (salaried)
- *   Rebate u/s 87A: full tax if taxable income ≤ ₹5L
+ *   Rebate u/s 87A: up to ₹12,500 if taxable income ≤ ₹5L (also
+ *   offsets 111A STCG tax, but not 112A LTCG tax)
+ *   Seniors (60–79): 0% up to ₹3L; super seniors (80+): 0% up to ₹5L
+ *   and no 5% slab. Both get an 80D limit of ₹50,000.
  *
  * New Regime (FY 2024-25, post-Budget):
  *   Standard deduction: ₹75,000 (salaried)
+ *   Only employer NPS u/s 80CCD(2) (up to 14% of basic) is deductible
  *   0–3L    → 0%
  *   3–7L    → 5%
  *   7–10L   → 10%
  *   10–12L  → 15%
  *   12–15L  → 20%
  *   15L+    → 30%
- *   Rebate u/s 87A: full tax if taxable income ≤ ₹7L (new regime)
+ *   Rebate u/s 87A: up to ₹25,000 if taxable income ≤ ₹7L, with
+ *   marginal relief just above ₹7L (₹60,000 / ₹12L from FY 2025-26)
+ *
+ * Surcharge (both regimes) on income tax above ₹50L / 1Cr / 2Cr / 5Cr:
+ *   10% / 15% / 25% / 37% — the New Regime caps it at 25%.
+ *   Marginal relief applies at each band edge.
+ *
+ * Other heads: interest (other sources) and let-out house property are
+ * taxed at slab rates; listed-equity STCG (20%) and LTCG (12.5% above
+ * ₹1.25L) are taxed separately at special rates.
+ *
+ * Every result carries a `trace`: the computation as ordered steps, from
+ * gross salary through each slab slice to cess and the total.
  */
 
+const {
+  getRules,
+  categoryForAge,
+  DEDUCTION_SECTIONS,
+  DEFAULT_FINANCIAL_YEAR,
+  DEFAULT_CATEGORY,
+} = require('./taxRules');
+
 // ─── Constants ─────────────────────────────────────────────────────────────
 
 const CESS_RATE = 0.04; // 4% Health & Education Cess
 
-const OLD_REGIME_STANDARD_DEDUCTION = 50_000;
-const OLD_REGIME_MAX_80C = 150_000;
-const OLD_REGIME_MAX_80D = 25_000;
-
-const NEW_REGIME_STANDARD_DEDUCTION = 75_000;
-
-const OLD_SLABS = [
-  { up_to: 250_000, rate: 0 },
-  { up_to: 500_000, rate: 0.05 },
-  { up_to: 1_000_000, rate: 0.20 },
-  { up_to: Infinity, rate: 0.30 },
-];
-
-const NEW_SLABS = [
-  { up_to: 300_000, rate: 0 },
-  { up_to: 700_000, rate: 0.05 },
-  { up_to: 1_000_000, rate: 0.10 },
-  { up_to: 1_200_000, rate: 0.15 },
-  { up_to: 1_500_000, rate: 0.20 },
-  { up_to: Infinity, rate: 0.30 },
-];
-
 // ─── Helpers ────────────────────────────────────────────────────────────────
 
 /**
- * Computes tax on a taxable income given a slab table.
+ * Splits a taxable income across a slab table.
  * @param {number} taxableIncome
  * @param {Array<{up_to: number, rate: number}>} slabs
- * @returns {number} base tax (before cess)
+ * @returns {Array<{from: number, to: number, amount: number, rate: number, tax: number}>}
+ *   one entry per slab the income reaches; `tax` is unrounded (to the paisa)
  */
-function applySlabs(taxableIncome, slabs) {
-  if (taxableIncome <= 0) return 0;
-
-  let tax = 0;
+function slabSlices(taxableIncome, slabs) {
+  const slices = [];
   let prev = 0;
 
   for (const slab of slabs) {
-    const slice = Math.min(taxableIncome, slab.up_to) - prev;
-    if (slice <= 0) break;
-    tax += slice * slab.rate;
+    const amount = Math.min(taxableIncome, slab.up_to) - prev;
+    if (amount <= 0) break;
+    slices.push({ from: prev, to: slab.up_to, amount, rate: slab.rate, tax: +(amount * slab.rate).toFixed(2) });
     prev = slab.up_to;
-    if (taxableIncome <= slab.up_to) break;
   }
 
-  return Math.round(tax);
+  return slices;
+}
+
+/**
+ * Computes tax on a taxable income given a slab table.
+ * @param {number} taxableIncome
+ * @param {Array<{up_to: number, rate: number}>} slabs
+ * @returns {number} base tax (before cess)
+ */
+function applySlabs(taxableIncome, slabs) {
+  return Math.round(slabSlices(taxableIncome, slabs).reduce((sum, s) => sum + s.tax, 0));
 }
 
 /**
@@ -86,98 +99,449 @@ function addCess(baseTax) {
   return Math.round(baseTax * (1 + CESS_RATE));
 }
 
-// ─── Public API ─────────────────────────────────────────────────────────────
+/**
+ * Normalises calculator options: picks the financial year and works out
+ * the taxpayer category from `category` or, failing that, `age`.
+ *
+ * @param {object} [options]
+ * @returns {{ financialYear: string, category: string }}
+ */
+function resolveOptions(options = {}) {
+  const { financialYear = DEFAULT_FINANCIAL_YEAR, category, age } = options;
+  return {
+    financialYear,
+    category: category || (age != null ? categoryForAge(age) : DEFAULT_CATEGORY),
+  };
+}
 
 /**
- * Computes tax under the Old Regime.
+ * Computes the Section 87A rebate, including the New Regime's marginal
+ * relief just above the rebate limit (e.g. at ₹7,10,000 taxable the tax
+ * payable under FY 2024-25 rules is at most ₹10,000).
  *
- * @param {number} grossSalary  Annual gross salary in INR
- * @param {object} deductions
- *   @param {number} [deductions.section80C=0]   e.g. PPF, ELSS (max ₹1.5L)
- *   @param {number} [deductions.section80D=0]   Medical insurance (max ₹25K)
- *   @param {number} [deductions.hra=0]          HRA exemption claim
- *   @param {number} [deductions.other=0]        Other deductions
+ * Eligibility is tested on total income. The rebate offsets tax on slab
+ * income and, where the regime allows it (`offsetsStcg`), Section 111A
+ * STCG tax; it never offsets Section 112A LTCG tax.
  *
- * @returns {{ grossSalary, totalDeductions, taxableIncome, baseTax, cess, totalTax, effectiveRate }}
+ * @param {number} totalIncome
+ * @param {number} slabTax     tax on slab income before rebate
+ * @param {number} stcgTax     Section 111A tax on equity STCG
+ * @param {number} ltcgTax     Section 112A tax on equity LTCG
+ * @param {object} rules  regime rule table from taxRules.js
+ * @returns {number} rebate amount (never more than the tax it may offset)
  */
-function computeOldRegime(grossSalary, deductions = {}) {
-  const {
-    section80C = 0,
-    section80D = 0,
-    hra = 0,
-    other = 0,
-  } = deductions;
+function computeRebate87A(totalIncome, slabTax, stcgTax, ltcgTax, rules) {
+  const { maxTaxableIncome, maxRebate, marginalRelief, offsetsStcg } = rules.rebate87A;
+  const rebatableTax = offsetsStcg ? slabTax + stcgTax : slabTax;
 
-  const capped80C = Math.min(section80C, OLD_REGIME_MAX_80C);
-  const capped80D = Math.min(section80D, OLD_REGIME_MAX_80D);
+  if (totalIncome <= maxTaxableIncome) return Math.min(rebatableTax, maxRebate);
+  if (!marginalRelief) return 0;
 
-  const totalDeductions =
-    OLD_REGIME_STANDARD_DEDUCTION + capped80C + capped80D + hra + other;
+  const excess = totalIncome - maxTaxableIncome;
+  return Math.min(rebatableTax, Math.max(0, slabTax + stcgTax + ltcgTax - excess));
+}
+
+/**
+ * Computes surcharge on income tax and the marginal relief at the band edge.
+ *
+ * Marginal relief caps the extra tax + surcharge payable above a threshold
+ * at the income earned above it. E.g. at ₹50,10,000 taxable, the total
+ * cannot exceed tax on ₹50L plus ₹10,000. Surcharge on special-rate
+ * capital gains is capped at `capitalGains.maxSurchargeRate`.
+ *
+ * @param {number} totalIncome
+ * @param {number} slabIncome
+ * @param {number} slabTax     tax on slab income after rebate
+ * @param {number} specialTax  tax on special-rate income
+ * @param {object} rules  regime rule table from taxRules.js
+ * @returns {{ surcharge: number, marginalRelief: number, rate: number }}
+ *   `rate` is the band rate on slab-rate tax (0 below the first band)
+ */
+function computeSurcharge(totalIncome, slabIncome, slabTax, specialTax, rules) {
+  const bands = rules.surcharge;
+  const { maxSurchargeRate } = rules.capitalGains;
+  const bandIdx = bands.findLastIndex((band) => totalIncome > band.above);
+  const tax = slabTax + specialTax;
+  if (bandIdx === -1 || tax <= 0) return { surcharge: 0, marginalRelief: 0, rate: 0 };
 
-  const taxableIncome = Math.max(0, grossSalary - totalDeductions);
-  const baseTax = applySlabs(taxableIncome, OLD_SLABS);
+  const withSurcharge = (slab, rate) =>
+    slab * (1 + rate) + specialTax * (1 + Math.min(rate, maxSurchargeRate));
 
-  // Rebate u/s 87A: if taxable income ≤ ₹5L, no tax payable
-  const taxAfterRebate = taxableIncome <= 500_000 ? 0 : baseTax;
-  const cess = taxAfterRebate > 0 ? Math.round(taxAfterRebate * CESS_RATE) : 0;
-  const totalTax = taxAfterRebate + cess;
+  const band = bands[bandIdx];
+  const surcharge = Math.round(withSurcharge(slabTax, band.rate) - tax);
 
-  const effectiveRate =
-    grossSalary > 0 ? +((totalTax / grossSalary) * 100).toFixed(2) : 0;
+  // Tax + surcharge exactly at the threshold (where the lower band applies),
+  // reached by trimming the excess off slab income
+  const prevRate = bandIdx > 0 ? bands[bandIdx - 1].rate : 0;
+  const excess = totalIncome - band.above;
+  const slabTaxAtThreshold = applySlabs(Math.max(0, slabIncome - excess), rules.slabs);
+  const ceiling = withSurcharge(slabTaxAtThreshold, prevRate) + excess;
+
+  const marginalRelief = Math.min(
+    surcharge,
+    Math.max(0, Math.round(tax + surcharge - ceiling))
+  );
+
+  return { surcharge, marginalRelief, rate: band.rate };
+}
+
+/**
+ * Accepts either a bare gross salary or an income object and returns the
+ * income object with every head present.
+ *
+ * @param {number|object} income
+ * @returns {{ salary: number, otherSources: number, houseProperty: object, capitalGains: object }}
+ */
+function normaliseIncome(income) {
+  const {
+    salary = 0,
+    otherSources = 0,
+    houseProperty = {},
+    capitalGains = {},
+  } = typeof income === 'number' ? { salary: income } : income;
 
   return {
-    regime: 'old',
-    grossSalary,
-    totalDeductions,
-    taxableIncome,
-    baseTax: taxAfterRebate,
-    cess,
-    totalTax,
-    effectiveRate,
+    salary,
+    otherSources,
+    houseProperty: {
+      rentReceived: houseProperty.rentReceived || 0,
+      municipalTaxes: houseProperty.municipalTaxes || 0,
+      interestOnLoan: houseProperty.interestOnLoan || 0,
+    },
+    capitalGains: {
+      stcgEquity: capitalGains.stcgEquity || 0,
+      ltcgEquity: capitalGains.ltcgEquity || 0,
+    },
   };
 }
 
 /**
- * Computes tax under the New Regime (FY 2024-25).
+ * Computes income from house property (let-out) and how much of a loss
+ * may be set off against other heads.
  *
- * @param {number} grossSalary  Annual gross salary in INR
- * @returns {{ grossSalary, totalDeductions, taxableIncome, baseTax, cess, totalTax, effectiveRate }}
+ * @param {object} houseProperty  { rentReceived, municipalTaxes, interestOnLoan }
+ * @param {object} rules          regime rule table from taxRules.js
+ * @param {number} selfOccupiedLoss  24(b) interest already allowed as a deduction;
+ *                                   it shares the same set-off limit
  */
-function computeNewRegime(grossSalary) {
-  const totalDeductions = NEW_REGIME_STANDARD_DEDUCTION;
-  const taxableIncome = Math.max(0, grossSalary - totalDeductions);
-  const baseTax = applySlabs(taxableIncome, NEW_SLABS);
+function computeHouseProperty(houseProperty, rules, selfOccupiedLoss) {
+  const { rentReceived, municipalTaxes, interestOnLoan } = houseProperty;
+  const { standardDeductionPct, lossSetOffCap } = rules.houseProperty;
 
-  // Rebate u/s 87A (new regime): if taxable income ≤ ₹7L, no tax
-  const taxAfterRebate = taxableIncome <= 700_000 ? 0 : baseTax;
-  const cess = taxAfterRebate > 0 ? Math.round(taxAfterRebate * CESS_RATE) : 0;
-  const totalTax = taxAfterRebate + cess;
+  const annualValue = Math.max(0, rentReceived - municipalTaxes);
+  const standardDeduction = Math.round(annualValue * standardDeductionPct);
+  const computed = annualValue - standardDeduction - interestOnLoan;
 
+  const setOffRoom = Math.max(0, lossSetOffCap - selfOccupiedLoss);
+  const net = computed < 0 ? 0 - Math.min(-computed, setOffRoom) : computed;
+
+  return {
+    annualValue,
+    standardDeduction,
+    interestOnLoan,
+    computed,
+    net,
+    lossCarriedForward: net - computed,
+  };
+}
+
+/**
+ * Applies a regime's deduction map to the claimed amounts.
+ *
+ * @param {object} claims      claimed amounts keyed by section (see DEDUCTION_SECTIONS)
+ * @param {object} rules       regime rule table from taxRules.js
+ * @param {number} salaryBasis basic + DA, for percentage-of-salary limits
+ * @returns {{ allowedTotal: number, breakdown: Array<{ section, label, claimed, allowed, capped, disallowed }> }}
+ */
+function applyDeductions(claims, rules, salaryBasis) {
+  const breakdown = [];
+  let allowedTotal = 0;
+
+  for (const [section, label] of Object.entries(DEDUCTION_SECTIONS)) {
+    const claimed = Math.max(0, claims[section] || 0);
+    if (claimed === 0) continue;
+
+    const limit = rules.deductions[section];
+    let allowed = 0;
+    if (limit) {
+      const cap = limit.pctOfSalary != null
+        ? Math.round(salaryBasis * limit.pctOfSalary)
+        : (claims.parentsSenior && limit.seniorParentsCap) || limit.cap;
+      allowed = Math.min(claimed, cap);
+    }
+
+    breakdown.push({
+      section,
+      label,
+      claimed,
+      allowed,
+      capped: limit ? claimed - allowed : 0,
+      disallowed: limit ? 0 : claimed,
+    });
+    allowedTotal += allowed;
+  }
+
+  return { allowedTotal, breakdown };
+}
+
+const inr = (n) => `₹${Math.round(n).toLocaleString('en-IN')}`;
+const pct = (rate) => `${+(rate * 100).toFixed(2)}%`;
+
+/**
+ * Builds the ordered, human-readable trace of a regime computation.
+ *
+ * Each step is `{ step, label, amount?, rate?, tax? }`: `amount` is the
+ * signed effect on income (deductions are negative) and `tax` the signed
+ * effect on tax (rebate and marginal relief are negative). Steps:
+ * income, deduction, slabIncome, slab, specialRate, rebate, surcharge,
+ * marginalRelief, cess, total.
+ */
+function buildTrace(c) {
+  const trace = [];
+  const push = (entry) => trace.push(entry);
+
+  push({ step: 'income', label: 'Gross salary', amount: c.grossSalary });
+  if (c.standardDeduction > 0) {
+    push({ step: 'deduction', label: 'Standard deduction', amount: -c.standardDeduction });
+  }
+  if (c.houseProperty.net !== 0) {
+    push({ step: 'income', label: 'Income from house property', amount: c.houseProperty.net });
+  }
+  if (c.otherSources > 0) {
+    push({ step: 'income', label: 'Income from other sources', amount: c.otherSources });
+  }
+  for (const d of c.deductionBreakdown) {
+    if (d.allowed > 0) push({ step: 'deduction', section: d.section, label: d.label, amount: -d.allowed });
+  }
+  push({ step: 'slabIncome', label: 'Income taxed at slab rates', amount: c.slabIncome });
+
+  for (const slice of c.slabs) {
+    const range = slice.to === Infinity
+      ? `Above ${inr(slice.from)}`
+      : `${inr(slice.from)} – ${inr(slice.to)}`;
+    push({
+      step: 'slab',
+      label: `${range} @ ${pct(slice.rate)}`,
+      amount: slice.amount,
+      rate: slice.rate,
+      tax: slice.tax,
+    });
+  }
+
+  const cg = c.capitalGains;
+  if (cg.stcgEquity > 0) {
+    push({
+      step: 'specialRate',
+      label: `STCG u/s 111A @ ${pct(cg.stcgRate)}`,
+      amount: cg.stcgTaxable,
+      rate: cg.stcgRate,
+      tax: cg.stcgTax,
+    });
+  }
+  if (cg.ltcgEquity > 0) {
+    push({
+      step: 'specialRate',
+      label: `LTCG u/s 112A above ${inr(cg.ltcgExemption)} @ ${pct(cg.ltcgRate)}`,
+      amount: cg.ltcgTaxable,
+      rate: cg.ltcgRate,
+      tax: cg.ltcgTax,
+    });
+  }
+
+  if (c.rebate87A > 0) push({ step: 'rebate', label: 'Rebate u/s 87A', tax: -c.rebate87A });
+  if (c.surcharge > 0) {
+    push({ step: 'surcharge', label: `Surcharge @ ${pct(c.surchargeRate)}`, rate: c.surchargeRate, tax: c.surcharge });
+  }
+  if (c.marginalRelief > 0) {
+    push({ step: 'marginalRelief', label: 'Marginal relief on surcharge', tax: -c.marginalRelief });
+  }
+  if (c.cess > 0) {
+    push({ step: 'cess', label: `Health & Education Cess @ ${pct(CESS_RATE)}`, rate: CESS_RATE, tax: c.cess });
+  }
+  push({ step: 'total', label: 'Total tax payable', tax: c.totalTax });
+
+  return trace;
+}
+
+/**
+ * Shared computation for both regimes: income heads → deductions → slabs
+ * → special-rate gains → 87A rebate → surcharge → cess.
+ */
+function computeRegime(regime, income, deductions, options) {
+  const { financialYear, category } = resolveOptions(options);
+  const rules = getRules(financialYear, category)[regime];
+  const heads = normaliseIncome(income);
+  const grossSalary = heads.salary;
+
+  // Chapter VI-A and similar deductions
+  const salaryBasis = options.basicSalary ?? grossSalary;
+  const { allowedTotal, breakdown } = applyDeductions(deductions, rules, salaryBasis);
+  const standardDeduction = Math.min(rules.standardDeduction, grossSalary);
+  const totalDeductions = standardDeduction + allowedTotal;
+
+  // Slab-rate heads
+  const selfOccupiedLoss =
+    breakdown.find((d) => d.section === 'section24b')?.allowed || 0;
+  const houseProperty = computeHouseProperty(heads.houseProperty, rules, selfOccupiedLoss);
+  const slabGross = grossSalary - standardDeduction + houseProperty.net + heads.otherSources;
+  const slabIncome = Math.max(0, slabGross - allowedTotal);
+
+  // Special-rate capital gains; unused basic exemption is adjusted against
+  // them, higher-rate STCG first
+  const cg = rules.capitalGains;
+  const { stcgEquity, ltcgEquity } = heads.capitalGains;
+  const ltcgAboveExemption = Math.max(0, ltcgEquity - cg.ltcgExemption);
+  let exemptionLeft = Math.max(0, rules.slabs[0].up_to - slabIncome);
+  const stcgTaxable = Math.max(0, stcgEquity - exemptionLeft);
+  exemptionLeft = Math.max(0, exemptionLeft - stcgEquity);
+  const ltcgTaxable = Math.max(0, ltcgAboveExemption - exemptionLeft);
+  const stcgTax = Math.round(stcgTaxable * cg.stcgRate);
+  const ltcgTax = Math.round(ltcgTaxable * cg.ltcgRate);
+  const specialRateTax = stcgTax + ltcgTax;
+  const specialRateIncome = stcgEquity + ltcgEquity;
+
+  const taxableIncome = slabIncome + specialRateIncome;
+  const slabs = slabSlices(slabIncome, rules.slabs);
+  const slabTax = applySlabs(slabIncome, rules.slabs);
+
+  const rebate87A = computeRebate87A(taxableIncome, slabTax, stcgTax, ltcgTax, rules);
+  const taxAfterRebate = slabTax - rebate87A + specialRateTax;
+  const { surcharge, marginalRelief, rate: surchargeRate } = computeSurcharge(
+    taxableIncome, slabIncome, slabTax - rebate87A, specialRateTax, rules
+  );
+  const taxWithSurcharge = taxAfterRebate + surcharge - marginalRelief;
+  const cess = taxWithSurcharge > 0 ? Math.round(taxWithSurcharge * CESS_RATE) : 0;
+  const totalTax = taxWithSurcharge + cess;
+
+  const grossIncome = grossSalary + heads.otherSources +
+    heads.houseProperty.rentReceived + specialRateIncome;
   const effectiveRate =
-    grossSalary > 0 ? +((totalTax / grossSalary) * 100).toFixed(2) : 0;
+    grossIncome > 0 ? +((totalTax / grossIncome) * 100).toFixed(2) : 0;
+
+  const capitalGains = {
+    stcgEquity,
+    ltcgEquity,
+    ltcgExemption: Math.min(ltcgEquity, cg.ltcgExemption),
+    stcgTaxable,
+    ltcgTaxable,
+    stcgRate: cg.stcgRate,
+    ltcgRate: cg.ltcgRate,
+    stcgTax,
+    ltcgTax,
+  };
+
+  const trace = buildTrace({
+    grossSalary,
+    standardDeduction,
+    houseProperty,
+    otherSources: heads.otherSources,
+    deductionBreakdown: breakdown,
+    slabIncome,
+    slabs,
+    capitalGains,
+    rebate87A,
+    surcharge,
+    surchargeRate,
+    marginalRelief,
+    cess,
+    totalTax,
+  });
 
   return {
-    regime: 'new',
+    regime,
+    financialYear,
+    category,
     grossSalary,
+    grossIncome,
+    incomeHeads: {
+      salary: { gross: grossSalary, standardDeduction, net: grossSalary - standardDeduction },
+      houseProperty,
+      otherSources: heads.otherSources,
+      capitalGains,
+    },
+    standardDeduction,
+    deductionBreakdown: breakdown,
     totalDeductions,
+    slabIncome,
+    specialRateIncome,
     taxableIncome,
+    slabTax,
+    specialRateTax,
+    rebate87A,
     baseTax: taxAfterRebate,
+    surcharge,
+    marginalRelief,
     cess,
     totalTax,
     effectiveRate,
+    trace,
   };
 }
 
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Computes tax under the Old Regime.
+ *
+ * @param {number|object} income  Annual gross salary in INR, or an income object:
+ *   @param {number} [income.salary=0]        Gross salary
+ *   @param {number} [income.otherSources=0]  Interest and other slab-rate income
+ *   @param {object} [income.houseProperty]   Let-out property: { rentReceived, municipalTaxes, interestOnLoan }
+ *   @param {object} [income.capitalGains]    Listed equity gains: { stcgEquity (111A), ltcgEquity (112A) }
+ * @param {object} deductions   Claimed amounts; each is capped per section
+ *   @param {number} [deductions.hra=0]               HRA exemption claim
+ *   @param {number} [deductions.section80C=0]        e.g. PPF, ELSS (max ₹1.5L)
+ *   @param {number} [deductions.section80CCD1B=0]    Own NPS (max ₹50K)
+ *   @param {number} [deductions.section80CCD2=0]     Employer NPS (max 10% of basic + DA)
+ *   @param {number} [deductions.section80D=0]        Medical insurance (max ₹25K, ₹50K for seniors)
+ *   @param {number} [deductions.section80DParents=0] Parents' medical insurance (max ₹25K)
+ *   @param {boolean} [deductions.parentsSenior=false] Parents are seniors (80D parents max ₹50K)
+ *   @param {number} [deductions.section24b=0]        Home-loan interest, self-occupied (max ₹2L)
+ *   @param {number} [deductions.section80E=0]        Education-loan interest (no cap)
+ *   @param {number} [deductions.section80G=0]        Qualifying donations
+ *   @param {number} [deductions.section80TTA=0]      Savings interest (max ₹10K, below 60 only)
+ *   @param {number} [deductions.section80TTB=0]      Deposit interest (max ₹50K, seniors only)
+ *   @param {number} [deductions.other=0]             Other deductions
+ * @param {object} [options]
+ *   @param {string} [options.financialYear='2024-25']  Rule table to apply
+ *   @param {string} [options.category]  general | senior | superSenior
+ *   @param {number} [options.age]       used to pick the category if none given
+ *   @param {number} [options.basicSalary]  basic + DA for 80CCD(2); defaults to grossSalary
+ *
+ * @returns {{ financialYear, category, grossSalary, grossIncome, incomeHeads, standardDeduction, deductionBreakdown, totalDeductions, slabIncome, specialRateIncome, taxableIncome, slabTax, specialRateTax, rebate87A, baseTax, surcharge, marginalRelief, cess, totalTax, effectiveRate, trace }}
+ */
+function computeOldRegime(income, deductions = {}, options = {}) {
+  return computeRegime('old', income, deductions, options);
+}
+
+/**
+ * Computes tax under the New Regime.
+ *
+ * Only the standard deduction and employer NPS u/s 80CCD(2) are allowed;
+ * every other section in `deductions` is reported as disallowed.
+ *
+ * @param {number|object} income  (same shape as computeOldRegime)
+ * @param {object} [deductions]  (same shape as computeOldRegime)
+ * @param {object} [options]     (same shape as computeOldRegime)
+ * @returns {{ financialYear, category, grossSalary, grossIncome, incomeHeads, standardDeduction, deductionBreakdown, totalDeductions, slabIncome, specialRateIncome, taxableIncome, slabTax, specialRateTax, rebate87A, baseTax, surcharge, marginalRelief, cess, totalTax, effectiveRate, trace }}
+ */
+function computeNewRegime(income, deductions = {}, options = {}) {
+  return computeRegime('new', income, deductions, options);
+}
+
 /**
  * Compares both regimes and returns a recommendation.
  *
- * @param {number} grossSalary
+ * @param {number|object} income  (same shape as computeOldRegime)
  * @param {object} deductions  (same shape as computeOldRegime)
- * @returns {{ old, new, recommendation, savings }}
+ * @param {object} [options]    (same shape as computeOldRegime)
+ * @returns {{ financialYear, category, old, new, recommendation, savings, betterRegime }}
  */
-function compareTaxRegimes(grossSalary, deductions = {}) {
-  const oldResult = computeOldRegime(grossSalary, deductions);
-  const newResult = computeNewRegime(grossSalary);
+function compareTaxRegimes(income, deductions = {}, options = {}) {
+  const resolved = { ...options, ...resolveOptions(options) };
+  const { financialYear, category } = resolved;
+  const oldResult = computeOldRegime(income, deductions, resolved);
+  const newResult = computeNewRegime(income, deductions, resolved);
 
   const savings = oldResult.totalTax - newResult.totalTax;
   let recommendation;
@@ -191,6 +555,8 @@ function compareTaxRegimes(grossSalary, deductions = {}) {
   }
 
   return {
+    financialYear,
+    category,
     old: oldResult,
     new: newResult,
     recommendation,
@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * taxCurve.js — Tax across a range of salaries, for charts
+ *
+ * Runs compareTaxRegimes at evenly spaced salaries with the same
+ * deductions and reports, per point, each regime's total tax, effective
+ * rate and marginal rate. The marginal rate is measured over the next
+ * ₹1,000, so the 87A cliffs and slab edges show up as spikes and steps.
+ *
+ * Crossovers (salaries at which the better regime changes) are located
+ * to the rupee by bisecting between the two sample points that straddle
+ * them. A flip that reverts within one step is not seen, so keep the step
+ * small enough for the features you care about.
+ */
+
+const { compareTaxRegimes } = require('./taxCalc');
+
+// ─── Constants ─────────────────────────────────────────────────────────────
+
+const MAX_CURVE_POINTS = 1_000;
+const MARGINAL_PROBE = 1_000; // ₹ over which the marginal rate is measured
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const pct = (part, whole) => (whole > 0 ? +((part / whole) * 100).toFixed(2) : 0);
+
+/**
+ * Salaries from `from` to `to` inclusive; `to` is always the last point
+ * even when the range is not a whole number of steps.
+ */
+function salaryPoints(from, to, step) {
+  const salaries = [];
+  for (let salary = from; salary < to; salary += step) salaries.push(salary);
+  salaries.push(to);
+  return salaries;
+}
+
+/**
+ * Smallest salary in (lo, hi] whose better regime is `target`, given that
+ * `lo` differs from `target` and `hi` matches it.
+ */
+function findCrossover(lo, hi, target, betterAt) {
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (betterAt(mid) === target) hi = mid;
+    else lo = mid;
+  }
+  return hi;
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Sweeps salary across a range with fixed deductions.
+ *
+ * @param {object} range
+ *   @param {number} range.from   first salary (₹)
+ *   @param {number} range.to     last salary (₹), >= from
+ *   @param {number} range.step   spacing between points (₹)
+ * @param {object} [deductions]   (same shape as computeOldRegime)
+ * @param {object} [options]      (same shape as computeOldRegime)
+ *
+ * @returns {{ financialYear, category, points: Array<{ salary, betterRegime, savings,
+ *             old: { totalTax, effectiveRate, marginalRate }, new: { totalTax, effectiveRate, marginalRate } }>,
+ *             crossovers: Array<{ salary, from, to }> }}
+ * @throws {Error} if the range would produce more than MAX_CURVE_POINTS points
+ */
+function computeTaxCurve({ from, to, step }, deductions = {}, options = {}) {
+  if (!(step > 0) || to < from) throw new Error('Invalid salary range');
+  if (Math.ceil((to - from) / step) + 1 > MAX_CURVE_POINTS) {
+    throw new Error(`Salary range has more than ${MAX_CURVE_POINTS} points; use a larger step`);
+  }
+
+  const compare = (salary) => compareTaxRegimes(salary, deductions, options);
+  const betterAt = (salary) => compare(salary).betterRegime;
+
+  const regimePoint = (result, next) => ({
+    totalTax: result.totalTax,
+    effectiveRate: result.effectiveRate,
+    marginalRate: pct(next.totalTax - result.totalTax, MARGINAL_PROBE),
+  });
+
+  let financialYear;
+  let category;
+  const points = salaryPoints(from, to, step).map((salary) => {
+    const here = compare(salary);
+    const next = compare(salary + MARGINAL_PROBE);
+    ({ financialYear, category } = here);
+    return {
+      salary,
+      betterRegime: here.betterRegime,
+      savings: here.savings,
+      old: regimePoint(here.old, next.old),
+      new: regimePoint(here.new, next.new),
+    };
+  });
+
+  const crossovers = [];
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const cur = points[i];
+    if (prev.betterRegime === cur.betterRegime) continue;
+    crossovers.push({
+      salary: findCrossover(prev.salary, cur.salary, cur.betterRegime, betterAt),
+      from: prev.betterRegime,
+      to: cur.betterRegime,
+    });
+  }
+
+  return { financialYear, category, points, crossovers };
+}
+
+module.exports = { computeTaxCurve, MAX_CURVE_POINTS };
@@ -0,0 +1,287 @@
+'use strict';
+
+/**
+ * taxRules.js — Versioned Indian income-tax rule tables
+ *
+ * One entry per financial year, each holding the Old and New Regime
+ * parameters used by taxCalc.js. Add a new year by appending an entry;
+ * the calculator itself never hard-codes rates.
+ *
+ *   FY 2023-24 — New Regime becomes the default; std deduction ₹50,000
+ *   FY 2024-25 — Budget 2024: new std deduction ₹75,000, widened slabs,
+ *                employer NPS (80CCD(2)) limit raised to 14% in the New Regime
+ *   FY 2025-26 — Budget 2025: new-regime rebate up to ₹12L, 4L-wide slabs
+ */
+
+// ─── Surcharge bands ────────────────────────────────────────────────────────
+// Surcharge is levied on income tax once total income crosses `above`.
+// Since FY 2023-24 the New Regime caps it at 25% (no 37% band).
+
+const SURCHARGE_BANDS = [
+  { above: 5_000_000, rate: 0.10 },
+  { above: 10_000_000, rate: 0.15 },
+  { above: 20_000_000, rate: 0.25 },
+  { above: 50_000_000, rate: 0.37 },
+];
+
+const NEW_REGIME_SURCHARGE_BANDS = [
+  { above: 5_000_000, rate: 0.10 },
+  { above: 10_000_000, rate: 0.15 },
+  { above: 20_000_000, rate: 0.25 },
+];
+
+// ─── Rebate u/s 87A ─────────────────────────────────────────────────────────
+// `maxRebate` is the most the rebate can wipe off when taxable income is at
+// or below `maxTaxableIncome`. With `marginalRelief`, income just above the
+// limit pays no more tax than the amount by which it exceeds the limit.
+
+// ─── Special-rate capital gains ─────────────────────────────────────────────
+// Listed equity / equity MF with STT paid: STCG u/s 111A and LTCG u/s 112A.
+// Budget 2024 raised the rates from 23 July 2024; the post-Budget rates are
+// used for the whole of FY 2024-25. Surcharge on these gains is capped at 15%.
+
+const CAPITAL_GAINS_FY2023_24 = {
+  stcgRate: 0.15,
+  ltcgRate: 0.10,
+  ltcgExemption: 100_000,
+  maxSurchargeRate: 0.15,
+};
+
+const CAPITAL_GAINS_FROM_FY2024_25 = {
+  stcgRate: 0.20,
+  ltcgRate: 0.125,
+  ltcgExemption: 125_000,
+  maxSurchargeRate: 0.15,
+};
+
+// ─── House property ─────────────────────────────────────────────────────────
+// 30% standard deduction on the net annual value of let-out property. A net
+// loss (incl. self-occupied 24(b) interest) can be set off against other
+// heads up to ₹2L under the Old Regime only.
+
+const OLD_REGIME_HOUSE_PROPERTY = { standardDeductionPct: 0.30, lossSetOffCap: 200_000 };
+const NEW_REGIME_HOUSE_PROPERTY = { standardDeductionPct: 0.30, lossSetOffCap: 0 };
+
+// ─── Taxpayer categories ────────────────────────────────────────────────────
+// Resident individuals by age at any time during the financial year.
+
+const TAXPAYER_CATEGORIES = {
+  general: { label: 'Individual (below 60)', minAge: 0 },
+  senior: { label: 'Senior citizen (60–79)', minAge: 60 },
+  superSenior: { label: 'Super senior citizen (80+)', minAge: 80 },
+};
+
+// ─── Deduction sections ─────────────────────────────────────────────────────
+// Every deduction the calculator understands. A regime table's `deductions`
+// map lists the sections it allows and their limit: `cap` is a flat rupee
+// limit, `pctOfSalary` a share of basic + DA, and `seniorParentsCap` the
+// higher 80D limit for senior-citizen parents. A section that is missing
+// (or null) in a regime's map is disallowed under that regime.
+
+const DEDUCTION_SECTIONS = {
+  hra: 'HRA exemption u/s 10(13A)',
+  section80C: 'Section 80C (PPF, ELSS, life insurance, etc.)',
+  section80CCD1B: 'Section 80CCD(1B) — own NPS contribution',
+  section80CCD2: 'Section 80CCD(2) — employer NPS contribution',
+  section80D: 'Section 80D — health insurance (self & family)',
+  section80DParents: 'Section 80D — health insurance (parents)',
+  section24b: 'Section 24(b) — home-loan interest (self-occupied)',
+  section80E: 'Section 80E — education-loan interest',
+  section80G: 'Section 80G — donations (qualifying amount)',
+  section80TTA: 'Section 80TTA — savings-account interest',
+  section80TTB: 'Section 80TTB — deposit interest (seniors)',
+  other: 'Other deductions',
+};
+
+// ─── Shared Old Regime table ────────────────────────────────────────────────
+// The Old Regime has been unchanged since FY 2020-21. `categories` holds the
+// per-age overrides: a higher basic exemption, the senior 80D limit and
+// 80TTB in place of 80TTA.
+
+const OLD_REGIME = {
+  standardDeduction: 50_000,
+  deductions: {
+    hra: { cap: Infinity },
+    section80C: { cap: 150_000 },
+    section80CCD1B: { cap: 50_000 },
+    section80CCD2: { pctOfSalary: 0.10 },
+    section80D: { cap: 25_000 },
+    section80DParents: { cap: 25_000, seniorParentsCap: 50_000 },
+    section24b: { cap: 200_000 },
+    section80E: { cap: Infinity },
+    section80G: { cap: Infinity },
+    section80TTA: { cap: 10_000 },
+    other: { cap: Infinity },
+  },
+  slabs: [
+    { up_to: 250_000, rate: 0 },
+    { up_to: 500_000, rate: 0.05 },
+    { up_to: 1_000_000, rate: 0.20 },
+    { up_to: Infinity, rate: 0.30 },
+  ],
+  // Under the old regime the rebate also offsets 111A (STCG) tax
+  rebate87A: { maxTaxableIncome: 500_000, maxRebate: 12_500, marginalRelief: false, offsetsStcg: true },
+  surcharge: SURCHARGE_BANDS,
+  houseProperty: OLD_REGIME_HOUSE_PROPERTY,
+  categories: {
+    senior: {
+      deductions: {
+        section80D: { cap: 50_000 },
+        section80TTA: null,
+        section80TTB: { cap: 50_000 },
+      },
+      slabs: [
+        { up_to: 300_000, rate: 0 },
+        { up_to: 500_000, rate: 0.05 },
+        { up_to: 1_000_000, rate: 0.20 },
+        { up_to: Infinity, rate: 0.30 },
+      ],
+    },
+    superSenior: {
+      deductions: {
+        section80D: { cap: 50_000 },
+        section80TTA: null,
+        section80TTB: { cap: 50_000 },
+      },
+      slabs: [
+        { up_to: 500_000, rate: 0 },
+        { up_to: 1_000_000, rate: 0.20 },
+        { up_to: Infinity, rate: 0.30 },
+      ],
+    },
+  },
+};
+
+// ─── Registry ───────────────────────────────────────────────────────────────
+
+const TAX_RULES = {
+  '2023-24': {
+    old: { ...OLD_REGIME, capitalGains: CAPITAL_GAINS_FY2023_24 },
+    new: {
+      standardDeduction: 50_000,
+      deductions: { section80CCD2: { pctOfSalary: 0.10 } },
+      slabs: [
+        { up_to: 300_000, rate: 0 },
+        { up_to: 600_000, rate: 0.05 },
+        { up_to: 900_000, rate: 0.10 },
+        { up_to: 1_200_000, rate: 0.15 },
+        { up_to: 1_500_000, rate: 0.20 },
+        { up_to: Infinity, rate: 0.30 },
+      ],
+      rebate87A: { maxTaxableIncome: 700_000, maxRebate: 25_000, marginalRelief: true },
+      surcharge: NEW_REGIME_SURCHARGE_BANDS,
+      houseProperty: NEW_REGIME_HOUSE_PROPERTY,
+      capitalGains: CAPITAL_GAINS_FY2023_24,
+    },
+  },
+
+  '2024-25': {
+    old: { ...OLD_REGIME, capitalGains: CAPITAL_GAINS_FROM_FY2024_25 },
+    new: {
+      standardDeduction: 75_000,
+      deductions: { section80CCD2: { pctOfSalary: 0.14 } },
+      slabs: [
+        { up_to: 300_000, rate: 0 },
+        { up_to: 700_000, rate: 0.05 },
+        { up_to: 1_000_000, rate: 0.10 },
+        { up_to: 1_200_000, rate: 0.15 },
+        { up_to: 1_500_000, rate: 0.20 },
+        { up_to: Infinity, rate: 0.30 },
+      ],
+      rebate87A: { maxTaxableIncome: 700_000, maxRebate: 25_000, marginalRelief: true },
+      surcharge: NEW_REGIME_SURCHARGE_BANDS,
+      houseProperty: NEW_REGIME_HOUSE_PROPERTY,
+      capitalGains: CAPITAL_GAINS_FROM_FY2024_25,
+    },
+  },
+
+  '2025-26': {
+    old: { ...OLD_REGIME, capitalGains: CAPITAL_GAINS_FROM_FY2024_25 },
+    new: {
+      standardDeduction: 75_000,
+      deductions: { section80CCD2: { pctOfSalary: 0.14 } },
+      slabs: [
+        { up_to: 400_000, rate: 0 },
+        { up_to: 800_000, rate: 0.05 },
+        { up_to: 1_200_000, rate: 0.10 },
+        { up_to: 1_600_000, rate: 0.15 },
+        { up_to: 2_000_000, rate: 0.20 },
+        { up_to: 2_400_000, rate: 0.25 },
+        { up_to: Infinity, rate: 0.30 },
+      ],
+      rebate87A: { maxTaxableIncome: 1_200_000, maxRebate: 60_000, marginalRelief: true },
+      surcharge: NEW_REGIME_SURCHARGE_BANDS,
+      houseProperty: NEW_REGIME_HOUSE_PROPERTY,
+      capitalGains: CAPITAL_GAINS_FROM_FY2024_25,
+    },
+  },
+};
+
+const DEFAULT_FINANCIAL_YEAR = '2024-25';
+const SUPPORTED_FINANCIAL_YEARS = Object.keys(TAX_RULES);
+const DEFAULT_CATEGORY = 'general';
+const SUPPORTED_CATEGORIES = Object.keys(TAXPAYER_CATEGORIES);
+
+/**
+ * Maps an age in years to a taxpayer category key.
+ * @param {number} age
+ * @returns {'general'|'senior'|'superSenior'}
+ */
+function categoryForAge(age) {
+  if (age >= TAXPAYER_CATEGORIES.superSenior.minAge) return 'superSenior';
+  if (age >= TAXPAYER_CATEGORIES.senior.minAge) return 'senior';
+  return 'general';
+}
+
+/**
+ * Resolves a regime table for one taxpayer category by layering its
+ * overrides (if any) on top of the base table. The `deductions` map is
+ * merged section by section rather than replaced.
+ */
+function forCategory(regimeRules, category) {
+  const { categories = {}, ...base } = regimeRules;
+  const overrides = categories[category] || {};
+  return {
+    ...base,
+    ...overrides,
+    deductions: { ...base.deductions, ...overrides.deductions },
+  };
+}
+
+/**
+ * Looks up the rule tables for a financial year and taxpayer category.
+ *
+ * @param {string} [financialYear='2024-25']  e.g. "2025-26"
+ * @param {string} [category='general']       general | senior | superSenior
+ * @returns {{ old: object, new: object }}
+ * @throws {Error} if the year or category is not in the registry
+ */
+function getRules(financialYear = DEFAULT_FINANCIAL_YEAR, category = DEFAULT_CATEGORY) {
+  const rules = TAX_RULES[financialYear];
+  if (!rules) {
+    throw new Error(
+      `Unsupported financial year "${financialYear}". Supported: ${SUPPORTED_FINANCIAL_YEARS.join(', ')}`
+    );
+  }
+  if (!TAXPAYER_CATEGORIES[category]) {
+    throw new Error(
+      `Unsupported taxpayer category "${category}". Supported: ${SUPPORTED_CATEGORIES.join(', ')}`
+    );
+  }
+  return {
+    old: forCategory(rules.old, category),
+    new: forCategory(rules.new, category),
+  };
+}
+
+module.exports = {
+  TAX_RULES,
+  TAXPAYER_CATEGORIES,
+  DEDUCTION_SECTIONS,
+  DEFAULT_FINANCIAL_YEAR,
+  SUPPORTED_FINANCIAL_YEARS,
+  DEFAULT_CATEGORY,
+  SUPPORTED_CATEGORIES,
+  categoryForAge,
+  getRules,
+};
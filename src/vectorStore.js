@@ -1,84 +1,295 @@
 'use strict';
 
 /**
- * vectorStore.js — Chroma vector store helper
+ * vectorStore.js — Vector store helper
  *
  * Provides:
- *  - getCollection()   : ensures the Chroma collection exists
- *  - queryTopK(text, k): queries top-k chunks with metadata
+ *  - getCollection()   : opens the "tax_docs" collection on the configured backend
+ *  - upsertChunks(batch): inserts or replaces chunks by id
+ *  - deleteChunks(ids) : removes chunks by id
+ *  - listChunks()      : every chunk's id and metadata (no text or vectors)
+ *  - getEmbeddings(ids): stored vectors by id
+ *  - queryTopK(text, k): top-k chunks by hybrid (vector + keyword) search
+ *  - describeStore()   : which backend is in use, for logs and /api/health
  *
- * Embeddings are generated via Gemini embedding-001 model.
+ * The backend is picked by VECTOR_STORE:
+ *  - "chroma" (default) : Chroma server at CHROMA_HOST
+ *  - "local"            : embedded JSON files under LOCAL_VECTOR_DIR, no server needed
+ *
+ * Both return a collection with the same upsert / query / get / delete /
+ * count API, so the server and ingest_pdfs.js share this module whichever
+ * is chosen.
+ *
+ * Embeddings come from the provider picked by EMBEDDING_PROVIDER (see
+ * embeddings.js). The provider id and vector dimension are recorded in the
+ * collection metadata when it is created; opening a populated collection
+ * with a different provider is refused, since its distances would be
+ * meaningless.
  */
 
-const { ChromaClient } = require('chromadb');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 require('dotenv').config();
+const { getEmbedder, embedText } = require('./embeddings');
+const { buildIndex } = require('./lexicalIndex');
+const { cosineDistance } = require('./vectorStores/local');
 
 const COLLECTION_NAME = 'tax_docs';
 
-let _client = null;
+const RRF_K = 60;          // damps the weight of top ranks in reciprocal rank fusion
+const RRF_CANDIDATES = 20; // chunks taken from each ranking before fusing
+
+const BACKENDS = {
+    chroma: () => require('./vectorStores/chroma'),
+    local: () => require('./vectorStores/local'),
+};
+
 let _collection = null;
+let _lexical = null; // { count, records, index } — see getLexicalIndex
 
-function getClient() {
-    if (!_client) {
-        _client = new ChromaClient({ path: process.env.CHROMA_HOST || 'http://localhost:8000' });
+/**
+ * Resolves the backend named by VECTOR_STORE.
+ * @throws {Error} for an unknown backend name
+ */
+function getBackend() {
+    const name = (process.env.VECTOR_STORE || 'chroma').toLowerCase();
+    if (!BACKENDS[name]) {
+        throw new Error(
+            `Unknown VECTOR_STORE "${name}". Supported: ${Object.keys(BACKENDS).join(', ')}`
+        );
+    }
+    return BACKENDS[name]();
+}
+
+/** Collection metadata describing the embedder's vectors. */
+function embeddingMetadata(embedder) {
+    return {
+        embedding_provider: embedder.provider,
+        embedding_dimension: embedder.dimension,
+    };
+}
+
+/**
+ * Checks the collection was built by the configured embedder. An empty
+ * collection adopts the current embedder; one created before providers
+ * were recorded is trusted, and its vectors are still length-checked.
+ * @throws {Error} if the collection holds vectors from another embedder
+ */
+async function checkEmbedder(collection, expected) {
+    const recorded = collection.metadata || {};
+    if (
+        recorded.embedding_provider === expected.embedding_provider &&
+        Number(recorded.embedding_dimension) === expected.embedding_dimension
+    ) {
+        return;
+    }
+
+    if ((await collection.count()) === 0) {
+        // Chroma rejects a modify that sets the index parameters (hnsw:*);
+        // they were fixed when the collection was created and are kept
+        const metadata = Object.fromEntries(
+            Object.entries({ ...recorded, ...expected }).filter(([key]) => !key.startsWith('hnsw:'))
+        );
+        await collection.modify({ metadata });
+        collection.metadata = { ...recorded, ...expected };
+        return;
+    }
+    if (!recorded.embedding_provider) return;
+
+    throw new Error(
+        `Collection "${collection.name}" was embedded with ${recorded.embedding_provider} ` +
+        `(${recorded.embedding_dimension} dimensions) but EMBEDDING_PROVIDER gives ` +
+        `${expected.embedding_provider} (${expected.embedding_dimension} dimensions). ` +
+        'Re-ingest the PDFs with the new provider or switch EMBEDDING_PROVIDER back.'
+    );
+}
+
+/**
+ * Rejects vectors whose length does not match the configured embedder.
+ * @throws {Error}
+ */
+function assertDimension(vector, what) {
+    const { provider, dimension } = getEmbedder();
+    if (vector.length !== dimension) {
+        throw new Error(
+            `${what} has ${vector.length} dimensions; ${provider} produces ${dimension}`
+        );
     }
-    return _client;
 }
 
 async function getCollection() {
     if (_collection) return _collection;
-    const client = getClient();
-    _collection = await client.getOrCreateCollection({
-        name: COLLECTION_NAME,
-        metadata: { 'hnsw:space': 'cosine' },
-    });
+    const expected = embeddingMetadata(getEmbedder());
+    const collection = await getBackend().openCollection(COLLECTION_NAME, expected);
+    await checkEmbedder(collection, expected);
+    _collection = collection;
     return _collection;
 }
 
+/** Human-readable backend description, e.g. "local (./vector_data)". */
+function describeStore() {
+    return getBackend().describe();
+}
+
+/**
+ * Inserts or replaces chunks by id.
+ * @param {{ ids: string[], embeddings: number[][], documents: string[], metadatas: object[] }} batch
+ */
+async function upsertChunks(batch) {
+    const collection = await getCollection();
+    batch.embeddings.forEach((vector, i) => assertDimension(vector, `Embedding for "${batch.ids[i]}"`));
+    await collection.upsert(batch);
+    _lexical = null;
+}
+
+/**
+ * Removes chunks by id.
+ * @param {string[]} ids
+ */
+async function deleteChunks(ids) {
+    if (ids.length === 0) return;
+    const collection = await getCollection();
+    await collection.delete({ ids });
+    _lexical = null;
+}
+
 /**
- * Generates an embedding vector for the given text using Gemini.
- * @param {string} text
- * @returns {Promise<number[]>}
+ * Every stored chunk's id and metadata.
+ * @returns {Promise<{ ids: string[], metadatas: object[] }>}
  */
-async function embedText(text) {
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    const model = genAI.getGenerativeModel({ model: 'gemini-embedding-001' });
-    const result = await model.embedContent(text);
-    return result.embedding.values;
+async function listChunks() {
+    const collection = await getCollection();
+    const { ids, metadatas } = await collection.get({ include: ['metadatas'] });
+    return { ids, metadatas };
 }
 
 /**
- * Queries the Chroma collection for the top-k most relevant chunks.
+ * Stored vectors by id; ids that are not stored are left out.
+ * @param {string[]} ids
+ * @returns {Promise<Map<string, number[]>>}
+ */
+async function getEmbeddings(ids) {
+    if (ids.length === 0) return new Map();
+    const collection = await getCollection();
+    const found = await collection.get({ ids, include: ['embeddings'] });
+    return new Map(found.ids.map((id, i) => [id, found.embeddings[i]]));
+}
+
+/**
+ * The keyword index over every chunk in the collection, rebuilt when the
+ * chunk count changes (another process may have ingested; both backends
+ * report its writes). Re-ingesting the same ids from another process keeps
+ * the count, so restart the server after that.
+ */
+async function getLexicalIndex(collection) {
+    const count = await collection.count();
+    if (_lexical && _lexical.count === count) return _lexical;
+
+    const all = await collection.get({ include: ['documents', 'metadatas'] });
+    const records = new Map();
+    all.ids.forEach((id, i) => {
+        records.set(id, { text: all.documents[i], metadata: all.metadatas[i] || {} });
+    });
+    _lexical = {
+        count,
+        records,
+        index: buildIndex(all.ids.map((id, i) => ({ id, text: all.documents[i] }))),
+    };
+    return _lexical;
+}
+
+const round4 = (n) => +n.toFixed(4);
+
+/**
+ * Queries the collection for the top-k most relevant chunks.
+ *
+ * Runs vector search and BM25 keyword search (see lexicalIndex.js) and
+ * fuses the two rankings with reciprocal rank fusion: each chunk scores
+ * Σ 1 / (RRF_K + rank) over the rankings it appears in. Rank fusion needs
+ * no calibration between cosine distances and BM25 scores, which live on
+ * unrelated scales.
  *
  * @param {string} queryText  The user's question / context
  * @param {number} [k=5]      Number of chunks to retrieve
- * @returns {Promise<Array<{ text: string, metadata: object, distance: number }>>}
+ * @returns {Promise<Array<{ id: string, text: string, metadata: object, distance: number|null,
+ *           scores: { vector: number|null, lexical: number|null, fused: number } }>>}
+ *   `scores.vector` is cosine similarity (1 − distance); `scores.lexical`
+ *   is the BM25 score, null when the chunk shares no word with the query
  */
 async function queryTopK(queryText, k = 5) {
     const collection = await getCollection();
     const queryEmbedding = await embedText(queryText);
+    assertDimension(queryEmbedding, 'Query embedding');
 
-    const results = await collection.query({
-        queryEmbeddings: [queryEmbedding],
-        nResults: k,
-        include: ['documents', 'metadatas', 'distances'],
-    });
+    const candidates = Math.max(k, RRF_CANDIDATES);
+    const [results, lexical] = await Promise.all([
+        collection.query({
+            queryEmbeddings: [queryEmbedding],
+            nResults: candidates,
+            include: ['documents', 'metadatas', 'distances'],
+        }),
+        getLexicalIndex(collection),
+    ]);
+
+    const fused = new Map(); // id → chunk
+    const chunkFor = (id) => {
+        if (!fused.has(id)) {
+            fused.set(id, {
+                id,
+                text: null,
+                metadata: {},
+                distance: null,
+                scores: { vector: null, lexical: null, fused: 0 },
+            });
+        }
+        return fused.get(id);
+    };
 
-    const chunks = [];
+    const ids = results.ids?.[0] || [];
     const docs = results.documents?.[0] || [];
     const metas = results.metadatas?.[0] || [];
     const dists = results.distances?.[0] || [];
+    ids.forEach((id, rank) => {
+        const chunk = chunkFor(id);
+        chunk.text = docs[rank];
+        chunk.metadata = metas[rank] || {};
+        chunk.distance = dists[rank] ?? null;
+        chunk.scores.vector = chunk.distance === null ? null : round4(1 - chunk.distance);
+        chunk.scores.fused += 1 / (RRF_K + rank + 1);
+    });
+
+    lexical.index.search(queryText, candidates).forEach(({ id, score }, rank) => {
+        const chunk = chunkFor(id);
+        if (chunk.text === null) Object.assign(chunk, lexical.records.get(id));
+        chunk.scores.lexical = round4(score);
+        chunk.scores.fused += 1 / (RRF_K + rank + 1);
+    });
+
+    const top = [...fused.values()]
+        .sort((a, b) => b.scores.fused - a.scores.fused)
+        .slice(0, k);
 
-    for (let i = 0; i < docs.length; i++) {
-        chunks.push({
-            text: docs[i],
-            metadata: metas[i] || {},
-            distance: dists[i] ?? null,
+    // Chunks found only by keyword still get a vector score
+    const keywordOnly = top.filter((c) => c.distance === null).map((c) => c.id);
+    if (keywordOnly.length > 0) {
+        const found = await collection.get({ ids: keywordOnly, include: ['embeddings'] });
+        found.ids.forEach((id, i) => {
+            const chunk = fused.get(id);
+            chunk.distance = cosineDistance(queryEmbedding, found.embeddings[i]);
+            chunk.scores.vector = round4(1 - chunk.distance);
         });
     }
 
-    return chunks;
+    for (const chunk of top) chunk.scores.fused = round4(chunk.scores.fused);
+    return top;
 }
 
-module.exports = { getCollection, embedText, queryTopK };
+module.exports = {
+    getCollection,
+    upsertChunks,
+    deleteChunks,
+    listChunks,
+    getEmbeddings,
+    embedText,
+    queryTopK,
+    describeStore,
+    COLLECTION_NAME,
+};
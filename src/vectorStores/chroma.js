@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * chroma.js — Chroma vector-store backend
+ *
+ * Talks to a Chroma server at CHROMA_HOST. Collections use cosine distance.
+ */
+
+const { ChromaClient } = require('chromadb');
+
+let _client = null;
+
+function getClient() {
+    if (!_client) {
+        _client = new ChromaClient({ path: process.env.CHROMA_HOST || 'http://localhost:8000' });
+    }
+    return _client;
+}
+
+/**
+ * Opens (creating if needed) a Chroma collection. `metadata` is only
+ * applied when the collection is created; an existing collection keeps its own.
+ * @param {string} name
+ * @param {object} [metadata]
+ * @returns {Promise<object>} Chroma collection (upsert / query / get / delete / count / modify)
+ */
+async function openCollection(name, metadata = {}) {
+    return getClient().getOrCreateCollection({
+        name,
+        metadata: { 'hnsw:space': 'cosine', ...metadata },
+    });
+}
+
+function describe() {
+    return `chroma (${process.env.CHROMA_HOST || 'http://localhost:8000'})`;
+}
+
+module.exports = { openCollection, describe };
@@ -0,0 +1,212 @@
+'use strict';
+
+/**
+ * local.js — Embedded, file-backed vector-store backend
+ *
+ * Keeps each collection in a JSON file under LOCAL_VECTOR_DIR (default
+ * ./vector_data) and answers queries by brute-force cosine similarity in
+ * process. No server to run — meant for laptops and CI, where the corpus is
+ * a few thousand chunks at most.
+ *
+ * The collection object implements the subset of the Chroma collection API
+ * the app uses — upsert / query / get / delete / count / modify — with the
+ * same argument and result shapes, so callers do not care which backend
+ * they got.
+ *
+ * The server and `npm run ingest` may use the same file at once. Each call
+ * re-reads the file if another process has replaced it since, and each
+ * write applies its change to the file's latest contents, so neither side
+ * serves a stale copy or writes one back over the other's chunks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function dataDir() {
+    return process.env.LOCAL_VECTOR_DIR || path.join(__dirname, '..', '..', 'vector_data');
+}
+
+/** Cosine distance (1 − cosine similarity), as Chroma reports it. */
+function cosineDistance(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 1;
+    return 1 - dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Identifies the file's current contents: every write renames a new file
+ * into place, so the inode changes. null when there is no file.
+ */
+function fileVersion(file) {
+    try {
+        const { ino, mtimeMs, size } = fs.statSync(file);
+        return `${ino}:${mtimeMs}:${size}`;
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
+
+/** Writes via a temp file + rename so a crash never leaves half a file. */
+function writeAtomic(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, file);
+}
+
+// ─── Collection ──────────────────────────────────────────────────────────────
+
+/**
+ * Loads (or starts) a collection stored in `file`. `initialMetadata` is
+ * only used when the file does not exist yet.
+ * @param {string} name
+ * @param {string} file  JSON file holding the collection
+ * @param {object} initialMetadata
+ * @returns {{ name, metadata, upsert, query, get, delete, count, modify }}
+ */
+function createLocalCollection(name, file, initialMetadata) {
+    const records = new Map(); // id → { id, embedding, document, metadata }
+    const collection = { name, metadata: initialMetadata };
+    let loaded = null; // version of the file `records` holds, see fileVersion
+
+    /** Re-reads the file if another process has written it since. */
+    function refresh() {
+        const version = fileVersion(file);
+        if (version === loaded) return;
+        records.clear();
+        if (version !== null) {
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            collection.metadata = saved.metadata || initialMetadata;
+            for (const r of saved.records) records.set(r.id, r);
+        }
+        loaded = version;
+    }
+
+    /** Applies `change` to the latest contents and writes them back. */
+    function update(change) {
+        refresh();
+        change();
+        writeAtomic(file, JSON.stringify({
+            name,
+            metadata: collection.metadata,
+            records: [...records.values()],
+        }));
+        loaded = fileVersion(file);
+    }
+
+    refresh();
+
+    return Object.assign(collection, {
+
+        /**
+         * Inserts or replaces records by id.
+         * @param {{ ids: string[], embeddings: number[][], documents?: string[], metadatas?: object[] }} batch
+         */
+        async upsert({ ids, embeddings, documents = [], metadatas = [] }) {
+            update(() => {
+                ids.forEach((id, i) => {
+                    records.set(id, {
+                        id,
+                        embedding: embeddings[i],
+                        document: documents[i] ?? null,
+                        metadata: metadatas[i] ?? {},
+                    });
+                });
+            });
+        },
+
+        /**
+         * Nearest neighbours by cosine distance, in Chroma's result shape
+         * (one inner array per query embedding).
+         */
+        async query({ queryEmbeddings, nResults = 10 }) {
+            refresh();
+            const result = { ids: [], documents: [], metadatas: [], distances: [] };
+            const all = [...records.values()];
+
+            for (const q of queryEmbeddings) {
+                const top = all
+                    .map((r) => ({ r, distance: cosineDistance(q, r.embedding) }))
+                    .sort((a, b) => a.distance - b.distance)
+                    .slice(0, nResults);
+                result.ids.push(top.map((t) => t.r.id));
+                result.documents.push(top.map((t) => t.r.document));
+                result.metadatas.push(top.map((t) => t.r.metadata));
+                result.distances.push(top.map((t) => t.distance));
+            }
+
+            return result;
+        },
+
+        /**
+         * Records by id (all records when `ids` is omitted), in Chroma's
+         * `get` shape. Embeddings are only returned when included.
+         */
+        async get({ ids, include = ['documents', 'metadatas'] } = {}) {
+            refresh();
+            const found = ids
+                ? ids.map((id) => records.get(id)).filter(Boolean)
+                : [...records.values()];
+            return {
+                ids: found.map((r) => r.id),
+                documents: found.map((r) => r.document),
+                metadatas: found.map((r) => r.metadata),
+                embeddings: include.includes('embeddings') ? found.map((r) => r.embedding) : null,
+            };
+        },
+
+        /** Deletes records by id; unknown ids are ignored. */
+        async delete({ ids }) {
+            update(() => {
+                for (const id of ids) records.delete(id);
+            });
+        },
+
+        async count() {
+            refresh();
+            return records.size;
+        },
+
+        /** Replaces the collection metadata. */
+        // Like Chroma, the index parameters (hnsw:*) set at creation are kept
+        async modify({ metadata }) {
+            update(() => {
+                const index = Object.entries(collection.metadata || {}).filter(([key]) => key.startsWith('hnsw:'));
+                collection.metadata = { ...Object.fromEntries(index), ...metadata };
+            });
+        },
+    });
+}
+
+// ─── Backend ─────────────────────────────────────────────────────────────────
+
+/**
+ * Opens (creating on first write) a file-backed collection. `metadata` is
+ * only applied when the collection is created; an existing one keeps its own.
+ * @param {string} name
+ * @param {object} [metadata]
+ * @returns {Promise<object>} collection (upsert / query / get / delete / count / modify)
+ */
+async function openCollection(name, metadata = {}) {
+    return createLocalCollection(
+        name,
+        path.join(dataDir(), `${name}.json`),
+        { 'hnsw:space': 'cosine', ...metadata }
+    );
+}
+
+function describe() {
+    return `local (${dataDir()})`;
+}
+
+module.exports = { openCollection, describe, cosineDistance };
@@ -0,0 +1,45 @@
+'use strict';
+
+const { computeOldRegime, computeNewRegime } = require('../src/taxCalc');
+const { findBreakEvenDeduction } = require('../src/breakEven');
+
+const oldTaxWithExtra = (income, deductions, extra) =>
+    computeOldRegime(income, { ...deductions, other: (deductions.other || 0) + extra }).totalTax;
+
+describe('findBreakEvenDeduction', () => {
+    test('returns the smallest extra deduction at which old ≤ new', () => {
+        const deductions = { section80C: 150_000, section80D: 25_000 };
+        const result = findBreakEvenDeduction(1_500_000, deductions);
+        const newTax = computeNewRegime(1_500_000).totalTax;
+
+        expect(result.status).toBe('reachable');
+        expect(result.newTax).toBe(newTax);
+        expect(oldTaxWithExtra(1_500_000, deductions, result.breakEvenDeduction)).toBeLessThanOrEqual(newTax);
+        expect(oldTaxWithExtra(1_500_000, deductions, result.breakEvenDeduction - 1)).toBeGreaterThan(newTax);
+    });
+
+    test('is zero when the old regime already wins or ties', () => {
+        const result = findBreakEvenDeduction(500_000, {});
+        expect(result.status).toBe('old-already-better');
+        expect(result.breakEvenDeduction).toBe(0);
+    });
+
+    test('lands on the 87A cliff when no slab point matches the new-regime tax', () => {
+        // New: taxable 7.05L → ₹5,000 after marginal relief (+cess) = ₹5,200
+        // Old: taxable 7.3L; any taxable above ₹5L costs ≥ ₹12,500, so the
+        // answer is the deduction that brings taxable down to exactly ₹5L
+        const result = findBreakEvenDeduction(780_000, {});
+        expect(result.newTax).toBe(5_200);
+        expect(result.breakEvenDeduction).toBe(230_000);
+        expect(result.oldTaxAtBreakEven).toBe(0);
+        expect(result.exact).toBe(false);
+    });
+
+    test('is unreachable when extra deductions cannot close the gap', () => {
+        // Only STCG: the new regime's larger basic exemption always wins
+        const income = { capitalGains: { stcgEquity: 1_000_000 } };
+        const result = findBreakEvenDeduction(income, {});
+        expect(result.status).toBe('unreachable');
+        expect(result.breakEvenDeduction).toBeNull();
+    });
+});
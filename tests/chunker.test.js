@@ -0,0 +1,111 @@
+'use strict';
+
+const PDFDocument = require('pdfkit');
+const { chunkPages, readPdfPages, formatCitation, splitSentences } = require('../src/chunker');
+
+const body = (text, gapBefore = 14) => ({ text, fontSize: 11, gapBefore });
+const heading = (text) => ({ text, fontSize: 16, gapBefore: 30 });
+
+describe('chunkPages', () => {
+    const pages = [
+        [
+            heading('Deductions under Chapter VI-A'),
+            body('Section 80C (Maximum Rs. 1,50,000):'),
+            body('PPF, ELSS and life insurance premium qualify.'),
+            body('Section 80D (Medical Insurance):', 28),
+            body('Premium for self, spouse and children is deductible up to'),
+        ],
+        [
+            body('Rs. 25,000 a year. Parents add another Rs. 25,000.'),
+        ],
+    ];
+
+    test('records the heading path and the real page range', () => {
+        const chunks = chunkPages(pages);
+        expect(chunks.map((c) => c.headings)).toEqual([
+            ['Deductions under Chapter VI-A', 'Section 80C (Maximum Rs. 1,50,000)'],
+            ['Deductions under Chapter VI-A', 'Section 80D (Medical Insurance)'],
+        ]);
+        expect(chunks[0]).toMatchObject({ pageStart: 1, pageEnd: 1 });
+        expect(chunks[1]).toMatchObject({ pageStart: 1, pageEnd: 2 });
+        expect(chunks[1].text).toBe(
+            'Deductions under Chapter VI-A > Section 80D (Medical Insurance)\n' +
+            'Premium for self, spouse and children is deductible up to Rs. 25,000 a year. Parents add another Rs. 25,000.'
+        );
+    });
+
+    test('splits long sections at sentence ends within the token budget', () => {
+        const sentence = (n) => `Sentence ${n} explains one condition of the deduction in some detail.`;
+        const long = [[heading('Section 80CCD(1B)'), body([1, 2, 3, 4, 5, 6].map(sentence).join(' '))]];
+        const chunks = chunkPages(long, { maxTokens: 50 });
+
+        expect(chunks.length).toBeGreaterThan(2);
+        for (const c of chunks) {
+            expect(Math.ceil(c.text.length / 4)).toBeLessThanOrEqual(50);
+            expect(c.text).toMatch(/^Section 80CCD\(1B\)\nSentence \d .*\.$/);
+        }
+        // Each split repeats the previous chunk's last sentence
+        expect(chunks[1].text).toContain(chunks[0].text.split('. ').at(-1));
+    });
+
+    test('splits a sentence longer than the budget at word boundaries', () => {
+        const words = Array.from({ length: 80 }, (_, i) => `word${i}`).join(' ');
+        const chunks = chunkPages([[body(words)]], { maxTokens: 40 });
+        expect(chunks.length).toBeGreaterThan(1);
+        expect(chunks.map((c) => c.text).join(' ').split(' ')).toEqual(expect.arrayContaining(['word0', 'word79']));
+        for (const c of chunks) expect(c.text).toMatch(/^word\d+( word\d+)*$/);
+    });
+
+    test('starts paragraphs at bullets and wide gaps, and re-joins hyphenated words', () => {
+        const [chunk] = chunkPages([[
+            body('Exemption is the minimum of'),
+            body('• actual HRA received'),
+            body('• rent paid minus ten per cent of sal-'),
+            body('ary'),
+            body('Claim it in Form 12BB.', 30),
+        ]]);
+        expect(chunk.text).toBe(
+            'Exemption is the minimum of\n• actual HRA received\n• rent paid minus ten per cent of salary\nClaim it in Form 12BB.'
+        );
+    });
+});
+
+describe('splitSentences', () => {
+    test('does not break after abbreviations', () => {
+        expect(splitSentences('Limit is Rs. 50,000 u/s. 80CCD(1B). It is extra. 2 more.').map((s) => s.text))
+            .toEqual(['Limit is Rs. 50,000 u/s. 80CCD(1B).', 'It is extra.', '2 more.']);
+    });
+});
+
+describe('formatCitation', () => {
+    test('names the section and pages', () => {
+        expect(formatCitation({ heading: 'Section 80D', page: 3, page_end: 3 })).toBe('Section 80D, p.3');
+        expect(formatCitation({ heading: 'Section 80D', page: 3, page_end: 4 })).toBe('Section 80D, pp.3–4');
+        expect(formatCitation({ file: 'old.pdf', page: 2 })).toBe('p.2');
+        expect(formatCitation({})).toBeNull();
+    });
+});
+
+describe('readPdfPages', () => {
+    test('returns each page\'s lines with font sizes', async () => {
+        const pdf = await new Promise((resolve) => {
+            const doc = new PDFDocument();
+            const parts = [];
+            doc.on('data', (d) => parts.push(d));
+            doc.on('end', () => resolve(Buffer.concat(parts)));
+            doc.fontSize(16).text('Section 80D');
+            doc.fontSize(11).text('Health insurance premium.');
+            doc.addPage().text('Second page text.');
+            doc.end();
+        });
+
+        const pages = await readPdfPages(pdf);
+        expect(pages).toHaveLength(2);
+        expect(pages[0].map((l) => [l.text, l.fontSize])).toEqual([['Section 80D', 16], ['Health insurance premium.', 11]]);
+        expect(pages[1][0].text).toBe('Second page text.');
+
+        expect(chunkPages(pages)).toEqual([
+            { text: 'Section 80D\nHealth insurance premium. Second page text.', headings: ['Section 80D'], pageStart: 1, pageEnd: 2 },
+        ]);
+    });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const { getEmbedder } = require('../src/embeddings');
+const hashed = require('../src/embedders/hashed');
+
+afterEach(() => {
+    delete process.env.EMBEDDING_PROVIDER;
+    delete process.env.HASHED_EMBEDDING_DIM;
+});
+
+const cosine = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+describe('hashed embedder', () => {
+    test('is deterministic, normalised and of the configured size', async () => {
+        const a = await hashed.embed('Section 80C deduction for PPF');
+        const b = await hashed.embed('Section 80C deduction for PPF');
+        expect(a).toEqual(b);
+        expect(a).toHaveLength(512);
+        expect(cosine(a, a)).toBeCloseTo(1, 10);
+
+        process.env.HASHED_EMBEDDING_DIM = '64';
+        expect(hashed.dimension).toBe(64);
+        expect(await hashed.embed('80C')).toHaveLength(64);
+    });
+
+    test('texts sharing words are closer than unrelated ones', async () => {
+        const query = await hashed.embed('HRA exemption on rent');
+        const related = await hashed.embed('House rent allowance (HRA) exemption u/s 10(13A)');
+        const unrelated = await hashed.embed('Deduction for health insurance premium under 80D');
+        expect(cosine(query, related)).toBeGreaterThan(cosine(query, unrelated));
+    });
+
+    test('ignores case, punctuation and stopwords', async () => {
+        expect(hashed.tokenize('The HRA, for Rent!')).toEqual(['hra', 'rent']);
+        expect(await hashed.embed('RENT of the flat')).toEqual(await hashed.embed('rent flat'));
+    });
+
+    test('text with no words embeds to the zero vector', async () => {
+        const vector = await hashed.embed('... the ...');
+        expect(vector.every((v) => v === 0)).toBe(true);
+    });
+});
+
+describe('getEmbedder', () => {
+    test('defaults to Gemini', () => {
+        expect(getEmbedder()).toMatchObject({ provider: 'gemini/gemini-embedding-001', dimension: 3072 });
+    });
+
+    test('selects the hashed provider', () => {
+        process.env.EMBEDDING_PROVIDER = 'Hashed';
+        expect(getEmbedder().provider).toBe('hashed/bow-v1');
+    });
+
+    test('rejects an unknown provider', () => {
+        process.env.EMBEDDING_PROVIDER = 'word2vec';
+        expect(() => getEmbedder()).toThrow(/Unknown EMBEDDING_PROVIDER "word2vec". Supported: gemini, hashed/);
+    });
+});
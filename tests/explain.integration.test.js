@@ -4,20 +4,37 @@
  * Integration test for POST /api/explain
  *
  * Mocks:
- *   - chromadb (vectorStore) → returns 2 dummy chunks
- *   - @google/generative-ai → returns a canned summary
+ *   - chromadb (vectorStore) → returns 2 dummy chunks; one stored PDF for /api/documents
  *   - axios (n8n webhook) → no-op
  *
- * This test runs without Chroma, Gemini, or n8n being active.
+ * The explanation comes from the offline template LLM provider, spied on
+ * to read the prompt. This test runs without Chroma, Gemini, or n8n being
+ * active.
  */
 
 // ─── Mock external dependencies BEFORE requiring server ──────────────────────
 jest.mock('../src/vectorStore', () => ({
+    describeStore: jest.fn(() => 'mock'),
+    listChunks: jest.fn().mockResolvedValue({
+        ids: ['income_tax_guide.pdf_chunk_0', 'income_tax_guide.pdf_chunk_1'],
+        metadatas: [0, 1].map((i) => ({
+            file: 'income_tax_guide.pdf', page: i + 1, chunk_id: i, total_chunks: 2,
+            file_hash: 'abc123', content_hash: `h${i}`, ingested_at: '2026-01-15T10:00:00.000Z',
+        })),
+    }),
+    upsertChunks: jest.fn().mockResolvedValue(),
+    deleteChunks: jest.fn().mockResolvedValue(),
+    getEmbeddings: jest.fn().mockResolvedValue(new Map()),
+    embedText: jest.fn().mockResolvedValue([0.1, 0.2, 0.3]),
     queryTopK: jest.fn().mockResolvedValue([
         {
             text: 'Under Section 80C, you can claim deductions up to ₹1,50,000 on investments such as PPF, ELSS, and life insurance premiums.',
-            metadata: { file: 'income_tax_guide.pdf', page: 1, chunk_id: 0 },
+            metadata: {
+                file: 'income_tax_guide.pdf', page: 1, page_end: 2, chunk_id: 0,
+                heading: 'Section 80C', section_path: 'Old Tax Regime > Section 80C',
+            },
             distance: 0.12,
+            scores: { vector: 0.88, lexical: 3.1416, fused: 0.0328 },
         },
         {
             text: 'The New Tax Regime in FY 2024-25 offers a standard deduction of ₹75,000 for salaried individuals.',
@@ -27,37 +44,21 @@ jest.mock('../src/vectorStore', () => ({
     ]),
 }));
 
-jest.mock('@google/generative-ai', () => {
-    const mockGenerateContent = jest.fn().mockResolvedValue({
-        response: {
-            text: () =>
-                'Based on the excerpts, the New Regime is beneficial at higher incomes.\n- Consider investing in 80C instruments for Old Regime\n- New Regime standard deduction is ₹75,000',
-        },
-    });
-    const mockEmbedContent = jest.fn().mockResolvedValue({
-        embedding: { values: new Array(768).fill(0.1) },
-    });
-    return {
-        GoogleGenerativeAI: jest.fn().mockImplementation(() => ({
-            getGenerativeModel: jest.fn().mockReturnValue({
-                generateContent: mockGenerateContent,
-                embedContent: mockEmbedContent,
-            }),
-        })),
-    };
-});
-
 jest.mock('axios', () => ({
     post: jest.fn().mockResolvedValue({ status: 200 }),
 }));
 
 // ─── Set up env vars ──────────────────────────────────────────────────────────
-process.env.GEMINI_API_KEY = 'test-key-12345';
+process.env.LLM_PROVIDER = 'template';
 process.env.CHROMA_HOST = 'http://localhost:8000';
 process.env.N8N_WEBHOOK_URL = 'http://localhost:5678/webhook/test';
 
 const request = require('supertest');
 const app = require('../server');
+const templateLlm = require('../src/llms/template');
+
+jest.spyOn(templateLlm, 'generate');
+const lastPrompt = () => templateLlm.generate.mock.calls.at(-1)[0].prompt;
 
 // ─── Tests ────────────────────────────────────────────────────────────────────
 describe('POST /api/explain', () => {
@@ -109,6 +110,24 @@ describe('POST /api/explain', () => {
         expect(res.body.taxNumbers.new.totalTax).toBeGreaterThanOrEqual(0);
     });
 
+    test('taxNumbers report the Section 87A rebate amount', async () => {
+        const res = await request(app)
+            .post('/api/explain')
+            .send({ salary: 785_000, deductions: {} });
+        expect(res.body.taxNumbers.new.rebate87A).toBe(11_000);
+        expect(res.body.taxNumbers.new.totalTax).toBe(10_400);
+    });
+
+    test('taxNumbers include surcharge and marginal relief for both regimes', async () => {
+        const res = await request(app)
+            .post('/api/explain')
+            .send({ salary: 6_000_000, deductions: {} });
+        expect(res.body.taxNumbers.old.surcharge).toBe(159_750);
+        expect(res.body.taxNumbers.old).toHaveProperty('marginalRelief', 0);
+        expect(res.body.taxNumbers.new.surcharge).toBeGreaterThan(0);
+        expect(res.body.taxNumbers.new).toHaveProperty('marginalRelief');
+    });
+
     test('sources include metadata file and page', async () => {
         const res = await request(app).post('/api/explain').send(validPayload);
         expect(res.body.sources.length).toBeGreaterThan(0);
@@ -118,6 +137,24 @@ describe('POST /api/explain', () => {
         expect(src).toHaveProperty('excerpt');
     });
 
+    test('sources cite the section and page range', async () => {
+        const res = await request(app).post('/api/explain').send(validPayload);
+        expect(res.body.sources[0]).toMatchObject({
+            page: 1,
+            pageEnd: 2,
+            section: 'Old Tax Regime > Section 80C',
+            citation: 'Section 80C, pp.1–2',
+        });
+        // Chunks ingested before headings were recorded still cite a page
+        expect(res.body.sources[1]).toMatchObject({ section: null, citation: 'p.2', pageEnd: 2 });
+    });
+
+    test('sources report lexical and vector scores', async () => {
+        const res = await request(app).post('/api/explain').send(validPayload);
+        expect(res.body.sources[0].scores).toEqual({ vector: 0.88, lexical: 3.1416, fused: 0.0328 });
+        expect(res.body.sources[1].scores).toBeNull();
+    });
+
     test('returns 400 for missing salary', async () => {
         const res = await request(app)
             .post('/api/explain')
@@ -134,6 +171,86 @@ describe('POST /api/explain', () => {
         expect(res.status).toBe(400);
     });
 
+    test('echoes the default financial year', async () => {
+        const res = await request(app).post('/api/explain').send(validPayload);
+        expect(res.body.financialYear).toBe('2024-25');
+    });
+
+    test('uses the requested financial year', async () => {
+        const res = await request(app)
+            .post('/api/explain')
+            .send({ salary: 1_275_000, deductions: {}, financialYear: '2025-26' });
+        expect(res.status).toBe(200);
+        expect(res.body.financialYear).toBe('2025-26');
+        expect(res.body.taxNumbers.new.totalTax).toBe(0);
+    });
+
+    test('returns 400 for an unsupported financial year', async () => {
+        const res = await request(app)
+            .post('/api/explain')
+            .send({ salary: 800000, deductions: {}, financialYear: '2019-20' });
+        expect(res.status).toBe(400);
+        expect(res.body.details).toHaveProperty('financialYear');
+    });
+
+    test('reports the taxpayer category derived from age', async () => {
+        const res = await request(app)
+            .post('/api/explain')
+            .send({ salary: 800_000, deductions: { section80D: 50_000 }, age: 65 });
+        expect(res.status).toBe(200);
+        expect(res.body.category).toBe('senior');
+        expect(res.body.categoryLabel).toMatch(/Senior/);
+        expect(res.body.taxNumbers.old.taxableIncome).toBe(700_000);
+    });
+
+    test('computes HRA from hraDetails and reports the applied limb', async () => {
+        const res = await request(app)
+            .post('/api/explain')
+            .send({
+                salary: 1_200_000,
+                deductions: { hra: 999_999 },
+                hraDetails: { basicSalary: 600_000, hraReceived: 240_000, rentPaid: 250_000, city: 'Mumbai' },
+            });
+        expect(res.status).toBe(200);
+        expect(res.body.hra.exemption).toBe(190_000);
+        expect(res.body.hra.appliedLimb).toBe('rentMinus10PercentSalary');
+        // 12L - 50K std - 1.9L HRA
+        expect(res.body.taxNumbers.old.taxableIncome).toBe(960_000);
+    });
+
+    test('returns a per-section deduction breakdown for each regime', async () => {
+        const res = await request(app)
+            .post('/api/explain')
+            .send({ salary: 1_500_000, deductions: { section80C: 200_000, section80CCD2: 50_000 } });
+        expect(res.status).toBe(200);
+        const oldLines = res.body.taxNumbers.old.deductionBreakdown;
+        const newLines = res.body.taxNumbers.new.deductionBreakdown;
+        expect(oldLines.find((d) => d.section === 'section80C')).toMatchObject({ allowed: 150_000, capped: 50_000 });
+        expect(newLines.find((d) => d.section === 'section80C')).toMatchObject({ allowed: 0, disallowed: 200_000 });
+        expect(newLines.find((d) => d.section === 'section80CCD2')).toMatchObject({ allowed: 50_000 });
+    });
+
+    test('returns a head-wise computation for non-salary income', async () => {
+        const res = await request(app)
+            .post('/api/explain')
+            .send({
+                salary: 1_500_000,
+                deductions: {},
+                income: { otherSources: 40_000, capitalGains: { stcgEquity: 100_000 } },
+            });
+        expect(res.status).toBe(200);
+        const heads = res.body.taxNumbers.new.incomeHeads;
+        expect(heads.salary).toMatchObject({ gross: 1_500_000, standardDeduction: 75_000 });
+        expect(heads.otherSources).toBe(40_000);
+        expect(heads.capitalGains.stcgTax).toBe(20_000);
+        expect(res.body.taxNumbers.new.specialRateTax).toBe(20_000);
+    });
+
+    test('includes the break-even deduction', async () => {
+        const res = await request(app).post('/api/explain').send({ salary: 780_000 });
+        expect(res.body.breakEvenDeduction).toBe(230_000);
+    });
+
     test('works without a query field', async () => {
         const res = await request(app)
             .post('/api/explain')
@@ -143,6 +260,687 @@ describe('POST /api/explain', () => {
     });
 });
 
+describe('POST /api/explain — computation trace', () => {
+    test('returns a trace per regime and passes the slab lines to Gemini', async () => {
+        const res = await request(app)
+            .post('/api/explain')
+            .send({ salary: 1_500_000, deductions: { section80C: 150_000 } });
+        expect(res.status).toBe(200);
+        const { old: oldRegime, new: newRegime } = res.body.taxNumbers;
+        expect(oldRegime.trace.at(-1)).toMatchObject({ step: 'total', tax: oldRegime.totalTax });
+        expect(newRegime.trace.some((t) => t.label === '₹12,00,000 – ₹15,00,000 @ 20%')).toBe(true);
+
+        const prompt = lastPrompt();
+        expect(prompt).toContain('₹12,00,000 – ₹15,00,000 @ 20%: ₹2,25,000 → tax ₹45,000');
+        expect(prompt).toContain('Section 80C (PPF, ELSS, life insurance, etc.): −₹1,50,000');
+    });
+});
+
+describe('POST /api/explain — retrieval re-ranking', () => {
+    const { queryTopK } = require('../src/vectorStore');
+
+    test('reports retrieval stats and asks for more candidates than it uses', async () => {
+        const res = await request(app).post('/api/explain').send({ salary: 1200000 });
+        expect(queryTopK).toHaveBeenLastCalledWith(expect.any(String), 15);
+        expect(res.body.retrieval).toMatchObject({ status: 'ok', candidates: 2, tooDistant: 0, used: 2 });
+        expect(res.body.retrieval).not.toHaveProperty('note');
+    });
+
+    test('says so explicitly when no chunk is relevant', async () => {
+        queryTopK.mockResolvedValueOnce([
+            { text: 'Unrelated GST circular text', metadata: { file: 'gst.pdf', page: 1, chunk_id: 0 }, distance: 0.91 },
+        ]);
+        const res = await request(app).post('/api/explain').send({ salary: 1200000, query: 'What is 80CCD(1B)?' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.sources).toEqual([]);
+        expect(res.body.retrieval).toMatchObject({ status: 'no-relevant-chunks', tooDistant: 1, used: 0 });
+        expect(res.body.retrieval.note).toMatch(/No indexed document was relevant/);
+        expect(lastPrompt()).toMatch(/RETRIEVED TAX LAW EXCERPTS ===\nNONE\. No indexed document was relevant/);
+        expect(lastPrompt()).not.toMatch(/GST circular/);
+    });
+
+    test('excerpts in the prompt carry their citation', async () => {
+        await request(app).post('/api/explain').send({ salary: 1200000 });
+        expect(lastPrompt()).toContain('[Excerpt 1] (Source: income_tax_guide.pdf — Section 80C, pp.1–2)');
+    });
+
+    test('reports an unavailable index', async () => {
+        queryTopK.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+        const res = await request(app).post('/api/explain').send({ salary: 1200000 });
+        expect(res.status).toBe(200);
+        expect(res.body.retrieval.status).toBe('unavailable');
+        expect(res.body.retrieval.note).toMatch(/could not be searched/);
+    });
+});
+
+describe('POST /api/explain — LLM providers', () => {
+    const axios = require('axios');
+    const reply = (content) => ({
+        data: { choices: [{ message: { content: typeof content === 'string' ? content : JSON.stringify(content) } }] },
+    });
+    afterEach(() => {
+        process.env.LLM_PROVIDER = 'template';
+        delete process.env.OPENAI_BASE_URL;
+        delete process.env.OPENAI_MODEL;
+    });
+
+    test('the template provider explains offline and reports itself', async () => {
+        const res = await request(app).post('/api/explain').send({ salary: 1200000 });
+        expect(res.status).toBe(200);
+        expect(res.body.llm).toEqual({ provider: 'template', model: 'template', output: 'json' });
+        expect(res.body.aiSummary).toMatch(/^New Regime saves ₹/);
+        expect(res.body.caveats.at(-1)).toMatch(/offline template provider/);
+    });
+
+    test('an OpenAI-compatible server gets the guarded prompt', async () => {
+        Object.assign(process.env, {
+            LLM_PROVIDER: 'openai', OPENAI_BASE_URL: 'http://localhost:11434/v1/', OPENAI_MODEL: 'llama3.1',
+        });
+        axios.post.mockResolvedValueOnce(reply({ summary: 'Pick the New Regime.', tips: ['Invest in PPF'] }));
+
+        const res = await request(app).post('/api/explain').send({ salary: 1200000 });
+        expect(res.body.llm).toEqual({ provider: 'openai', model: 'llama3.1', output: 'json' });
+        expect(res.body.tips).toEqual([{ text: 'Invest in PPF', sourceIds: [] }]);
+        const [url, body, config] = axios.post.mock.calls.find(([u]) => u.includes('/chat/completions'));
+        expect(url).toBe('http://localhost:11434/v1/chat/completions');
+        expect(body.messages[0].content).toContain('=== RETRIEVED TAX LAW EXCERPTS ===');
+        expect(body.response_format).toEqual({ type: 'json_object' });
+        expect(config.headers).toEqual({});
+    });
+
+    test('a failing provider leaves the tax numbers intact', async () => {
+        Object.assign(process.env, { LLM_PROVIDER: 'openai', OPENAI_BASE_URL: 'http://localhost:11434/v1' });
+        axios.post.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+        const res = await request(app).post('/api/explain').send({ salary: 1200000 });
+        expect(res.status).toBe(200);
+        expect(res.body.aiSummary).toMatch(/^AI summary unavailable \(connect ECONNREFUSED\)/);
+        expect(res.body.llm).toBeNull();
+        expect(res.body.taxNumbers.new.totalTax).toBeGreaterThan(0);
+    });
+
+    test('an unconfigured provider says what to set', async () => {
+        process.env.LLM_PROVIDER = 'openai';
+        const res = await request(app).post('/api/explain').send({ salary: 1200000 });
+        expect(res.body.aiSummary).toMatch(/Set OPENAI_API_KEY or OPENAI_BASE_URL/);
+        expect(res.body.llm).toBeNull();
+    });
+});
+
+describe('POST /api/explain — structured explanation', () => {
+    const axios = require('axios');
+    const reply = (content) => ({ data: { choices: [{ message: { content } }] } });
+    beforeEach(() => {
+        Object.assign(process.env, { LLM_PROVIDER: 'openai', OPENAI_BASE_URL: 'http://localhost:11434/v1' });
+        axios.post.mockClear();
+    });
+    afterEach(() => {
+        process.env.LLM_PROVIDER = 'template';
+        delete process.env.OPENAI_BASE_URL;
+    });
+    const llmCalls = () => axios.post.mock.calls.filter(([u]) => u.includes('/chat/completions'));
+
+    test('returns tips linked to the sources they cite, and caveats', async () => {
+        axios.post.mockResolvedValueOnce(reply(JSON.stringify({
+            summary: 'The New Regime is cheaper for you.',
+            tips: [
+                { text: 'Invest ₹1,50,000 in PPF or ELSS under Section 80C.', excerpts: [1, 9] },
+                { text: 'Keep rent receipts.', excerpts: [] },
+            ],
+            caveats: ['80C only helps under the Old Regime.'],
+        })));
+
+        const res = await request(app).post('/api/explain').send({ salary: 1200000 });
+        expect(res.body.aiSummary).toBe('The New Regime is cheaper for you.');
+        expect(res.body.sources.map((s) => s.id)).toEqual([1, 2]);
+        // Excerpt 9 does not exist and is dropped
+        expect(res.body.tips).toEqual([
+            { text: 'Invest ₹1,50,000 in PPF or ELSS under Section 80C.', sourceIds: [1] },
+            { text: 'Keep rent receipts.', sourceIds: [] },
+        ]);
+        expect(res.body.caveats).toEqual(['80C only helps under the Old Regime.']);
+        expect(res.body.bullets).toEqual(res.body.tips.map((t) => t.text));
+        expect(llmCalls()[0][1].messages[0].content).toContain('"tips": [{ "text": "one actionable tip", "excerpts": [1] }]');
+    });
+
+    test('repairs fenced JSON with a trailing comma without re-asking', async () => {
+        axios.post.mockResolvedValueOnce(reply('Here you go:\n```json\n{"summary": "New wins.", "tips": [],}\n```'));
+
+        const res = await request(app).post('/api/explain').send({ salary: 1200000 });
+        expect(res.body.aiSummary).toBe('New wins.');
+        expect(res.body.llm.output).toBe('repaired');
+        expect(llmCalls()).toHaveLength(1);
+    });
+
+    test('re-asks once with the validation error when the reply does not validate', async () => {
+        axios.post
+            .mockResolvedValueOnce(reply('{"tips": ["Invest in PPF"]}'))
+            .mockResolvedValueOnce(reply('{"summary": "New wins.", "tips": ["Invest in PPF"]}'));
+
+        const res = await request(app).post('/api/explain').send({ salary: 1200000 });
+        expect(res.body.aiSummary).toBe('New wins.');
+        expect(res.body.llm.output).toBe('repaired');
+        const reask = llmCalls()[1][1].messages[0].content;
+        expect(reask).toContain('=== YOUR PREVIOUS RESPONSE ===\n{"tips": ["Invest in PPF"]}');
+        expect(reask).toContain('That response was not valid (summary: Required).');
+    });
+
+    test('falls back to the raw text when the re-ask fails too', async () => {
+        axios.post
+            .mockResolvedValueOnce(reply('The New Regime is better.\n1. Invest in PPF'))
+            .mockResolvedValueOnce(reply('Sorry, the New Regime is better.'));
+
+        const res = await request(app).post('/api/explain').send({ salary: 1200000 });
+        expect(res.status).toBe(200);
+        expect(res.body.aiSummary).toBe('Sorry, the New Regime is better.');
+        expect(res.body.llm.output).toBe('text');
+        expect(res.body.tips).toEqual([]);
+        expect(llmCalls()).toHaveLength(2);
+    });
+});
+
+describe('POST /api/explain — grounding', () => {
+    const axios = require('axios');
+    const reply = (content) => ({ data: { choices: [{ message: { content } }] } });
+    beforeEach(() => {
+        Object.assign(process.env, { LLM_PROVIDER: 'openai', OPENAI_BASE_URL: 'http://localhost:11434/v1' });
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        process.env.LLM_PROVIDER = 'template';
+        delete process.env.OPENAI_BASE_URL;
+        console.warn.mockRestore();
+    });
+
+    test('removes tips and flags text whose figures are in neither the numbers nor the excerpts', async () => {
+        axios.post.mockResolvedValueOnce(reply(JSON.stringify({
+            summary: 'The New Regime saves you ₹45,500 at a 5.96% effective rate.',
+            tips: [
+                { text: 'Invest ₹1,50,000 in PPF under Section 80C.', excerpts: [1] },
+                { text: 'Claim ₹3,50,000 more under Section 80C.', excerpts: [1] },
+            ],
+            caveats: ['Under Section 80U the limit is ₹1,25,000.'],
+        })));
+
+        const res = await request(app).post('/api/explain').send({ salary: 1200000, deductions: { section80C: 200000 } });
+        expect(res.status).toBe(200);
+        expect(res.body.aiSummary).toBe('The New Regime saves you ₹45,500 at a 5.96% effective rate.');
+        expect(res.body.tips).toEqual([{ text: 'Invest ₹1,50,000 in PPF under Section 80C.', sourceIds: [1] }]);
+        expect(res.body.bullets).toEqual(['Invest ₹1,50,000 in PPF under Section 80C.']);
+        expect(res.body.caveats).toEqual(['Under Section 80U the limit is ₹1,25,000.']);
+        expect(res.body.groundingWarnings).toEqual([
+            { field: 'tips[1]', type: 'amount', claim: '₹3,50,000', removed: true,
+              message: '"₹3,50,000" is not in the tax computation or the excerpts it cites (1)' },
+            { field: 'caveats[0]', type: 'section', claim: 'Section 80U', removed: false,
+              message: '"Section 80U" is not in the tax computation or the excerpts' },
+            // Not a figure about 80U (nor anywhere in this computation)
+            { field: 'caveats[0]', type: 'amount', claim: '₹1,25,000', removed: false,
+              message: '"₹1,25,000" is not in the tax computation or the excerpts' },
+        ]);
+    });
+
+    test('checks a reply that is not JSON as the summary', async () => {
+        axios.post
+            .mockResolvedValueOnce(reply('Pay ₹4,44,444 less tax.'))
+            .mockResolvedValueOnce(reply('Pay ₹4,44,444 less tax.'));
+
+        const res = await request(app).post('/api/explain').send({ salary: 1200000 });
+        expect(res.body.llm.output).toBe('text');
+        expect(res.body.groundingWarnings).toMatchObject([{ field: 'summary', claim: '₹4,44,444', removed: false }]);
+    });
+
+    test('finds nothing to flag in the template provider\'s explanation', async () => {
+        process.env.LLM_PROVIDER = 'template';
+        const res = await request(app).post('/api/explain').send({ salary: 1200000, deductions: { section80C: 200000 } });
+        expect(res.body.tips.length).toBeGreaterThan(0);
+        expect(res.body.groundingWarnings).toEqual([]);
+    });
+});
+
+describe('/api/explain/stream', () => {
+    const axios = require('axios');
+    const { Readable } = require('stream');
+
+    // "event: x\ndata: {...}\n\n" blocks → [{ event, data }]
+    const events = (text) => text.trim().split('\n\n').map((block) => ({
+        event: block.match(/^event: (.+)$/m)[1],
+        data: JSON.parse(block.match(/^data: (.+)$/m)[1]),
+    }));
+    const payload = { salary: 1200000, deductions: { section80C: 200000 } };
+
+    test('sends the tax numbers, then the sources, then the reply and a final event', async () => {
+        const res = await request(app).post('/api/explain/stream').send(payload);
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+
+        const stream = events(res.text);
+        expect(stream.map((e) => e.event)).toEqual(['numbers', 'sources', 'attempt', 'token', 'done']);
+
+        const whole = await request(app).post('/api/explain').send(payload);
+        const [numbers, sources, attempt, token, done] = stream.map((e) => e.data);
+        expect(numbers.taxNumbers).toEqual(whole.body.taxNumbers);
+        expect(numbers).toMatchObject({ verdict: 'new', savings: 45500, breakEvenDeduction: whole.body.breakEvenDeduction });
+        expect(sources).toEqual({ sources: whole.body.sources, retrieval: whole.body.retrieval });
+        expect(attempt).toEqual({ model: 'template' });
+        expect(JSON.parse(token.text).summary).toBe(done.aiSummary);
+        expect(done).toMatchObject({
+            aiSummary: whole.body.aiSummary,
+            tips: whole.body.tips,
+            caveats: whole.body.caveats,
+            groundingWarnings: [],
+            llm: { provider: 'template', model: 'template', output: 'json' },
+        });
+    });
+
+    test('accepts query parameters over GET and rejects invalid input before streaming', async () => {
+        const res = await request(app)
+            .get('/api/explain/stream')
+            .query({ salary: 1200000, section80C: 200000, query: 'Is PPF worth it?' });
+        expect(res.status).toBe(200);
+        expect(events(res.text)[0].data.taxNumbers.old.totalDeductions).toBe(200000);
+        expect(templateLlm.generate.mock.calls.at(-1)[0].query).toBe('Is PPF worth it?');
+
+        const bad = await request(app).get('/api/explain/stream').query({ salary: -5 });
+        expect(bad.status).toBe(400);
+        expect(bad.body.error).toBe('Invalid input');
+    });
+
+    describe('with an OpenAI-compatible provider', () => {
+        const delta = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+        beforeEach(() => {
+            Object.assign(process.env, {
+                LLM_PROVIDER: 'openai', OPENAI_BASE_URL: 'http://localhost:11434/v1', OPENAI_MODEL: 'first,second',
+            });
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            axios.post.mockClear();
+        });
+        afterEach(() => {
+            process.env.LLM_PROVIDER = 'template';
+            delete process.env.OPENAI_BASE_URL;
+            delete process.env.OPENAI_MODEL;
+            console.warn.mockRestore();
+        });
+
+        test('streams tokens as they arrive and starts over when it falls back', async () => {
+            const reply = '{"summary": "The New Regime saves ₹45,500.", "tips": []}';
+            // "₹" split across two network chunks
+            const bytes = Buffer.from(delta(reply.slice(0, 20)) + delta(reply.slice(20)) + 'data: [DONE]\n\n');
+            const cut = bytes.indexOf(Buffer.from('₹')) + 1;
+            axios.post
+                .mockRejectedValueOnce(new Error('500 overloaded'))
+                .mockResolvedValueOnce({ data: Readable.from([bytes.subarray(0, cut), bytes.subarray(cut)]) });
+
+            const res = await request(app).post('/api/explain/stream').send(payload);
+            const stream = events(res.text);
+            expect(stream.map((e) => e.event)).toEqual(['numbers', 'sources', 'attempt', 'attempt', 'token', 'token', 'done']);
+            expect(stream.filter((e) => e.event === 'attempt').map((e) => e.data.model)).toEqual(['first', 'second']);
+            expect(stream.filter((e) => e.event === 'token').map((e) => e.data.text).join('')).toBe(reply);
+            expect(stream.at(-1).data).toMatchObject({
+                aiSummary: 'The New Regime saves ₹45,500.',
+                llm: { provider: 'openai', model: 'second', output: 'json' },
+            });
+
+            const [url, body, config] = axios.post.mock.calls.find(([u]) => u.includes('/chat/completions'));
+            expect(url).toBe('http://localhost:11434/v1/chat/completions');
+            expect(body.stream).toBe(true);
+            expect(config.responseType).toBe('stream');
+        });
+    });
+});
+
+describe('GET /api/breakeven', () => {
+    test('returns the break-even extra deduction for query-string inputs', async () => {
+        const res = await request(app)
+            .get('/api/breakeven')
+            .query({ salary: 780_000 });
+        expect(res.status).toBe(200);
+        expect(res.body.status).toBe('reachable');
+        expect(res.body.breakEvenDeduction).toBe(230_000);
+        expect(res.body.financialYear).toBe('2024-25');
+    });
+
+    test('accepts deduction sections as query parameters', async () => {
+        const res = await request(app)
+            .get('/api/breakeven')
+            .query({ salary: 780_000, section80C: 30_000 });
+        expect(res.body.breakEvenDeduction).toBe(200_000);
+    });
+
+    test('returns 400 for a missing salary', async () => {
+        const res = await request(app).get('/api/breakeven');
+        expect(res.status).toBe(400);
+        expect(res.body.details).toHaveProperty('salary');
+    });
+});
+
+describe('POST /api/optimize', () => {
+    test('returns an allocation plan for the budget', async () => {
+        const res = await request(app)
+            .post('/api/optimize')
+            .send({ salary: 600_000, deductions: {}, budget: 100_000 });
+        expect(res.status).toBe(200);
+        expect(res.body.recommendedInvestment).toBe(50_000);
+        expect(Array.isArray(res.body.allocation)).toBe(true);
+        expect(res.body).toHaveProperty('savedPerRupee');
+    });
+
+    test('returns 400 without a budget', async () => {
+        const res = await request(app)
+            .post('/api/optimize')
+            .send({ salary: 600_000 });
+        expect(res.status).toBe(400);
+        expect(res.body.details).toHaveProperty('budget');
+    });
+});
+
+describe('GET /api/curve', () => {
+    test('returns points and crossovers for the range', async () => {
+        const res = await request(app)
+            .get('/api/curve')
+            .query({ from: 500_000, to: 1_000_000, step: 50_000 });
+        expect(res.status).toBe(200);
+        expect(res.body.points).toHaveLength(11);
+        expect(res.body.points[0]).toHaveProperty('old.marginalRate');
+        expect(res.body.crossovers).toEqual([{ salary: 550_001, from: 'equal', to: 'new' }]);
+    });
+
+    test('returns 400 when `to` is below `from`', async () => {
+        const res = await request(app)
+            .get('/api/curve')
+            .query({ from: 1_000_000, to: 500_000 });
+        expect(res.status).toBe(400);
+        expect(res.body.details).toHaveProperty('to');
+    });
+
+    test('returns 400 when the range has too many points', async () => {
+        const res = await request(app)
+            .get('/api/curve')
+            .query({ from: 0, to: 100_000_000, step: 1_000 });
+        expect(res.status).toBe(400);
+        expect(res.body.details).toHaveProperty('step');
+    });
+});
+
+describe('POST /api/tds-plan', () => {
+    test('returns the monthly schedule and year-end settlement', async () => {
+        const res = await request(app)
+            .post('/api/tds-plan')
+            .send({
+                salary: 1_500_000,
+                deductions: { section80C: 150_000, hra: 300_000, section24b: 200_000 },
+                payroll: { monthsElapsed: 6, salaryToDate: 720_000, tdsToDate: 60_000 },
+            });
+        expect(res.status).toBe(200);
+        expect(res.body.declaredRegime).toBe('new');
+        expect(res.body.regimes.new.schedule).toHaveLength(6);
+        expect(res.body.yearEnd.old.outcome).toBe('refund');
+    });
+
+    test('returns 400 without a payroll block', async () => {
+        const res = await request(app)
+            .post('/api/tds-plan')
+            .send({ salary: 1_500_000 });
+        expect(res.status).toBe(400);
+        expect(res.body.details).toHaveProperty('payroll');
+    });
+});
+
+describe('POST /api/extract', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const PDFDocument = require('pdfkit');
+
+    const makePdf = (lines) => new Promise((resolve) => {
+        const doc = new PDFDocument();
+        const parts = [];
+        doc.on('data', (d) => parts.push(d));
+        doc.on('end', () => resolve(Buffer.concat(parts)));
+        lines.forEach((line) => doc.text(line));
+        doc.end();
+    });
+
+    test('returns a pre-filled payload and deletes the upload', async () => {
+        const pdf = await makePdf([
+            'FORM NO. 16 PART B',
+            'Assessment Year 2025-26',
+            'Gross Salary 12,00,000.00',
+            'Deduction under section 80C 1,50,000.00',
+        ]);
+        const before = new Set(fs.readdirSync(os.tmpdir()));
+
+        const res = await request(app)
+            .post('/api/extract')
+            .attach('document', pdf, { filename: 'form16.pdf', contentType: 'application/pdf' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.payload).toEqual({
+            salary: 1_200_000,
+            financialYear: '2024-25',
+            deductions: { section80C: 150_000 },
+        });
+        expect(res.body.fields.salary.confidence).toBe(0.9);
+        expect(res.body.complete).toBe(true);
+        const leftover = fs.readdirSync(os.tmpdir()).filter((f) => !before.has(f) && /^[0-9a-f]{32}$/.test(f));
+        expect(leftover).toEqual([]);
+    });
+
+    test('returns 400 for a non-PDF upload', async () => {
+        const res = await request(app)
+            .post('/api/extract')
+            .attach('document', Buffer.from('hello'), { filename: 'note.txt', contentType: 'text/plain' });
+        expect(res.status).toBe(400);
+    });
+
+    test('returns 400 without a file', async () => {
+        const res = await request(app).post('/api/extract');
+        expect(res.status).toBe(400);
+    });
+
+    test('returns 422 when the PDF cannot be parsed', async () => {
+        const res = await request(app)
+            .post('/api/extract')
+            .attach('document', Buffer.from('not really a pdf'), { filename: 'broken.pdf', contentType: 'application/pdf' });
+        expect(res.status).toBe(422);
+    });
+});
+
+describe('/api/documents', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const PDFDocument = require('pdfkit');
+    const vectorStore = require('../src/vectorStore');
+
+    let pdfDir;
+    beforeAll(() => {
+        pdfDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdfs-'));
+        process.env.PDF_DIR = pdfDir;
+    });
+    afterAll(() => {
+        fs.rmSync(pdfDir, { recursive: true, force: true });
+        delete process.env.PDF_DIR;
+    });
+    beforeEach(() => {
+        vectorStore.upsertChunks.mockClear();
+        vectorStore.deleteChunks.mockClear();
+    });
+
+    const makePdf = () => new Promise((resolve) => {
+        const doc = new PDFDocument();
+        const parts = [];
+        doc.on('data', (d) => parts.push(d));
+        doc.on('end', () => resolve(Buffer.concat(parts)));
+        doc.fontSize(16).text('Section 24(b)');
+        doc.fontSize(11).text('Interest on a home loan is deductible up to 2,00,000 rupees.');
+        doc.end();
+    });
+
+    async function waitForJob(id) {
+        for (let i = 0; i < 50; i++) {
+            const res = await request(app).get(`/api/documents/jobs/${id}`);
+            if (res.body.job.status === 'done' || res.body.job.status === 'failed') return res.body.job;
+            await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+        throw new Error('job did not finish');
+    }
+
+    test('lists indexed documents with chunk count, ingestion time and hash', async () => {
+        const res = await request(app).get('/api/documents');
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({
+            documents: [{
+                file: 'income_tax_guide.pdf',
+                chunks: 2,
+                fileHash: 'abc123',
+                ingestedAt: '2026-01-15T10:00:00.000Z',
+                onDisk: false,
+            }],
+            jobs: [],
+        });
+    });
+
+    test('uploads a PDF into PDF_DIR and ingests it in the background', async () => {
+        const res = await request(app)
+            .post('/api/documents')
+            .attach('document', await makePdf(), { filename: 'home loan.pdf', contentType: 'application/pdf' });
+
+        expect(res.status).toBe(202);
+        expect(res.headers.location).toBe(`/api/documents/jobs/${res.body.job.id}`);
+        expect(res.body.job).toMatchObject({ type: 'ingest', file: 'home_loan.pdf' });
+        expect(fs.existsSync(path.join(pdfDir, 'home_loan.pdf'))).toBe(true);
+
+        const job = await waitForJob(res.body.job.id);
+        expect(job.status).toBe('done');
+        expect(job.result).toMatchObject({ status: 'updated', pages: 1, chunks: 1, changes: { add: 1 } });
+        const [batch] = vectorStore.upsertChunks.mock.calls[0];
+        expect(batch.ids).toEqual(['home_loan.pdf_chunk_0']);
+        expect(batch.metadatas[0]).toMatchObject({ file: 'home_loan.pdf', heading: 'Section 24(b)' });
+    });
+
+    test('re-indexes a PDF in the folder, re-embedding every chunk', async () => {
+        fs.writeFileSync(path.join(pdfDir, 'income_tax_guide.pdf'), await makePdf());
+
+        const res = await request(app).post('/api/documents/income_tax_guide.pdf/reindex');
+        expect(res.status).toBe(202);
+        const job = await waitForJob(res.body.job.id);
+        expect(job.result.changes).toEqual({ add: 0, change: 1, keep: 0, remove: 1 });
+        expect(vectorStore.deleteChunks).toHaveBeenCalledWith(['income_tax_guide.pdf_chunk_1']);
+    });
+
+    test('deletes a document\'s chunks and file', async () => {
+        fs.writeFileSync(path.join(pdfDir, 'income_tax_guide.pdf'), await makePdf());
+
+        const res = await request(app).delete('/api/documents/income_tax_guide.pdf');
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ file: 'income_tax_guide.pdf', deletedChunks: 2, deletedFile: true });
+        expect(vectorStore.deleteChunks).toHaveBeenCalledWith(['income_tax_guide.pdf_chunk_0', 'income_tax_guide.pdf_chunk_1']);
+        expect(fs.existsSync(path.join(pdfDir, 'income_tax_guide.pdf'))).toBe(false);
+    });
+
+    test('returns 404 for unknown documents and jobs', async () => {
+        expect((await request(app).delete('/api/documents/missing.pdf')).status).toBe(404);
+        expect((await request(app).post('/api/documents/missing.pdf/reindex')).status).toBe(404);
+        expect((await request(app).get('/api/documents/jobs/nope')).status).toBe(404);
+    });
+
+    test('rejects names outside the PDF folder and non-PDF uploads', async () => {
+        expect((await request(app).delete('/api/documents/..%2Fserver.pdf')).status).toBe(400);
+        expect((await request(app).delete('/api/documents/notes.txt')).status).toBe(400);
+
+        const res = await request(app)
+            .post('/api/documents')
+            .attach('document', Buffer.from('not really a pdf'), { filename: 'fake.pdf', contentType: 'application/pdf' });
+        expect(res.status).toBe(400);
+        expect(fs.existsSync(path.join(pdfDir, 'fake.pdf'))).toBe(false);
+    });
+});
+
+describe('/api/sessions', () => {
+    const start = () => request(app).post('/api/sessions').send({ salary: 1200000, deductions: { section80C: 150000 } });
+
+    test('starts a session with the inputs, the numbers and the first answer', async () => {
+        const res = await start();
+        expect(res.status).toBe(201);
+        expect(res.headers.location).toBe(`/api/sessions/${res.body.id}`);
+        expect(res.body.inputs).toMatchObject({ salary: 1200000, deductions: { section80C: 150000 } });
+        expect(res.body.numbers).toMatchObject({ financialYear: '2024-25', verdict: 'new' });
+        expect(res.body.messages.map((m) => m.role)).toEqual(['user', 'assistant']);
+        expect(res.body.messages[0].content).toBe('Which tax regime is better for me and why?');
+        expect(res.body.messages[1]).toMatchObject({
+            llm: { provider: 'template' },
+            groundingWarnings: [],
+            sources: [expect.objectContaining({ id: 1 }), expect.objectContaining({ id: 2 })],
+        });
+    });
+
+    test('recomputes the numbers when a follow-up changes an input, and prompts with the history', async () => {
+        const { body: session } = await start();
+        const before = session.numbers.taxNumbers.old;
+
+        const res = await request(app)
+            .post(`/api/sessions/${session.id}/messages`)
+            .send({ content: 'What if I add ₹50k NPS?' });
+        expect(res.status).toBe(200);
+        expect(res.body.changes).toEqual([{
+            field: 'deductions.section80CCD1B', label: 'Section 80CCD(1B) — own NPS contribution', from: 0, to: 50000,
+        }]);
+        expect(res.body.numbers.taxNumbers.old.totalDeductions).toBe(before.totalDeductions + 50000);
+        expect(res.body.numbers.taxNumbers.old.totalTax).toBeLessThan(before.totalTax);
+        expect(res.body.message).toMatchObject({ role: 'assistant', groundingWarnings: [] });
+
+        const prompt = lastPrompt();
+        expect(prompt).toContain(`=== CONVERSATION SO FAR ===\nUser: Which tax regime is better for me and why?\nAssistant: ${session.messages[1].content.slice(0, 40)}`);
+        expect(prompt).toContain('=== INPUTS CHANGED FOR THIS QUESTION ===\nSection 80CCD(1B) — own NPS contribution: ₹0 → ₹50,000');
+        expect(prompt).toContain('=== USER QUESTION ===\nWhat if I add ₹50k NPS?');
+
+        const stored = await request(app).get(`/api/sessions/${session.id}`);
+        expect(stored.body.inputs.deductions.section80CCD1B).toBe(50000);
+        expect(stored.body.numbers).toEqual(res.body.numbers);
+        expect(stored.body.messages.map((m) => m.content.slice(0, 24))).toEqual([
+            'Which tax regime is bett', session.messages[1].content.slice(0, 24),
+            'What if I add ₹50k NPS?', res.body.message.content.slice(0, 24),
+        ]);
+    });
+
+    test('applies explicit changes and answers plain questions without recomputing', async () => {
+        const { body: session } = await start();
+
+        const plain = await request(app).post(`/api/sessions/${session.id}/messages`).send({ content: 'Is PPF better than ELSS?' });
+        expect(plain.body.changes).toEqual([]);
+        expect(plain.body.numbers).toEqual(session.numbers);
+        expect(lastPrompt()).not.toContain('=== INPUTS CHANGED');
+
+        const res = await request(app)
+            .post(`/api/sessions/${session.id}/messages`)
+            .send({ content: 'And next year?', changes: { financialYear: '2025-26' } });
+        expect(res.body.changes).toMatchObject([{ field: 'financialYear', from: '2024-25', to: '2025-26' }]);
+        expect(res.body.numbers.financialYear).toBe('2025-26');
+    });
+
+    test('rejects invalid messages and changes that make the inputs invalid', async () => {
+        const { body: session } = await start();
+        const url = `/api/sessions/${session.id}/messages`;
+
+        expect((await request(app).post(url).send({ content: '' })).status).toBe(400);
+        const res = await request(app).post(url).send({ content: 'What if my salary is ₹0?' });
+        expect(res.status).toBe(400);
+        expect(res.body.details).toHaveProperty('salary');
+        expect((await request(app).get(`/api/sessions/${session.id}`)).body.messages).toHaveLength(2);
+    });
+
+    test('returns 404 for unknown sessions and forgets deleted ones', async () => {
+        const { body: session } = await start();
+
+        expect((await request(app).delete(`/api/sessions/${session.id}`)).status).toBe(204);
+        expect((await request(app).get(`/api/sessions/${session.id}`)).status).toBe(404);
+        const res = await request(app).post(`/api/sessions/${session.id}/messages`).send({ content: 'Hello?' });
+        expect(res.status).toBe(404);
+        expect(res.body.error).toBe('Session not found');
+        expect((await request(app).delete(`/api/sessions/${session.id}`)).status).toBe(404);
+    });
+});
+
 describe('GET /api/health', () => {
     test('returns 200 with status ok', async () => {
         const res = await request(app).get('/api/health');
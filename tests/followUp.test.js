@@ -0,0 +1,81 @@
+'use strict';
+
+const { parseInputEdits, editsFromChanges, applyInputEdits, describeChange } = require('../src/followUp');
+
+describe('parseInputEdits', () => {
+    test.each([
+        ['What if I add ₹50k NPS?', [{ field: 'deductions.section80CCD1B', op: 'add', value: 50000 }]],
+        ['What if my salary becomes ₹15 lakh and I invest Rs 1,50,000 in PPF?', [
+            { field: 'salary', op: 'set', value: 1500000 },
+            { field: 'deductions.section80C', op: 'add', value: 150000 },
+        ]],
+        ['Put another ₹25,000 into health insurance for my parents', [{ field: 'deductions.section80DParents', op: 'add', value: 25000 }]],
+        ['And if my employer NPS is ₹60,000?', [{ field: 'deductions.section80CCD2', op: 'set', value: 60000 }]],
+        ['Remove my home loan interest', [{ field: 'deductions.section24b', op: 'set', value: 0 }]],
+        ['My salary goes up by ₹2 lakh', [{ field: 'salary', op: 'add', value: 200000 }]],
+        ['Increase my 80C by ₹20,000, then set NPS to ₹50k', [
+            { field: 'deductions.section80C', op: 'add', value: 20000 },
+            { field: 'deductions.section80CCD1B', op: 'set', value: 50000 },
+        ]],
+        ['Reduce my PPF by Rs. 1 lakh', [{ field: 'deductions.section80C', op: 'add', value: -100000 }]],
+    ])('%s', (text, edits) => {
+        expect(parseInputEdits(text)).toEqual(edits);
+    });
+
+    test('ignores questions that name no amount or no input', () => {
+        expect(parseInputEdits('Is 80D worth it?')).toEqual([]);
+        expect(parseInputEdits('Why is ₹75,000 deducted?')).toEqual([]);
+    });
+
+    test.each([
+        'Why is my income tax ₹1,20,000?',
+        'Explain the ₹75,000 standard deduction on my salary',
+        'Is the 80C limit ₹1,50,000?',
+        'Does health insurance above ₹25,000 count?',
+        'Can I claim more than ₹1,50,000 under 80C if I am over 60?',
+    ])('never changes an input from a plain question: %s', (text) => {
+        expect(parseInputEdits(text)).toEqual([]);
+    });
+});
+
+describe('applyInputEdits', () => {
+    const inputs = { salary: 1200000, financialYear: '2024-25', deductions: { section80C: 150000, section80CCD1B: 0 } };
+
+    test('adds or sets, reports what changed and leaves the inputs alone', () => {
+        const result = applyInputEdits(inputs, [
+            { field: 'deductions.section80CCD1B', op: 'add', value: 50000 },
+            { field: 'deductions.section80C', op: 'set', value: 150000 },
+            ...editsFromChanges({ financialYear: '2025-26' }),
+        ]);
+
+        expect(result.inputs).toEqual({
+            salary: 1200000, financialYear: '2025-26', deductions: { section80C: 150000, section80CCD1B: 50000 },
+        });
+        expect(result.changes.map(describeChange)).toEqual([
+            'Section 80CCD(1B) — own NPS contribution: ₹0 → ₹50,000',
+            'Financial year: 2024-25 → 2025-26',
+        ]);
+        expect(inputs.deductions.section80CCD1B).toBe(0);
+    });
+
+    test('investing in a deduction adds to the amount already claimed', () => {
+        const claimed = { ...inputs, deductions: { section80C: 60000, section80CCD1B: 0 } };
+        for (const [text, to] of [
+            ['If I invest ₹50,000 in ELSS', 110000],
+            ['if I invested Rs. 1.5 lakh in PPF', 210000],
+        ]) {
+            const edits = parseInputEdits(text);
+            expect(edits).toEqual([{ field: 'deductions.section80C', op: 'add', value: to - 60000 }]);
+            expect(applyInputEdits(claimed, edits).inputs.deductions.section80C).toBe(to);
+        }
+        expect(parseInputEdits('set my 80C to ₹1,00,000')).toEqual([{ field: 'deductions.section80C', op: 'set', value: 100000 }]);
+        expect(parseInputEdits('change my PPF to ₹40,000')).toEqual([{ field: 'deductions.section80C', op: 'set', value: 40000 }]);
+    });
+
+    test('later edits to a field win, so explicit changes override parsed ones', () => {
+        const edits = [...parseInputEdits('add ₹50k NPS'), ...editsFromChanges({ deductions: { section80CCD1B: 20000 } })];
+        expect(applyInputEdits(inputs, edits).changes).toEqual([
+            { field: 'deductions.section80CCD1B', label: 'Section 80CCD(1B) — own NPS contribution', from: 0, to: 20000 },
+        ]);
+    });
+});
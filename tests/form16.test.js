@@ -0,0 +1,104 @@
+'use strict';
+
+const PDFDocument = require('pdfkit');
+const { extractFromText, extractFromPdf } = require('../src/form16');
+
+const FORM16_TEXT = [
+    'FORM NO. 16',
+    'PART B (Annexure)',
+    'Assessment Year 2025-26',
+    '1. Gross Salary',
+    '(a) Salary as per provisions contained in section 17(1) 14,50,000.00',
+    '(b) Value of perquisites under section 17(2) 50,000.00',
+    '(d) Total 15,00,000.00',
+    '(e) House rent allowance under section 10(13A) 1,80,000.00',
+    '(a) Standard deduction under section 16(ia) 50,000.00',
+    '(a) Deductions under section 80C, 80CCC and 80CCD(1)',
+    '(i) Life insurance premia, provident fund etc. under section 80C 1,60,000.00 1,50,000.00',
+    '(d) Health insurance premia under section 80D 25,000.00 25,000.00',
+].join('\n');
+
+const SLIP_TEXT = [
+    'ACME Corp — Payslip for the month of October 2024',
+    'Earnings',
+    'Basic Salary 50,000',
+    'House Rent Allowance 20,000',
+    'Special Allowance 30,000',
+    'Gross Earnings 1,00,000',
+    'Net Pay 93,800',
+].join('\n');
+
+function makePdf(text) {
+    return new Promise((resolve) => {
+        const doc = new PDFDocument();
+        const parts = [];
+        doc.on('data', (d) => parts.push(d));
+        doc.on('end', () => resolve(Buffer.concat(parts)));
+        text.split('\n').forEach((line) => doc.text(line));
+        doc.end();
+    });
+}
+
+describe('extractFromText — Form 16', () => {
+    const result = extractFromText(FORM16_TEXT);
+
+    test('recognises Part B and the financial year from the assessment year', () => {
+        expect(result.documentType).toBe('form16');
+        expect(result.fields.financialYear).toMatchObject({ value: '2024-25', confidence: 0.95 });
+    });
+
+    test('takes gross salary from the "(d) Total" line under the heading', () => {
+        expect(result.fields.salary).toMatchObject({ value: 1_500_000, confidence: 0.9 });
+    });
+
+    test('reads the deductible column for 80C and 80D, and the HRA exemption', () => {
+        expect(result.fields.section80C.value).toBe(150_000);
+        expect(result.fields.section80D.value).toBe(25_000);
+        expect(result.fields.hra.value).toBe(180_000);
+        expect(result.fields.standardDeduction.value).toBe(50_000);
+    });
+
+    test('does not mistake section numbers for amounts', () => {
+        // "80C, 80CCC and 80CCD(1)" carries no amount: the value comes from the next line
+        expect(result.fields.section80C.source).toMatch(/^\(a\) Deductions under section 80C/);
+        expect(result.fields.section80C.confidence).toBeCloseTo(0.65, 2);
+    });
+
+    test('builds a pre-filled /api/explain payload', () => {
+        expect(result.payload).toEqual({
+            salary: 1_500_000,
+            financialYear: '2024-25',
+            deductions: { section80C: 150_000, section80D: 25_000, hra: 180_000 },
+        });
+        expect(result.missing).toEqual([]);
+    });
+});
+
+describe('extractFromText — salary slip', () => {
+    const result = extractFromText(SLIP_TEXT);
+
+    test('annualises monthly figures and lowers their confidence', () => {
+        expect(result.documentType).toBe('salarySlip');
+        expect(result.fields.salary).toMatchObject({ value: 1_200_000, confidence: 0.75, annualised: true });
+    });
+
+    test('reports HRA received and basic pay, but keeps them out of the payload', () => {
+        expect(result.fields.hraReceived.value).toBe(240_000);
+        expect(result.fields.basicSalary.value).toBe(600_000);
+        expect(result.payload).toEqual({ salary: 1_200_000 });
+    });
+
+    test('lists what it could not find', () => {
+        const partial = extractFromText('Payslip\nBasic Salary 40,000');
+        expect(partial.missing).toEqual(expect.arrayContaining(['salary', 'hraReceived']));
+        expect(partial.payload).toEqual({});
+    });
+});
+
+describe('extractFromPdf', () => {
+    test('reads the text layer of a PDF', async () => {
+        const result = await extractFromPdf(await makePdf(FORM16_TEXT));
+        expect(result.pages).toBe(1);
+        expect(result.payload.salary).toBe(1_500_000);
+    });
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const { extractClaims, verifyExplanation } = require('../src/grounding');
+const { compareTaxRegimes } = require('../src/taxCalc');
+const { getRules, DEDUCTION_SECTIONS } = require('../src/taxRules');
+
+describe('extractClaims', () => {
+    test('finds rupee amounts, percentages and section numbers as written', () => {
+        const claims = extractClaims(
+            'Invest Rs. 1.5 lakh u/s 80C and ₹50,000 under 80CCD(1B); income above ₹12L is taxed at 30% (5.96 per cent effective) for FY 2024-25.'
+        );
+        expect(claims.map(({ type, claim, value }) => [type, claim, value])).toEqual([
+            ['amount', 'Rs. 1.5 lakh', 150000],
+            ['section', 'u/s 80C', '80c'],
+            ['amount', '₹50,000', 50000],
+            ['section', '80CCD(1B)', '80ccd1b'],
+            ['amount', '₹12L', 1200000],
+            ['percent', '30%', 30],
+            ['percent', '5.96 per cent', 5.96],
+        ]);
+    });
+});
+
+describe('verifyExplanation', () => {
+    const facts = compareTaxRegimes({ salary: 1_200_000 }, { section80C: 200_000 });
+    const chunks = [
+        { text: 'Section 80D allows up to ₹25,000 for health insurance.', metadata: { heading: 'Section 80D' } },
+        { text: 'Section 80TTA exempts savings interest up to 10,000.', metadata: {} },
+    ];
+
+    test('accepts claims backed by the tax numbers or the excerpts, rounded as in prose', () => {
+        const result = verifyExplanation({
+            summary: 'The New Regime saves ₹45,500: ₹71,500 against ₹1.17 lakh, about 6% of income. The top slab is 15%.',
+            tips: [{ text: 'Claim up to ₹25,000 under Section 80D.', sourceIds: [1] }],
+            caveats: ['Only ₹1,50,000 of your ₹2,00,000 80C claim counts.'],
+        }, { facts, chunks });
+
+        expect(result.warnings).toEqual([]);
+        expect(result.tips).toHaveLength(1);
+    });
+
+    test('drops tips with unsupported claims and flags the summary and caveats', () => {
+        const result = verifyExplanation({
+            summary: 'You save ₹48,000 under the New Regime.',
+            tips: [
+                { text: 'Claim ₹10,000 of savings interest under 80TTA.', sourceIds: [1] },
+                { text: 'Claim ₹25,000 under Section 80D.', sourceIds: [1] },
+                { text: 'Section 80Z gives another 12%.', sourceIds: [] },
+            ],
+            caveats: ['Surcharge is 50% above ₹5 crore.'],
+        }, { facts, chunks });
+
+        expect(result.summary).toBe('You save ₹48,000 under the New Regime.');
+        expect(result.tips).toEqual([{ text: 'Claim ₹25,000 under Section 80D.', sourceIds: [1] }]);
+        expect(result.warnings.map(({ field, claim, removed }) => [field, claim, removed])).toEqual([
+            ['summary', '₹48,000', false],
+            // Backed by excerpt 2, but the tip cites excerpt 1
+            ['tips[0]', '₹10,000', true],
+            ['tips[0]', '80TTA', true],
+            ['tips[2]', 'Section 80Z', true],
+            ['tips[2]', '12%', true],
+            ['caveats[0]', '50%', false],
+            ['caveats[0]', '₹5 crore', false],
+        ]);
+        expect(result.warnings[1].message).toBe('"₹10,000" is not in the tax computation or the excerpts it cites (1)');
+    });
+
+    test('ties limits and rates to the section or regime the sentence names', () => {
+        const inputs = { section80C: 150_000, section80D: 25_000 };
+        const computed = compareTaxRegimes({ salary: 1_500_000 }, inputs);
+        const evidence = {
+            facts: [computed, { salary: 1_500_000 }, { deductions: inputs }, DEDUCTION_SECTIONS],
+            rules: getRules(computed.financialYear, computed.category),
+        };
+        const check = (summary) => verifyExplanation({ summary }, evidence).warnings.map((w) => w.claim);
+
+        // ₹2,00,000 is the 24(b) cap, ₹75,000 the new regime's standard
+        // deduction, and the old regime's slab above ₹10 lakh is 30%
+        expect(check(
+            'The Section 80C limit is ₹2,00,000 and 80D allows ₹75,000; income above ₹10 lakh is taxed at 20% under the old regime.'
+        )).toEqual(['₹2,00,000', '₹75,000', '20%']);
+        expect(check('The new regime standard deduction is ₹50,000.')).toEqual(['₹50,000']);
+        expect(check(
+            'The Section 80C limit is ₹1,50,000 and 80D allows ₹25,000. Income above ₹10 lakh is taxed at 30% under the old regime, ' +
+            'and at 20% above ₹12 lakh under the new regime. Home loan interest under 24(b) is capped at ₹2,00,000.'
+        )).toEqual([]);
+    });
+});
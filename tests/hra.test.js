@@ -0,0 +1,72 @@
+'use strict';
+
+const { computeHraExemption, isMetroCity } = require('../src/hra');
+
+describe('HRA exemption — minimum of the three limbs', () => {
+    test('actual HRA received is the lowest limb', () => {
+        const result = computeHraExemption({
+            basicSalary: 1_000_000, hraReceived: 120_000, rentPaid: 300_000, city: 'Delhi',
+        });
+        expect(result.limbs).toEqual({
+            actualHra: 120_000,
+            rentMinus10PercentSalary: 200_000,
+            percentOfSalary: 500_000,
+        });
+        expect(result.exemption).toBe(120_000);
+        expect(result.appliedLimb).toBe('actualHra');
+    });
+
+    test('rent minus 10% of salary is the lowest limb', () => {
+        // 2.5L rent - 10% of 6L basic = 1.9L
+        const result = computeHraExemption({
+            basicSalary: 600_000, hraReceived: 240_000, rentPaid: 250_000, city: 'Mumbai',
+        });
+        expect(result.exemption).toBe(190_000);
+        expect(result.appliedLimb).toBe('rentMinus10PercentSalary');
+    });
+
+    test('non-metro city uses 40% of salary', () => {
+        const result = computeHraExemption({
+            basicSalary: 500_000, hraReceived: 250_000, rentPaid: 400_000, city: 'Pune',
+        });
+        expect(result.metro).toBe(false);
+        expect(result.limbs.percentOfSalary).toBe(200_000);
+        expect(result.exemption).toBe(200_000);
+        expect(result.appliedLimb).toBe('percentOfSalary');
+    });
+
+    test('DA is added to basic pay for salary-based limbs', () => {
+        const result = computeHraExemption({
+            basicSalary: 400_000, da: 100_000, hraReceived: 300_000, rentPaid: 600_000, metro: true,
+        });
+        expect(result.limbs.rentMinus10PercentSalary).toBe(550_000);
+        expect(result.limbs.percentOfSalary).toBe(250_000);
+        expect(result.exemption).toBe(250_000);
+    });
+
+    test('rent below 10% of salary gives zero exemption', () => {
+        const result = computeHraExemption({
+            basicSalary: 1_200_000, hraReceived: 200_000, rentPaid: 100_000, city: 'Chennai',
+        });
+        expect(result.exemption).toBe(0);
+        expect(result.appliedLimb).toBe('rentMinus10PercentSalary');
+    });
+
+    test('explicit metro flag overrides the city', () => {
+        const result = computeHraExemption({
+            basicSalary: 500_000, hraReceived: 300_000, rentPaid: 600_000, city: 'Pune', metro: true,
+        });
+        expect(result.metro).toBe(true);
+        expect(result.limbs.percentOfSalary).toBe(250_000);
+    });
+});
+
+describe('isMetroCity', () => {
+    test('recognises the four metros case-insensitively', () => {
+        ['Delhi', 'MUMBAI', ' kolkata ', 'Chennai', 'New Delhi'].forEach((c) => {
+            expect(isMetroCity(c)).toBe(true);
+        });
+        expect(isMetroCity('Bengaluru')).toBe(false);
+        expect(isMetroCity(undefined)).toBe(false);
+    });
+});
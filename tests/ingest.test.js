@@ -0,0 +1,134 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+// A real local store with offline embeddings, fresh for every test
+let dir;
+let ingest;
+let store;
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-'));
+    Object.assign(process.env, { VECTOR_STORE: 'local', EMBEDDING_PROVIDER: 'hashed', LOCAL_VECTOR_DIR: dir });
+    jest.resetModules();
+    ingest = require('../src/ingest');
+    store = require('../src/vectorStore');
+});
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    for (const key of ['VECTOR_STORE', 'EMBEDDING_PROVIDER', 'LOCAL_VECTOR_DIR', 'PDF_DIR']) delete process.env[key];
+});
+
+/** A PDF with one heading and paragraph per entry of `sections`, a page each unless `onePage`. */
+function makePdf(sections, { onePage = false } = {}) {
+    return new Promise((resolve) => {
+        const doc = new PDFDocument();
+        const parts = [];
+        doc.on('data', (d) => parts.push(d));
+        doc.on('end', () => resolve(Buffer.concat(parts)));
+        sections.forEach(([heading, body], i) => {
+            if (i > 0 && !onePage) doc.addPage();
+            doc.fontSize(16).text(heading);
+            doc.fontSize(11).text(body);
+        });
+        doc.end();
+    });
+}
+
+const SECTIONS = [
+    ['Section 80C', 'Investments in PPF and ELSS are deductible up to 1,50,000 rupees.'],
+    ['Section 80D', 'Health insurance premiums are deductible up to 25,000 rupees.'],
+];
+
+describe('ingestDocument', () => {
+    test('embeds a new PDF with page, heading and hash metadata', async () => {
+        const result = await ingest.ingestDocument('guide.pdf', await makePdf(SECTIONS));
+        expect(result).toEqual({
+            status: 'updated', pages: 2, chunks: 2,
+            changes: { add: 2, change: 0, keep: 0, remove: 0 },
+        });
+
+        const { ids, metadatas } = await store.listChunks();
+        expect(ids).toEqual(['guide.pdf_chunk_0', 'guide.pdf_chunk_1']);
+        expect(metadatas[1]).toMatchObject({
+            file: 'guide.pdf', page: 2, page_end: 2, chunk_id: 1, total_chunks: 2, heading: 'Section 80D',
+        });
+        expect(metadatas[1].ingested_at).toEqual(expect.any(String));
+    });
+
+    test('skips an unchanged PDF and re-embeds only changed chunks', async () => {
+        const pdf = await makePdf(SECTIONS);
+        await ingest.ingestDocument('guide.pdf', pdf);
+        expect(await ingest.ingestDocument('guide.pdf', pdf))
+            .toMatchObject({ status: 'unchanged', pages: null, changes: { keep: 2 } });
+
+        const embedded = [];
+        // A rebuilt PDF differs in its bytes (creation date) as well as in one section
+        const edited = await makePdf([SECTIONS[0], ['Section 80D', 'The limit is 50,000 rupees for senior citizens.']]);
+        const result = await ingest.ingestDocument('guide.pdf', edited, { onEmbed: (c) => embedded.push(c.id) });
+        expect(result.changes).toEqual({ add: 0, change: 1, keep: 1, remove: 0 });
+        expect(embedded).toEqual(['guide.pdf_chunk_1']);
+    });
+
+    test('reuses the vectors of chunks renumbered by an insertion at the front', async () => {
+        await ingest.ingestDocument('guide.pdf', await makePdf(SECTIONS, { onePage: true }));
+        const before = await store.getEmbeddings(['guide.pdf_chunk_0', 'guide.pdf_chunk_1']);
+
+        const embedded = [];
+        const inserted = await makePdf(
+            [['Section 80E', 'Interest on an education loan is deductible in full.'], ...SECTIONS],
+            { onePage: true }
+        );
+        const result = await ingest.ingestDocument('guide.pdf', inserted, { onEmbed: (c) => embedded.push(c.id) });
+        expect(result.changes).toEqual({ add: 0, change: 1, keep: 2, remove: 0 });
+        expect(embedded).toEqual(['guide.pdf_chunk_0']);
+
+        const after = await store.getEmbeddings(['guide.pdf_chunk_1', 'guide.pdf_chunk_2']);
+        expect(after.get('guide.pdf_chunk_1')).toEqual(before.get('guide.pdf_chunk_0'));
+        expect(after.get('guide.pdf_chunk_2')).toEqual(before.get('guide.pdf_chunk_1'));
+    });
+
+    test('force re-embeds every chunk and deletes ones the PDF no longer has', async () => {
+        await ingest.ingestDocument('guide.pdf', await makePdf(SECTIONS));
+
+        const embedded = [];
+        const result = await ingest.ingestDocument('guide.pdf', await makePdf([SECTIONS[0]]), {
+            force: true,
+            onEmbed: (c) => embedded.push(c.id),
+        });
+        expect(result.changes).toEqual({ add: 0, change: 1, keep: 0, remove: 1 });
+        expect(embedded).toEqual(['guide.pdf_chunk_0']);
+        expect((await store.listChunks()).ids).toEqual(['guide.pdf_chunk_0']);
+    });
+
+    test('a dry run plans without writing', async () => {
+        const result = await ingest.ingestDocument('guide.pdf', await makePdf(SECTIONS), { dryRun: true });
+        expect(result).toMatchObject({ status: 'planned', changes: { add: 2 } });
+        expect((await store.listChunks()).ids).toEqual([]);
+    });
+});
+
+describe('listDocuments / removeDocument', () => {
+    test('summarises each ingested PDF and deletes one', async () => {
+        const pdf = await makePdf(SECTIONS);
+        await ingest.ingestDocument('b.pdf', pdf);
+        await ingest.ingestDocument('a.pdf', await makePdf([SECTIONS[1]]));
+
+        const docs = await ingest.listDocuments();
+        expect(docs.map((d) => [d.file, d.chunks])).toEqual([['a.pdf', 1], ['b.pdf', 2]]);
+        expect(docs[1].fileHash).toBe(require('../src/ingestPlan').fileHash(pdf));
+        expect(Date.parse(docs[1].ingestedAt)).not.toBeNaN();
+
+        expect(await ingest.removeDocument('b.pdf')).toBe(2);
+        expect(await ingest.removeDocument('b.pdf')).toBe(0);
+        expect((await ingest.listDocuments()).map((d) => d.file)).toEqual(['a.pdf']);
+    });
+
+    test('PDF_DIR overrides the default ./pdfs folder', () => {
+        expect(ingest.getPdfDir()).toBe(path.resolve(__dirname, '..', 'pdfs'));
+        process.env.PDF_DIR = dir;
+        expect(ingest.getPdfDir()).toBe(dir);
+    });
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const {
+    contentHash, fileHash, buildManifest, isUpToDate, planFile, findOrphans,
+} = require('../src/ingestPlan');
+
+const meta = (file, extra = {}) => ({ file, page: 1, ...extra });
+
+describe('contentHash', () => {
+    test('covers text and citation metadata but not bookkeeping fields', () => {
+        const base = contentHash('80C text', { file: 'a.pdf', page: 1, heading: 'Section 80C' });
+        expect(contentHash('80C text', { heading: 'Section 80C', page: 1, file: 'a.pdf' })).toBe(base);
+        expect(contentHash('80C text', {
+            file: 'a.pdf', page: 1, heading: 'Section 80C', total_chunks: 9, chunk_id: 3, file_hash: 'x', content_hash: 'y', ingested_at: 'z',
+        })).toBe(base);
+        expect(contentHash('80C text!', { file: 'a.pdf', page: 1, heading: 'Section 80C' })).not.toBe(base);
+        expect(contentHash('80C text', { file: 'a.pdf', page: 2, heading: 'Section 80C' })).not.toBe(base);
+    });
+
+    test('fileHash is a SHA-256 of the bytes', () => {
+        expect(fileHash(Buffer.from('abc'))).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    });
+});
+
+describe('manifest', () => {
+    const manifest = buildManifest({
+        ids: ['a_chunk_0', 'a_chunk_1', 'b_chunk_0', 'legacy'],
+        metadatas: [
+            meta('a.pdf', { file_hash: 'A', content_hash: 'h0', total_chunks: 2, ingested_at: '2026-01-02T00:00:00.000Z' }),
+            meta('a.pdf', { file_hash: 'A', content_hash: 'h1', total_chunks: 2, ingested_at: '2026-03-04T00:00:00.000Z' }),
+            meta('b.pdf', { file_hash: 'B', content_hash: 'h2', total_chunks: 3 }),
+            { file: 'old.pdf', page: 4 },
+        ],
+    });
+
+    test('groups chunk hashes by file, with the latest ingestion time', () => {
+        expect([...manifest.keys()]).toEqual(['a.pdf', 'b.pdf', 'old.pdf']);
+        expect(manifest.get('a.pdf')).toEqual({
+            fileHash: 'A',
+            totalChunks: 2,
+            ingestedAt: '2026-03-04T00:00:00.000Z',
+            chunks: new Map([['a_chunk_0', 'h0'], ['a_chunk_1', 'h1']]),
+        });
+        expect(manifest.get('old.pdf').chunks).toEqual(new Map([['legacy', null]]));
+    });
+
+    test('a file is up to date only when its hash matches and no chunk is missing', () => {
+        expect(isUpToDate(manifest, 'a.pdf', 'A')).toBe(true);
+        expect(isUpToDate(manifest, 'a.pdf', 'A2')).toBe(false);
+        expect(isUpToDate(manifest, 'b.pdf', 'B')).toBe(false); // 1 of 3 chunks stored
+        expect(isUpToDate(manifest, 'new.pdf', 'N')).toBe(false);
+    });
+
+    test('chunks from different versions of a file leave it out of date', () => {
+        const mixed = buildManifest({
+            ids: ['x0', 'x1'],
+            metadatas: [
+                meta('x.pdf', { file_hash: 'old', total_chunks: 2 }),
+                meta('x.pdf', { file_hash: 'new', total_chunks: 2 }),
+            ],
+        });
+        expect(isUpToDate(mixed, 'x.pdf', 'new')).toBe(false);
+    });
+
+    test('sorts fresh chunks into add / change / keep / remove', () => {
+        expect(planFile(manifest, 'a.pdf', [
+            { id: 'a_chunk_0', hash: 'h0' },
+            { id: 'a_chunk_2', hash: 'h9' },
+        ])).toEqual({ add: ['a_chunk_2'], change: [], keep: ['a_chunk_0'], moved: [], remove: ['a_chunk_1'] });
+
+        expect(planFile(manifest, 'old.pdf', [{ id: 'legacy', hash: 'h5' }]))
+            .toEqual({ add: [], change: ['legacy'], keep: [], moved: [], remove: [] });
+        expect(planFile(manifest, 'new.pdf', [{ id: 'n0', hash: 'h' }]).add).toEqual(['n0']);
+    });
+
+    test('a chunk inserted at the front moves the rest onto the stored vectors', () => {
+        expect(planFile(manifest, 'a.pdf', [
+            { id: 'a_chunk_0', hash: 'new' },
+            { id: 'a_chunk_1', hash: 'h0' },
+            { id: 'a_chunk_2', hash: 'h1' },
+        ])).toEqual({
+            add: [],
+            change: ['a_chunk_0'],
+            keep: [],
+            moved: [{ id: 'a_chunk_1', from: 'a_chunk_0' }, { id: 'a_chunk_2', from: 'a_chunk_1' }],
+            remove: [],
+        });
+    });
+
+    test('finds the chunks of files no longer present', () => {
+        expect(findOrphans(manifest, ['a.pdf'])).toEqual([
+            { file: 'b.pdf', ids: ['b_chunk_0'] },
+            { file: 'old.pdf', ids: ['legacy'] },
+        ]);
+        expect(findOrphans(manifest, ['a.pdf', 'b.pdf', 'old.pdf'])).toEqual([]);
+    });
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+const { buildIndex, tokenize, sectionTokens } = require('../src/lexicalIndex');
+
+describe('tokenize', () => {
+    test('keeps section references whole and split', () => {
+        expect(tokenize('Section 80CCD(1B) limit')).toEqual(['section', '80ccd1b', '80ccd', '1b', 'limit']);
+        expect(tokenize('u/s 10(13A)')).toEqual(['u', 's', '1013a', '10', '13a']);
+        expect(tokenize('87A rebate')).toEqual(['87a', 'rebate']);
+    });
+
+    test('drops stopwords', () => {
+        expect(tokenize('What is the weather in Paris today?')).toEqual(['weather', 'paris']);
+    });
+});
+
+describe('sectionTokens', () => {
+    test('finds section references but not amounts or years', () => {
+        expect(sectionTokens('Is 80CCD(1B) worth ₹50k under 24(b) in FY 2024-25?')).toEqual(['80ccd1b', '24b']);
+    });
+});
+
+describe('buildIndex', () => {
+    const index = buildIndex([
+        { id: 'hra', text: 'HRA exemption under section 10(13A) for rent paid' },
+        { id: 'nps1b', text: 'Section 80CCD(1B): additional NPS deduction of Rs 50,000' },
+        { id: 'nps2', text: 'Section 80CCD(2): employer contribution to NPS' },
+        { id: 'rebate', text: 'Rebate under section 87A for income up to Rs 7 lakh' },
+    ]);
+
+    test('ranks the exact section above its siblings', () => {
+        const hits = index.search('80CCD(1B) limit');
+        expect(hits.map((h) => h.id)).toEqual(['nps1b', 'nps2']);
+        expect(hits[0].score).toBeGreaterThan(hits[1].score);
+    });
+
+    test('rare terms outweigh common ones', () => {
+        expect(index.search('section 87A')[0].id).toBe('rebate');
+    });
+
+    test('leaves out documents with no query term and respects k', () => {
+        expect(index.search('gratuity')).toEqual([]);
+        expect(index.search('section', 2)).toHaveLength(2);
+    });
+
+    test('an empty index finds nothing', () => {
+        expect(buildIndex([]).search('80C')).toEqual([]);
+    });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const { getLlm, describeLlm } = require('../src/llm');
+const { withFallback } = require('../src/llms/fallback');
+const template = require('../src/llms/template');
+const { compareTaxRegimes } = require('../src/taxCalc');
+
+afterEach(() => {
+    delete process.env.LLM_PROVIDER;
+    delete process.env.GEMINI_API_KEY;
+    jest.restoreAllMocks();
+});
+
+describe('getLlm', () => {
+    test('defaults to Gemini and picks providers by LLM_PROVIDER', () => {
+        expect(getLlm().name).toBe('gemini');
+        process.env.LLM_PROVIDER = 'OpenAI';
+        expect(getLlm().name).toBe('openai');
+        process.env.LLM_PROVIDER = 'template';
+        expect(getLlm()).toBe(template);
+    });
+
+    test('describes whether the provider is configured', () => {
+        expect(describeLlm()).toBe('gemini (not configured)');
+        process.env.GEMINI_API_KEY = 'your_gemini_api_key_here';
+        expect(describeLlm()).toBe('gemini (not configured)');
+        process.env.GEMINI_API_KEY = 'real-key';
+        expect(describeLlm()).toBe('gemini');
+    });
+
+    test('rejects an unknown provider', () => {
+        process.env.LLM_PROVIDER = 'claude';
+        expect(() => getLlm()).toThrow('Unknown LLM_PROVIDER "claude". Supported: gemini, openai, template');
+    });
+});
+
+describe('withFallback', () => {
+    const rateLimited = () => Object.assign(new Error('429 Too Many Requests'), { status: 429 });
+    const retryDelay = (err) => (err.status === 429 ? 0 : null);
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    test('retries a rate-limited model once, then falls back to the next', async () => {
+        const call = jest.fn()
+            .mockRejectedValueOnce(rateLimited())
+            .mockRejectedValueOnce(rateLimited())
+            .mockResolvedValueOnce('from b');
+
+        await expect(withFallback({ label: 't', models: ['a', 'b'], call, retryDelay }))
+            .resolves.toEqual({ text: 'from b', model: 'b' });
+        expect(call.mock.calls.map(([model]) => model)).toEqual(['a', 'a', 'b']);
+    });
+
+    test('moves on without retrying other errors, and throws the last one', async () => {
+        const call = jest.fn()
+            .mockRejectedValueOnce(new Error('404 model not found'))
+            .mockRejectedValueOnce(new Error('500 overloaded'));
+
+        await expect(withFallback({ label: 't', models: ['a', 'b'], call, retryDelay }))
+            .rejects.toThrow('500 overloaded');
+        expect(call).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('template provider', () => {
+    const chunks = [
+        { text: 'ignored', metadata: { file: 'guide.pdf', page: 3, heading: 'Section 80D' } },
+    ];
+
+    test('explains the verdict from the tax numbers as JSON, deterministically', async () => {
+        const taxNumbers = compareTaxRegimes({ salary: 1_200_000 }, { section80C: 200_000 });
+        const { text, model } = await template.generate({ prompt: 'unused', taxNumbers, chunks });
+        const reply = JSON.parse(text);
+
+        expect(model).toBe('template');
+        expect(reply.summary).toBe(
+            'New Regime saves ₹45,500 more. For FY 2024-25 your tax is ₹71,500 under the New Regime against ₹1,17,000 under the Old Regime. ' +
+            'Old Regime: taxable income ₹10,00,000, tax ₹1,17,000 (9.75% effective); after ₹2,00,000 of deductions; top slab reached: ₹5,00,000 – ₹10,00,000 @ 20%. ' +
+            'New Regime: taxable income ₹11,25,000, tax ₹71,500 (5.96% effective); after ₹75,000 of deductions; top slab reached: ₹10,00,000 – ₹12,00,000 @ 15%.'
+        );
+        expect(reply.tips).toEqual([
+            { text: 'Section 80C (PPF, ELSS, life insurance, etc.): ₹2,00,000 claimed but only ₹1,50,000 allowed.', excerpts: [] },
+            { text: 'For the rules behind these figures, see Excerpt 1 (guide.pdf, Section 80D, p.3).', excerpts: [1] },
+        ]);
+        expect(text).not.toContain('ignored');
+        expect((await template.generate({ taxNumbers, chunks })).text).toBe(text);
+    });
+
+    test('mentions the 87A rebate and equal outcomes', async () => {
+        const taxNumbers = compareTaxRegimes({ salary: 500_000 }, {});
+        const reply = JSON.parse((await template.generate({ taxNumbers })).text);
+
+        expect(reply.summary).toMatch(/^Both regimes result in the same tax liability\. Each regime's tax for FY 2024-25 is ₹0\./);
+        expect(reply.caveats).toContain('The rebate u/s 87A of ₹6,250 reduces the New Regime tax.');
+    });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const { parseExplanation, generateExplanation } = require('../src/llmOutput');
+
+describe('parseExplanation', () => {
+    test('accepts a valid reply and fills in defaults', () => {
+        expect(parseExplanation('{"summary": "New wins.", "tips": [{"text": "Invest in PPF", "excerpts": [2]}]}', 3))
+            .toEqual({
+                ok: true,
+                repaired: false,
+                value: { summary: 'New wins.', tips: [{ text: 'Invest in PPF', excerpts: [2] }], caveats: [] },
+            });
+    });
+
+    test('a code fence is not a repair; prose around the object or a trailing comma is', () => {
+        expect(parseExplanation('```json\n{"summary": "A"}\n```', 0)).toMatchObject({ ok: true, repaired: false });
+        expect(parseExplanation('Sure! {"summary": "A"} Hope this helps.', 0)).toMatchObject({ ok: true, repaired: true });
+        expect(parseExplanation('{"summary": "A", "caveats": ["x",],}', 0))
+            .toMatchObject({ ok: true, repaired: true, value: { caveats: ['x'] } });
+    });
+
+    test('turns bare-string tips into uncited tips and drops unknown excerpt numbers', () => {
+        const { value } = parseExplanation(JSON.stringify({
+            summary: 'A',
+            tips: ['Keep receipts', { text: 'Claim 80D', excerpts: [0, 2, '2', 5] }],
+        }), 2);
+        expect(value.tips).toEqual([
+            { text: 'Keep receipts', excerpts: [] },
+            { text: 'Claim 80D', excerpts: [2] },
+        ]);
+    });
+
+    test('reports what is wrong with an invalid reply', () => {
+        expect(parseExplanation('The New Regime is better.', 1)).toEqual({ ok: false, error: 'No JSON object found' });
+        expect(parseExplanation('{"summary": "", "tips": [{"excerpts": [1]}]}', 1)).toEqual({
+            ok: false,
+            error: expect.stringMatching(/^summary: String must contain at least 1 character\(s\); tips\.0/),
+        });
+    });
+});
+
+describe('generateExplanation', () => {
+    beforeEach(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+    afterEach(() => jest.restoreAllMocks());
+
+    const provider = (...texts) => ({
+        generate: jest.fn(async () => ({ text: texts.shift(), model: 'm' })),
+    });
+
+    test('asks for JSON and passes the request through', async () => {
+        const llm = provider('{"summary": "A"}');
+        const result = await generateExplanation(llm, { prompt: 'P', chunks: [{}] });
+
+        expect(result).toMatchObject({ output: 'json', attempts: 1, model: 'm', explanation: { summary: 'A' } });
+        expect(llm.generate).toHaveBeenCalledWith({ prompt: 'P', chunks: [{}], json: true });
+    });
+
+    test('re-asks once, then gives up with the raw text', async () => {
+        const llm = provider('nope', 'still nope');
+        const result = await generateExplanation(llm, { prompt: 'P', chunks: [] });
+
+        expect(result).toEqual({ explanation: null, text: 'still nope', model: 'm', output: 'text', attempts: 2 });
+        expect(llm.generate.mock.calls[1][0].prompt).toMatch(/^P\n\n=== YOUR PREVIOUS RESPONSE ===\nnope\n/);
+    });
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+const { optimizeDeductions } = require('../src/optimizer');
+
+const line = (plan, section) => plan.allocation.find((a) => a.section === section);
+
+describe('optimizeDeductions', () => {
+    test('fills the investable sections in order, up to their caps', () => {
+        // taxable 14.5L sits in the 30% slab: each rupee saves ₹0.312 with cess
+        const plan = optimizeDeductions(1_500_000, {}, 300_000);
+        expect(plan.investableRoom).toBe(250_000);
+        expect(plan.recommendedInvestment).toBe(250_000);
+        expect(plan.unusedBudget).toBe(50_000);
+        expect(line(plan, 'section80C').invest).toBe(150_000);
+        expect(line(plan, 'section80CCD1B').invest).toBe(50_000);
+        expect(line(plan, 'section80D').invest).toBe(25_000);
+        expect(line(plan, 'section80DParents').invest).toBe(25_000);
+        expect(plan.taxSaved).toBe(78_000);
+        expect(plan.savedPerRupee).toBeCloseTo(0.312, 3);
+        expect(plan.nextRupeeSaves).toBe(0);
+    });
+
+    test('stops at the 87A cliff instead of spending the whole budget', () => {
+        // taxable 5.5L → investing ₹50K brings it to ₹5L and wipes out the tax
+        const plan = optimizeDeductions(600_000, {}, 100_000);
+        expect(plan.recommendedInvestment).toBe(50_000);
+        expect(plan.oldTaxAfter).toBe(0);
+        expect(plan.taxSaved).toBe(23_400);
+        expect(plan.savedPerRupee).toBeCloseTo(0.468, 3);
+    });
+
+    test('reports what the next rupee saves when the budget runs out first', () => {
+        const plan = optimizeDeductions(600_000, {}, 30_000);
+        expect(plan.recommendedInvestment).toBe(30_000);
+        expect(plan.taxSaved).toBe(6_240);
+        expect(plan.nextRupeeSaves).toBeCloseTo(0.208, 3);
+    });
+
+    test('existing claims shrink the room; senior caps come from the rules', () => {
+        const plan = optimizeDeductions(1_500_000, { section80C: 100_000 }, 500_000, { age: 65 });
+        expect(line(plan, 'section80C')).toMatchObject({ currentClaim: 100_000, room: 50_000 });
+        expect(line(plan, 'section80D').cap).toBe(50_000);
+    });
+
+    test('says when the new regime still wins after investing', () => {
+        const plan = optimizeDeductions(1_500_000, {}, 300_000);
+        expect(plan.oldTaxAfter).toBeGreaterThan(plan.newTax);
+        expect(plan.recommendedRegime).toBe('new');
+    });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const { projectTds } = require('../src/payroll');
+
+const heavyDeductions = { section80C: 150_000, hra: 300_000, section24b: 200_000 };
+
+describe('projectTds', () => {
+    test('projects full-year salary from salary to date plus the remaining months', () => {
+        const plan = projectTds(1_500_000, {}, { monthsElapsed: 6, salaryToDate: 720_000 });
+        expect(plan.remainingMonths).toBe(6);
+        expect(plan.projectedSalary).toBe(1_470_000);
+    });
+
+    test('spreads the remaining TDS evenly; the last month absorbs rounding', () => {
+        const plan = projectTds(
+            1_500_000, heavyDeductions,
+            { monthsElapsed: 6, salaryToDate: 720_000, tdsToDate: 60_000 }
+        );
+        const { old: oldRegime } = plan.regimes;
+        expect(oldRegime.totalTax).toBe(69_160);
+        expect(oldRegime.remainingTds).toBe(9_160);
+        expect(oldRegime.schedule.map((m) => m.month)).toEqual(['Oct', 'Nov', 'Dec', 'Jan', 'Feb', 'Mar']);
+        expect(oldRegime.monthlyTds).toBe(1_526);
+        expect(oldRegime.schedule.at(-1).tds).toBe(1_530);
+        expect(oldRegime.schedule.reduce((sum, m) => sum + m.tds, 0)).toBe(9_160);
+    });
+
+    test('shows the refund from filing under the other regime', () => {
+        const plan = projectTds(
+            1_500_000, heavyDeductions,
+            { monthsElapsed: 6, salaryToDate: 720_000, tdsToDate: 60_000, declaredRegime: 'new' }
+        );
+        expect(plan.yearEnd.tdsDeducted).toBe(123_760);
+        expect(plan.yearEnd.new).toEqual({ taxLiability: 123_760, balance: 0, outcome: 'nil' });
+        expect(plan.yearEnd.old).toEqual({ taxLiability: 69_160, balance: -54_600, outcome: 'refund' });
+        expect(plan.recommendation).toMatch(/Old Regime would get you a refund of ₹54,600/);
+    });
+
+    test('shows the extra tax payable when switching is worse', () => {
+        const plan = projectTds(
+            1_500_000, {},
+            { monthsElapsed: 3, salaryToDate: 375_000, tdsToDate: 30_000, declaredRegime: 'new' }
+        );
+        expect(plan.yearEnd.old.outcome).toBe('payable');
+        expect(plan.yearEnd.old.balance).toBe(plan.regimes.old.totalTax - plan.yearEnd.tdsDeducted);
+        expect(plan.recommendation).toMatch(/stay with the New Regime/);
+    });
+
+    test('no further TDS once more than the year\'s tax has been deducted', () => {
+        const plan = projectTds(600_000, {}, { monthsElapsed: 11, salaryToDate: 550_000, tdsToDate: 5_000 });
+        expect(plan.regimes.new).toMatchObject({ totalTax: 0, remainingTds: 0, monthlyTds: 0 });
+        expect(plan.yearEnd.new).toMatchObject({ balance: -5_000, outcome: 'refund' });
+    });
+
+    test('an empty schedule once all twelve months are paid', () => {
+        const plan = projectTds(1_200_000, {}, { monthsElapsed: 12, salaryToDate: 1_200_000 });
+        expect(plan.remainingMonths).toBe(0);
+        expect(plan.regimes.old.schedule).toEqual([]);
+        expect(plan.regimes.old.monthlyTds).toBe(0);
+    });
+
+    test('tax not yet withheld is payable at filing when no months are left', () => {
+        const plan = projectTds(1_500_000, {}, { monthsElapsed: 12, salaryToDate: 1_500_000, tdsToDate: 50_000 });
+        expect(plan.regimes.new).toMatchObject({ totalTax: 130_000, remainingTds: 80_000, schedule: [] });
+        expect(plan.yearEnd.tdsDeducted).toBe(50_000);
+        expect(plan.yearEnd.new).toEqual({ taxLiability: 130_000, balance: 80_000, outcome: 'payable' });
+    });
+});
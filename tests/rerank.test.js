@@ -0,0 +1,128 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { rerankChunks } = require('../src/rerank');
+
+afterEach(() => {
+    delete process.env.EMBEDDING_PROVIDER;
+    delete process.env.RAG_MAX_DISTANCE;
+    delete process.env.RAG_MAX_PER_FILE;
+});
+
+const chunk = (file, chunkId, distance, text = `${file} chunk ${chunkId}`) => ({
+    text,
+    metadata: { file, chunk_id: chunkId },
+    distance,
+});
+
+const ids = (result) => result.chunks.map((c) => c.text);
+
+describe('rerankChunks', () => {
+    test('drops chunks above the distance threshold', () => {
+        const result = rerankChunks([chunk('a.pdf', 0, 0.2), chunk('b.pdf', 0, 0.75)], { maxDistance: 0.5 });
+        expect(ids(result)).toEqual(['a.pdf chunk 0']);
+        expect(result.stats).toMatchObject({ candidates: 2, tooDistant: 1, used: 1, maxDistance: 0.5 });
+    });
+
+    test('defaults the threshold to the embedding provider\'s, overridden by RAG_MAX_DISTANCE', () => {
+        const candidates = [chunk('a.pdf', 0, 0.2), chunk('b.pdf', 0, 0.8)];
+        expect(rerankChunks(candidates).stats.maxDistance).toBe(0.6);
+        expect(rerankChunks(candidates).stats.used).toBe(1);
+
+        process.env.EMBEDDING_PROVIDER = 'hashed';
+        expect(rerankChunks(candidates).stats).toMatchObject({ maxDistance: 0.9, used: 2 });
+
+        process.env.RAG_MAX_DISTANCE = '0.1';
+        expect(rerankChunks(candidates).chunks).toEqual([]);
+    });
+
+    test('keeps a keyword match on a query section number whatever its distance', () => {
+        const nps = {
+            ...chunk('tax_comparison_guide.pdf', 3, 0.96, 'Section 80CCD(1B) allows an extra ₹50,000 for NPS.'),
+            scores: { vector: 0.04, lexical: 1.05 },
+        };
+        const sharesAWord = { ...chunk('b.pdf', 0, 0.96, 'NPS withdrawals at retirement'), scores: { vector: 0.04, lexical: 0.8 } };
+        const noDistance = { ...chunk('c.pdf', 0, null, 'Section 80CCD(1B) in brief'), scores: { lexical: 2.5 } };
+        const result = rerankChunks([chunk('a.pdf', 0, 0.2), nps, sharesAWord, noDistance], {
+            maxDistance: 0.6, query: '80CCD(1B) NPS limit',
+        });
+        expect(ids(result)).toEqual(['a.pdf chunk 0', nps.text, noDistance.text]);
+        expect(result.stats.tooDistant).toBe(1);
+
+        // Without the section number in the query, distance decides
+        expect(ids(rerankChunks([nps, sharesAWord], { maxDistance: 0.6, query: 'NPS limit' }))).toEqual([]);
+    });
+
+    test('drops repeated text but keeps the next chunk of a section', () => {
+        const result = rerankChunks([
+            chunk('a.pdf', 4, 0.1),
+            chunk('a.pdf', 5, 0.15),                     // rest of chunk 4's section
+            chunk('b.pdf', 0, 0.2, 'A.pdf  chunk 4'),    // same text, other file
+        ], { maxPerFile: 5 });
+        expect(ids(result)).toEqual(['a.pdf chunk 4', 'a.pdf chunk 5']);
+        expect(result.stats.duplicates).toBe(1);
+    });
+
+    test('spreads chunks across files, then backfills in rank order', () => {
+        const candidates = [
+            chunk('a.pdf', 0, 0.1), chunk('a.pdf', 2, 0.11), chunk('a.pdf', 4, 0.12),
+            chunk('a.pdf', 6, 0.13), chunk('b.pdf', 0, 0.3),
+        ];
+        expect(ids(rerankChunks(candidates, { k: 3 }))).toEqual(['a.pdf chunk 0', 'a.pdf chunk 2', 'b.pdf chunk 0']);
+        expect(ids(rerankChunks(candidates, { k: 4 }))).toEqual(
+            ['a.pdf chunk 0', 'a.pdf chunk 2', 'a.pdf chunk 4', 'b.pdf chunk 0']
+        );
+    });
+
+    test('nothing relevant yields no chunks', () => {
+        const result = rerankChunks([chunk('a.pdf', 0, 0.9)]);
+        expect(result.chunks).toEqual([]);
+        expect(result.stats.used).toBe(0);
+    });
+});
+
+describe('retrieveChunks on the seed corpus', () => {
+    let dir;
+    let retrieveChunks;
+    beforeAll(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rerank-'));
+        Object.assign(process.env, { VECTOR_STORE: 'local', EMBEDDING_PROVIDER: 'hashed', LOCAL_VECTOR_DIR: dir });
+        jest.resetModules();
+        const store = require('../src/vectorStore');
+        ({ retrieveChunks } = require('../src/explainPipeline'));
+
+        // One chunk per "--- Heading ---" block of the seed texts
+        const pdfDir = path.join(__dirname, '..', 'pdfs');
+        const texts = ['income_tax_guide_seed.txt', 'tax_comparison_guide_seed.txt']
+            .flatMap((file) => fs.readFileSync(path.join(pdfDir, file), 'utf8').split(/\n(?=---)/)
+                .map((text, i) => ({ file, i, text })));
+        await store.upsertChunks({
+            ids: texts.map(({ file, i }) => `${file}_chunk_${i}`),
+            embeddings: await Promise.all(texts.map(({ text }) => store.embedText(text))),
+            documents: texts.map(({ text }) => text),
+            metadatas: texts.map(({ file, i }) => ({ file, chunk_id: i })),
+        });
+    });
+    // The afterEach above clears EMBEDDING_PROVIDER
+    beforeEach(() => {
+        process.env.EMBEDDING_PROVIDER = 'hashed';
+    });
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        for (const key of ['VECTOR_STORE', 'LOCAL_VECTOR_DIR']) delete process.env[key];
+    });
+
+    test('an off-topic question finds nothing relevant', async () => {
+        const { chunks, retrieval } = await retrieveChunks('what is the weather in paris today');
+        expect(chunks).toEqual([]);
+        expect(retrieval).toMatchObject({ status: 'no-relevant-chunks', used: 0 });
+    });
+
+    test('a tax question finds excerpts', async () => {
+        const { retrieval } = await retrieveChunks('Which tax regime is better for my salary and deductions?');
+        expect(retrieval.status).toBe('ok');
+        expect(retrieval.used).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getSessionStore, describeSessionStore } = require('../src/sessionStore');
+
+afterEach(() => {
+    delete process.env.SESSION_STORE;
+    delete process.env.SESSION_DIR;
+});
+
+const session = (id) => ({ id, inputs: { salary: 1200000 }, messages: [{ role: 'user', content: 'Hi' }] });
+
+describe('getSessionStore', () => {
+    test('defaults to memory and rejects an unknown backend', () => {
+        expect(describeSessionStore()).toBe('memory');
+        process.env.SESSION_STORE = 'redis';
+        expect(() => getSessionStore()).toThrow('Unknown SESSION_STORE "redis". Supported: memory, file');
+    });
+});
+
+describe('memory store', () => {
+    test('saves, reads back copies and removes', async () => {
+        const store = getSessionStore();
+        const saved = session('m-1');
+        await store.save(saved);
+        saved.messages.push({ role: 'assistant', content: 'changed after saving' });
+
+        const read = await store.get('m-1');
+        expect(read.messages).toHaveLength(1);
+        read.inputs.salary = 1;
+        expect((await store.get('m-1')).inputs.salary).toBe(1200000);
+
+        await expect(store.remove('m-1')).resolves.toBe(true);
+        await expect(store.remove('m-1')).resolves.toBe(false);
+        await expect(store.get('m-1')).resolves.toBeNull();
+    });
+});
+
+describe('file store', () => {
+    let dir;
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+        Object.assign(process.env, { SESSION_STORE: 'file', SESSION_DIR: dir });
+    });
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test('keeps one JSON file per session', async () => {
+        const store = getSessionStore();
+        expect(describeSessionStore()).toBe(`file (${dir})`);
+        await store.save(session('f-1'));
+
+        expect(fs.readdirSync(dir)).toEqual(['f-1.json']);
+        await expect(store.get('f-1')).resolves.toEqual(session('f-1'));
+        await expect(store.remove('f-1')).resolves.toBe(true);
+        await expect(store.get('f-1')).resolves.toBeNull();
+    });
+
+    test('treats ids that are not plain names as unknown', async () => {
+        const store = getSessionStore();
+        await expect(store.get('../etc/passwd')).resolves.toBeNull();
+        await expect(store.remove('a/b')).resolves.toBe(false);
+        await expect(store.save(session('../x'))).rejects.toThrow('Invalid session id "../x"');
+    });
+});
@@ -96,3 +96,393 @@ describe('Slab boundary sanity checks', () => {
         expect(result.totalTax).toBeGreaterThan(0);
     });
 });
+
+// ─── Financial year rule tables ─────────────────────────────────────────────
+describe('Financial year selection', () => {
+    test('defaults to FY 2024-25 and echoes the year used', () => {
+        const comparison = compareTaxRegimes(1_000_000, {});
+        expect(comparison.financialYear).toBe('2024-25');
+        expect(comparison.old.financialYear).toBe('2024-25');
+        expect(comparison.new.financialYear).toBe('2024-25');
+    });
+
+    test('FY 2023-24 new regime: ₹50K std deduction and older slabs', () => {
+        // taxable = 10L - 50K = 9.5L → 15K(5%) + 30K(10%) + 7.5K(15%) = 52.5K + 4% cess
+        const result = computeNewRegime(1_000_000, {}, { financialYear: '2023-24' });
+        expect(result.taxableIncome).toBe(950_000);
+        expect(result.totalTax).toBe(54_600);
+    });
+
+    test('FY 2024-25 new regime: same salary under Budget 2024 slabs', () => {
+        // taxable = 10L - 75K = 9.25L → 20K(5%) + 22.5K(10%) = 42.5K + 4% cess
+        const result = computeNewRegime(1_000_000, {}, { financialYear: '2024-25' });
+        expect(result.taxableIncome).toBe(925_000);
+        expect(result.totalTax).toBe(44_200);
+    });
+
+    test('FY 2025-26 new regime: ₹12L taxable is fully rebated', () => {
+        const result = computeNewRegime(1_275_000, {}, { financialYear: '2025-26' });
+        expect(result.taxableIncome).toBe(1_200_000);
+        expect(result.totalTax).toBe(0);
+
+        const fy2425 = computeNewRegime(1_275_000, {}, { financialYear: '2024-25' });
+        expect(fy2425.totalTax).toBe(83_200);
+    });
+
+    test('Old regime is unchanged across supported years', () => {
+        const deductions = { section80C: 150_000 };
+        const totals = ['2023-24', '2024-25', '2025-26'].map(
+            (financialYear) => computeOldRegime(1_500_000, deductions, { financialYear }).totalTax
+        );
+        expect(new Set(totals).size).toBe(1);
+    });
+
+    test('throws for an unsupported financial year', () => {
+        expect(() => compareTaxRegimes(1_000_000, {}, { financialYear: '2019-20' }))
+            .toThrow(/Unsupported financial year/);
+    });
+});
+
+// ─── Surcharge & marginal relief ────────────────────────────────────────────
+describe('Surcharge and marginal relief', () => {
+    test('No surcharge at or below ₹50L taxable', () => {
+        const result = computeOldRegime(5_050_000, {});
+        expect(result.taxableIncome).toBe(5_000_000);
+        expect(result.surcharge).toBe(0);
+        expect(result.marginalRelief).toBe(0);
+    });
+
+    test('Old regime: 10% surcharge at ₹59.5L taxable, no relief needed', () => {
+        // tax = 12.5K + 1L + 30% × 49.5L = 15,97,500 → surcharge 1,59,750
+        const result = computeOldRegime(6_000_000, {});
+        expect(result.baseTax).toBe(1_597_500);
+        expect(result.surcharge).toBe(159_750);
+        expect(result.marginalRelief).toBe(0);
+        expect(result.cess).toBe(70_290);
+        expect(result.totalTax).toBe(1_827_540);
+    });
+
+    test('Old regime: marginal relief just above ₹50L', () => {
+        // taxable 50.1L → tax 13,15,500 + surcharge 1,31,550
+        // ceiling = tax on 50L (13,12,500) + ₹10,000 → relief 1,24,550
+        const result = computeOldRegime(5_060_000, {});
+        expect(result.taxableIncome).toBe(5_010_000);
+        expect(result.surcharge).toBe(131_550);
+        expect(result.marginalRelief).toBe(124_550);
+        expect(result.totalTax).toBe(Math.round(1_322_500 * 1.04));
+    });
+
+    test(`Tax + surcharge above a band edge never exceeds the extra income (${inr(10_000_000)})`, () => {
+        const atEdge = computeOldRegime(10_050_000, {});
+        const above = computeOldRegime(10_060_000, {});
+        const net = (r) => r.baseTax + r.surcharge - r.marginalRelief;
+        expect(net(above) - net(atEdge)).toBeLessThanOrEqual(10_000);
+    });
+
+    test('New regime surcharge is capped at 25%; old regime goes to 37%', () => {
+        const oldResult = computeOldRegime(60_000_000, {});
+        const newResult = computeNewRegime(60_000_000);
+        expect(oldResult.surcharge / oldResult.baseTax).toBeCloseTo(0.37, 5);
+        expect(newResult.surcharge / newResult.baseTax).toBeCloseTo(0.25, 5);
+    });
+});
+
+// ─── Section 87A rebate boundaries ──────────────────────────────────────────
+describe('Section 87A rebate', () => {
+    test('Old regime: ₹5L taxable → rebate of ₹12,500 wipes out the tax', () => {
+        const result = computeOldRegime(550_000, {});
+        expect(result.taxableIncome).toBe(500_000);
+        expect(result.slabTax).toBe(12_500);
+        expect(result.rebate87A).toBe(12_500);
+        expect(result.totalTax).toBe(0);
+    });
+
+    test('Old regime: ₹5,10,000 taxable → no rebate and no marginal relief', () => {
+        const result = computeOldRegime(560_000, {});
+        expect(result.taxableIncome).toBe(510_000);
+        expect(result.rebate87A).toBe(0);
+        expect(result.baseTax).toBe(14_500);
+        expect(result.totalTax).toBe(15_080);
+    });
+
+    test('New regime: ₹7L taxable → tax fully rebated (rebate ≤ ₹25,000)', () => {
+        const result = computeNewRegime(775_000);
+        expect(result.taxableIncome).toBe(700_000);
+        expect(result.slabTax).toBe(20_000);
+        expect(result.rebate87A).toBe(20_000);
+        expect(result.totalTax).toBe(0);
+    });
+
+    test('New regime: ₹7,10,000 taxable pays at most ₹10,000 (marginal relief)', () => {
+        // slab tax = 20K + 1K = 21K; excess over ₹7L = 10K → rebate 11K
+        const result = computeNewRegime(785_000);
+        expect(result.taxableIncome).toBe(710_000);
+        expect(result.slabTax).toBe(21_000);
+        expect(result.rebate87A).toBe(11_000);
+        expect(result.baseTax).toBe(10_000);
+        expect(result.totalTax).toBe(10_400);
+    });
+
+    test('New regime: marginal relief fades out once slab tax ≤ excess income', () => {
+        // ₹7,50,000 taxable → slab tax 25K, excess 50K → no relief
+        const result = computeNewRegime(825_000);
+        expect(result.rebate87A).toBe(0);
+        expect(result.baseTax).toBe(25_000);
+    });
+
+    test('FY 2025-26 new regime: ₹12L limit with ₹60,000 cap and marginal relief', () => {
+        const atLimit = computeNewRegime(1_275_000, {}, { financialYear: '2025-26' });
+        expect(atLimit.slabTax).toBe(60_000);
+        expect(atLimit.rebate87A).toBe(60_000);
+
+        const justAbove = computeNewRegime(1_285_000, {}, { financialYear: '2025-26' });
+        expect(justAbove.taxableIncome).toBe(1_210_000);
+        expect(justAbove.baseTax).toBe(10_000);
+        expect(justAbove.rebate87A).toBe(51_500);
+    });
+});
+
+// ─── Age-based taxpayer categories ──────────────────────────────────────────
+describe('Taxpayer categories', () => {
+    test('defaults to the general category', () => {
+        const comparison = compareTaxRegimes(1_000_000, {});
+        expect(comparison.category).toBe('general');
+    });
+
+    test('age picks the category automatically', () => {
+        expect(compareTaxRegimes(1_000_000, {}, { age: 59 }).category).toBe('general');
+        expect(compareTaxRegimes(1_000_000, {}, { age: 60 }).category).toBe('senior');
+        expect(compareTaxRegimes(1_000_000, {}, { age: 80 }).category).toBe('superSenior');
+    });
+
+    test('Old regime senior: ₹3L exemption and ₹50K 80D limit', () => {
+        // taxable = 8L - 50K(std) - 50K(80D) = 7L → 10K(5% of 2L) + 40K(20% of 2L) + 4% cess
+        const senior = computeOldRegime(800_000, { section80D: 50_000 }, { category: 'senior' });
+        expect(senior.taxableIncome).toBe(700_000);
+        expect(senior.totalTax).toBe(52_000);
+
+        // same inputs, under 60: 80D capped at 25K → taxable 7.25L
+        const general = computeOldRegime(800_000, { section80D: 50_000 });
+        expect(general.taxableIncome).toBe(725_000);
+        expect(general.totalTax).toBe(59_800);
+    });
+
+    test('Old regime super senior: ₹5L exemption, no 5% slab', () => {
+        // taxable = 10L - 50K = 9.5L → 20% of 4.5L = 90K + 4% cess
+        const result = computeOldRegime(1_000_000, {}, { age: 82 });
+        expect(result.category).toBe('superSenior');
+        expect(result.totalTax).toBe(93_600);
+    });
+
+    test('New regime slabs are the same for every age', () => {
+        const general = computeNewRegime(1_500_000);
+        const superSenior = computeNewRegime(1_500_000, {}, { category: 'superSenior' });
+        expect(superSenior.totalTax).toBe(general.totalTax);
+    });
+
+    test('throws for an unknown category', () => {
+        expect(() => computeOldRegime(1_000_000, {}, { category: 'minor' }))
+            .toThrow(/Unsupported taxpayer category/);
+    });
+});
+
+// ─── Typed deductions: caps & regime eligibility ────────────────────────────
+describe('Deduction sections', () => {
+    const gross = 2_000_000;
+    const deductions = {
+        section80C: 200_000,
+        section80CCD1B: 80_000,
+        section80CCD2: 150_000,
+        section24b: 250_000,
+    };
+    const options = { basicSalary: 1_000_000 };
+    const line = (result, section) => result.deductionBreakdown.find((d) => d.section === section);
+
+    test('Old regime caps each section at its statutory limit', () => {
+        const result = computeOldRegime(gross, deductions, options);
+        expect(line(result, 'section80C')).toMatchObject({ claimed: 200_000, allowed: 150_000, capped: 50_000, disallowed: 0 });
+        expect(line(result, 'section80CCD1B')).toMatchObject({ allowed: 50_000, capped: 30_000 });
+        // 80CCD(2): 10% of basic under the old regime
+        expect(line(result, 'section80CCD2')).toMatchObject({ allowed: 100_000, capped: 50_000 });
+        expect(line(result, 'section24b')).toMatchObject({ allowed: 200_000, capped: 50_000 });
+        // 50K std + 1.5L + 50K + 1L + 2L
+        expect(result.totalDeductions).toBe(550_000);
+        expect(result.taxableIncome).toBe(1_450_000);
+    });
+
+    test('New regime allows only employer NPS (14% of basic) and disallows the rest', () => {
+        const result = computeNewRegime(gross, deductions, options);
+        expect(line(result, 'section80CCD2')).toMatchObject({ allowed: 140_000, capped: 10_000, disallowed: 0 });
+        expect(line(result, 'section80C')).toMatchObject({ allowed: 0, capped: 0, disallowed: 200_000 });
+        expect(line(result, 'section24b')).toMatchObject({ allowed: 0, disallowed: 250_000 });
+        expect(result.totalDeductions).toBe(75_000 + 140_000);
+    });
+
+    test('FY 2023-24 new regime limits employer NPS to 10% of basic', () => {
+        const result = computeNewRegime(gross, deductions, { ...options, financialYear: '2023-24' });
+        expect(line(result, 'section80CCD2').allowed).toBe(100_000);
+    });
+
+    test('Unclaimed sections are left out of the breakdown', () => {
+        const result = computeOldRegime(1_000_000, { section80C: 50_000 });
+        expect(result.deductionBreakdown.map((d) => d.section)).toEqual(['section80C']);
+    });
+
+    test('80TTA is for under-60s; seniors get 80TTB instead', () => {
+        const interest = { section80TTA: 30_000, section80TTB: 30_000 };
+        const general = computeOldRegime(1_000_000, interest);
+        expect(line(general, 'section80TTA')).toMatchObject({ allowed: 10_000, capped: 20_000 });
+        expect(line(general, 'section80TTB')).toMatchObject({ allowed: 0, disallowed: 30_000 });
+
+        const senior = computeOldRegime(1_000_000, interest, { age: 65 });
+        expect(line(senior, 'section80TTA')).toMatchObject({ allowed: 0, disallowed: 30_000 });
+        expect(line(senior, 'section80TTB')).toMatchObject({ allowed: 30_000, capped: 0 });
+    });
+
+    test('Parents\' 80D limit rises to ₹50,000 for senior-citizen parents', () => {
+        const young = computeOldRegime(1_000_000, { section80DParents: 60_000 });
+        expect(line(young, 'section80DParents').allowed).toBe(25_000);
+
+        const senior = computeOldRegime(1_000_000, { section80DParents: 60_000, parentsSenior: true });
+        expect(line(senior, 'section80DParents').allowed).toBe(50_000);
+    });
+});
+
+// ─── Multi-head income ──────────────────────────────────────────────────────
+describe('Income heads', () => {
+    test('A bare number is still treated as gross salary', () => {
+        expect(computeOldRegime(1_000_000, {}).totalTax)
+            .toBe(computeOldRegime({ salary: 1_000_000 }, {}).totalTax);
+    });
+
+    test('Interest income is added to slab income', () => {
+        // taxable = 10L - 50K std + 50K interest = 10L → 12.5K + 1L + 4% cess
+        const result = computeOldRegime({ salary: 1_000_000, otherSources: 50_000 }, {});
+        expect(result.slabIncome).toBe(1_000_000);
+        expect(result.totalTax).toBe(117_000);
+        expect(result.incomeHeads.otherSources).toBe(50_000);
+    });
+
+    test('Let-out property: 30% standard deduction and loss set-off per regime', () => {
+        // NAV = 3L - 20K = 2.8L; 30% = 84K; interest 3L → loss 1,04,000
+        const income = {
+            salary: 1_500_000,
+            houseProperty: { rentReceived: 300_000, municipalTaxes: 20_000, interestOnLoan: 300_000 },
+        };
+        const oldResult = computeOldRegime(income, {});
+        expect(oldResult.incomeHeads.houseProperty).toMatchObject({
+            annualValue: 280_000, standardDeduction: 84_000, computed: -104_000, net: -104_000, lossCarriedForward: 0,
+        });
+        expect(oldResult.slabIncome).toBe(1_500_000 - 50_000 - 104_000);
+
+        // New regime: no set-off against other heads
+        const newResult = computeNewRegime(income, {});
+        expect(newResult.incomeHeads.houseProperty).toMatchObject({ net: 0, lossCarriedForward: 104_000 });
+        expect(newResult.slabIncome).toBe(1_500_000 - 75_000);
+    });
+
+    test('House property loss shares the ₹2L set-off limit with self-occupied 24(b)', () => {
+        const income = {
+            salary: 1_500_000,
+            houseProperty: { rentReceived: 300_000, municipalTaxes: 20_000, interestOnLoan: 300_000 },
+        };
+        const result = computeOldRegime(income, { section24b: 150_000 });
+        expect(result.incomeHeads.houseProperty).toMatchObject({ net: -50_000, lossCarriedForward: 54_000 });
+    });
+
+    test('Equity STCG and LTCG are taxed at special rates outside the slabs', () => {
+        // slab income 14.25L → 1,25,000; STCG 1L @20% = 20K; LTCG 2.25L - 1.25L @12.5% = 12.5K
+        const result = computeNewRegime({
+            salary: 1_500_000,
+            capitalGains: { stcgEquity: 100_000, ltcgEquity: 225_000 },
+        });
+        expect(result.slabIncome).toBe(1_425_000);
+        expect(result.slabTax).toBe(125_000);
+        expect(result.incomeHeads.capitalGains).toMatchObject({ stcgTax: 20_000, ltcgTax: 12_500, ltcgTaxable: 100_000 });
+        expect(result.specialRateTax).toBe(32_500);
+        expect(result.taxableIncome).toBe(1_750_000);
+        expect(result.totalTax).toBe(Math.round(157_500 * 1.04));
+    });
+
+    test('FY 2023-24 uses the pre-Budget 2024 gains rates', () => {
+        const result = computeNewRegime(
+            { salary: 1_500_000, capitalGains: { stcgEquity: 100_000, ltcgEquity: 200_000 } },
+            {},
+            { financialYear: '2023-24' }
+        );
+        // STCG 15%; LTCG 10% above ₹1L
+        expect(result.incomeHeads.capitalGains).toMatchObject({ stcgTax: 15_000, ltcgTax: 10_000 });
+    });
+
+    test('Unused basic exemption is adjusted against gains; old-regime 87A offsets STCG tax', () => {
+        // No slab income: ₹2.5L exemption absorbs part of the STCG → 50K @20%
+        const result = computeOldRegime({ capitalGains: { stcgEquity: 300_000 } }, {});
+        expect(result.incomeHeads.capitalGains.stcgTaxable).toBe(50_000);
+        expect(result.rebate87A).toBe(10_000);
+        expect(result.totalTax).toBe(0);
+    });
+
+    test('Old-regime 87A on STCG stops at ₹12,500 and at the ₹5L limit', () => {
+        // ₹4L STCG: 1.5L @20% = 30,000, less the full 12,500 rebate, plus cess
+        const atCap = computeOldRegime({ capitalGains: { stcgEquity: 400_000 } }, {});
+        expect(atCap.rebate87A).toBe(12_500);
+        expect(atCap.totalTax).toBe(18_200);
+
+        // ₹5L is still eligible; ₹5,00,001 is not (no marginal relief)
+        const atLimit = computeOldRegime({ capitalGains: { stcgEquity: 500_000 } }, {});
+        expect(atLimit.rebate87A).toBe(12_500);
+        const aboveLimit = computeOldRegime({ capitalGains: { stcgEquity: 500_001 } }, {});
+        expect(aboveLimit.rebate87A).toBe(0);
+    });
+
+    test('Old-regime 87A does not offset LTCG tax', () => {
+        // ₹4.5L LTCG: 3.25L above the ₹1.25L exemption, 2.5L absorbed → 75K @12.5%
+        const result = computeOldRegime({ capitalGains: { ltcgEquity: 450_000 } }, {});
+        expect(result.incomeHeads.capitalGains.ltcgTax).toBe(9_375);
+        expect(result.rebate87A).toBe(0);
+        expect(result.totalTax).toBe(9_750);
+    });
+
+    test('New-regime 87A still offsets slab tax only', () => {
+        // ₹5L salary + ₹1L STCG: slab tax on 4.25L is 6,250; the 20K STCG tax stays
+        const result = computeNewRegime({ salary: 500_000, capitalGains: { stcgEquity: 100_000 } });
+        expect(result.rebate87A).toBe(6_250);
+        expect(result.totalTax).toBe(20_800);
+    });
+});
+
+// ─── Computation trace ──────────────────────────────────────────────────────
+describe('Computation trace', () => {
+    test('lists each slab slice with its amount, rate and tax', () => {
+        const { trace } = computeNewRegime(1_500_000);
+        expect(trace.filter((t) => t.step === 'slab')).toEqual([
+            { step: 'slab', label: '₹0 – ₹3,00,000 @ 0%', amount: 300_000, rate: 0, tax: 0 },
+            { step: 'slab', label: '₹3,00,000 – ₹7,00,000 @ 5%', amount: 400_000, rate: 0.05, tax: 20_000 },
+            { step: 'slab', label: '₹7,00,000 – ₹10,00,000 @ 10%', amount: 300_000, rate: 0.1, tax: 30_000 },
+            { step: 'slab', label: '₹10,00,000 – ₹12,00,000 @ 15%', amount: 200_000, rate: 0.15, tax: 30_000 },
+            { step: 'slab', label: '₹12,00,000 – ₹15,00,000 @ 20%', amount: 225_000, rate: 0.2, tax: 45_000 },
+        ]);
+    });
+
+    test('runs in order: income, deductions, slabs, rebate, cess, total', () => {
+        const { trace } = computeOldRegime(700_000, { section80C: 150_000 });
+        expect(trace.map((t) => t.step)).toEqual([
+            'income', 'deduction', 'deduction', 'slabIncome', 'slab', 'slab', 'rebate', 'total',
+        ]);
+        expect(trace.find((t) => t.section === 'section80C').amount).toBe(-150_000);
+        expect(trace.find((t) => t.step === 'rebate').tax).toBe(-12_500);
+        expect(trace.at(-1).tax).toBe(0);
+    });
+
+    test('slab, special-rate and tax steps add up to the total', () => {
+        const result = computeOldRegime(
+            { salary: 6_000_000, capitalGains: { stcgEquity: 200_000 } },
+            { section80C: 150_000 }
+        );
+        const steps = result.trace.filter((t) => t.tax !== undefined && t.step !== 'total');
+        expect(steps.map((t) => t.step)).toEqual(expect.arrayContaining(['specialRate', 'surcharge', 'cess']));
+        const sum = steps.reduce((total, t) => total + t.tax, 0);
+        expect(Math.abs(sum - result.totalTax)).toBeLessThanOrEqual(1);
+        expect(result.trace.at(-1)).toEqual({ step: 'total', label: 'Total tax payable', tax: result.totalTax });
+    });
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+const { computeTaxCurve, MAX_CURVE_POINTS } = require('../src/taxCurve');
+
+describe('computeTaxCurve', () => {
+    test('samples every step and always ends on `to`', () => {
+        const { points } = computeTaxCurve({ from: 500_000, to: 1_020_000, step: 100_000 });
+        expect(points.map((p) => p.salary)).toEqual(
+            [500_000, 600_000, 700_000, 800_000, 900_000, 1_000_000, 1_020_000]
+        );
+    });
+
+    test('reports tax, effective and marginal rate per regime', () => {
+        const { points } = computeTaxCurve({ from: 1_500_000, to: 1_500_000, step: 50_000 });
+        const [p] = points;
+        expect(p.old).toEqual({ totalTax: 257_400, effectiveRate: 17.16, marginalRate: 31.2 });
+        expect(p.new).toEqual({ totalTax: 130_000, effectiveRate: 8.67, marginalRate: 20.8 });
+        expect(p.betterRegime).toBe('new');
+        expect(p.savings).toBe(127_400);
+    });
+
+    test('the Old Regime 87A cliff shows up as a marginal-rate spike', () => {
+        const { points } = computeTaxCurve({ from: 500_000, to: 600_000, step: 50_000 });
+        // ₹5.5L salary → ₹5L taxable; the next ₹1,000 costs the whole rebate
+        expect(points[1].old.marginalRate).toBeGreaterThan(100);
+        expect(points[2].old.marginalRate).toBeCloseTo(20.8, 1);
+    });
+
+    test('finds crossovers to the rupee', () => {
+        const { crossovers } = computeTaxCurve(
+            { from: 500_000, to: 3_000_000, step: 100_000 },
+            { section80C: 150_000, hra: 200_000 }
+        );
+        expect(crossovers).toEqual([
+            { salary: 775_001, from: 'equal', to: 'old' },
+            { salary: 1_125_013, from: 'old', to: 'new' },
+        ]);
+    });
+
+    test('honours the financial year', () => {
+        const curve = computeTaxCurve({ from: 1_200_000, to: 1_200_000, step: 1_000 }, {}, { financialYear: '2025-26' });
+        expect(curve.financialYear).toBe('2025-26');
+        expect(curve.points[0].new.totalTax).toBe(0);
+    });
+
+    test('rejects ranges with too many points', () => {
+        expect(() => computeTaxCurve({ from: 0, to: MAX_CURVE_POINTS * 1_000, step: 1_000 }))
+            .toThrow(/more than/);
+    });
+});
@@ -0,0 +1,252 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const local = require('../src/vectorStores/local');
+
+let dir;
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vectors-'));
+    process.env.LOCAL_VECTOR_DIR = dir;
+});
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.LOCAL_VECTOR_DIR;
+    delete process.env.VECTOR_STORE;
+});
+
+describe('local vector store', () => {
+    const batch = {
+        ids: ['a', 'b', 'c'],
+        embeddings: [[1, 0], [0.8, 0.6], [0, 1]],
+        documents: ['about 80C', 'about 80D', 'about HRA'],
+        metadatas: [{ file: 'x.pdf' }, { file: 'y.pdf' }, { file: 'z.pdf' }],
+    };
+
+    test('returns nearest neighbours by cosine distance, in Chroma\'s shape', async () => {
+        const collection = await local.openCollection('docs');
+        await collection.upsert(batch);
+
+        const result = await collection.query({ queryEmbeddings: [[1, 0]], nResults: 2 });
+        expect(result.ids).toEqual([['a', 'b']]);
+        expect(result.documents[0]).toEqual(['about 80C', 'about 80D']);
+        expect(result.metadatas[0][1]).toEqual({ file: 'y.pdf' });
+        expect(result.distances[0][0]).toBeCloseTo(0, 6);
+        expect(result.distances[0][1]).toBeCloseTo(0.2, 6);
+    });
+
+    test('upsert replaces records with the same id', async () => {
+        const collection = await local.openCollection('docs');
+        await collection.upsert(batch);
+        await collection.upsert({ ids: ['c'], embeddings: [[1, 0]], documents: ['new HRA'], metadatas: [{}] });
+
+        expect(await collection.count()).toBe(3);
+        const result = await collection.query({ queryEmbeddings: [[1, 0]], nResults: 1 });
+        expect(result.distances[0][0]).toBeCloseTo(0, 6);
+    });
+
+    test('persists to disk and reloads', async () => {
+        await (await local.openCollection('docs')).upsert(batch);
+        expect(fs.existsSync(path.join(dir, 'docs.json'))).toBe(true);
+
+        const reopened = await local.openCollection('docs');
+        expect(await reopened.count()).toBe(3);
+    });
+
+    test('gets records by id and deletes them', async () => {
+        const collection = await local.openCollection('docs');
+        await collection.upsert(batch);
+
+        const found = await collection.get({ ids: ['c', 'a', 'missing'], include: ['embeddings'] });
+        expect(found.ids).toEqual(['c', 'a']);
+        expect(found.embeddings).toEqual([[0, 1], [1, 0]]);
+        expect((await collection.get()).embeddings).toBeNull();
+
+        await collection.delete({ ids: ['a', 'missing'] });
+        expect(await collection.count()).toBe(2);
+        expect((await collection.get()).ids).toEqual(['b', 'c']);
+    });
+
+    test('sees writes from another process and keeps them when writing', async () => {
+        const server = await local.openCollection('docs');
+        const ingest = await local.openCollection('docs'); // e.g. npm run ingest, alongside the server
+        expect(await server.count()).toBe(0);
+
+        await ingest.upsert({ ids: ['a'], embeddings: [[1, 0]], documents: ['about 80C'], metadatas: [{}] });
+        expect(await server.count()).toBe(1);
+        expect((await server.query({ queryEmbeddings: [[1, 0]], nResults: 1 })).ids).toEqual([['a']]);
+
+        await server.upsert({ ids: ['b'], embeddings: [[0, 1]], documents: ['about HRA'], metadatas: [{}] });
+        await ingest.delete({ ids: ['missing'] });
+        const saved = JSON.parse(fs.readFileSync(path.join(dir, 'docs.json'), 'utf8'));
+        expect(saved.records.map((r) => r.id)).toEqual(['a', 'b']);
+        expect(await ingest.count()).toBe(2);
+    });
+
+    test('zero vectors are maximally distant rather than NaN', () => {
+        expect(local.cosineDistance([0, 0], [1, 0])).toBe(1);
+    });
+});
+
+describe('vectorStore backend selection', () => {
+    afterEach(() => {
+        delete process.env.EMBEDDING_PROVIDER;
+        delete process.env.HASHED_EMBEDDING_DIM;
+    });
+
+    function loadStore(env) {
+        Object.assign(process.env, env);
+        jest.resetModules();
+        return require('../src/vectorStore');
+    }
+
+    const texts = ['HRA exemption for rent paid', 'Section 80C covers PPF and ELSS'];
+    async function ingest(store) {
+        const { embedText } = store;
+        await store.upsertChunks({
+            ids: ['a', 'b'],
+            embeddings: [await embedText(texts[0]), await embedText(texts[1])],
+            documents: texts,
+            metadatas: [{}, { page: 2 }],
+        });
+    }
+
+    test('VECTOR_STORE=local serves queries with no server', async () => {
+        const store = loadStore({ VECTOR_STORE: 'local', EMBEDDING_PROVIDER: 'hashed' });
+        expect(store.describeStore()).toBe(`local (${dir})`);
+
+        await ingest(store);
+        const chunks = await store.queryTopK('how much can I put in PPF under 80C?', 1);
+        expect(chunks).toEqual([{
+            id: 'b',
+            text: texts[1],
+            metadata: { page: 2 },
+            distance: expect.any(Number),
+            scores: { vector: expect.any(Number), lexical: expect.any(Number), fused: expect.any(Number) },
+        }]);
+    });
+
+    test('a section-number query ranks the exact section first', async () => {
+        const store = loadStore({ VECTOR_STORE: 'local', EMBEDDING_PROVIDER: 'hashed' });
+        const docs = {
+            generic: 'Deduction limit for contributions to a pension scheme',
+            section: 'Section 80CCD(1B) allows an additional deduction of Rs 50,000',
+            other: 'Section 80CCD(2) covers employer contributions',
+        };
+        const ids = Object.keys(docs);
+        await store.upsertChunks({
+            ids,
+            embeddings: await Promise.all(ids.map((id) => store.embedText(docs[id]))),
+            documents: Object.values(docs),
+            metadatas: ids.map(() => ({})),
+        });
+
+        const chunks = await store.queryTopK('80CCD(1B) limit', 3);
+        expect(chunks[0].id).toBe('section');
+        expect(chunks[0].scores.lexical).toBeGreaterThan(chunks.find((c) => c.id === 'other').scores.lexical);
+        for (const c of chunks) expect(c.scores.vector).toBeCloseTo(1 - c.distance, 4);
+    });
+
+    test('chunks found only by keyword get a vector score', async () => {
+        const store = loadStore({ VECTOR_STORE: 'local', EMBEDDING_PROVIDER: 'hashed', HASHED_EMBEDDING_DIM: '64' });
+        // 25 vector-near decoys push the keyword hit out of the vector candidates
+        const ids = [...Array(25).keys()].map((i) => `decoy${i}`).concat('hit');
+        await store.upsertChunks({
+            ids,
+            embeddings: await Promise.all(ids.map((id) => store.embedText(id === 'hit' ? 'unrelated words' : 'rebate'))),
+            documents: ids.map((id) => (id === 'hit' ? 'Rebate under section 87A' : 'rebate')),
+            metadatas: ids.map(() => ({})),
+        });
+
+        const chunks = await store.queryTopK('rebate 87A', 25);
+        const hit = chunks.find((c) => c.id === 'hit');
+        expect(hit.scores.lexical).toBeGreaterThan(0);
+        expect(hit.scores.vector).not.toBeNull();
+        expect(hit.distance).toBeCloseTo(1 - hit.scores.vector, 4);
+    });
+
+    test('records the embedding provider in collection metadata', async () => {
+        const store = loadStore({ VECTOR_STORE: 'local', EMBEDDING_PROVIDER: 'hashed', HASHED_EMBEDDING_DIM: '64' });
+        const collection = await store.getCollection();
+        expect(collection.metadata).toMatchObject({
+            embedding_provider: 'hashed/bow-v1',
+            embedding_dimension: 64,
+        });
+    });
+
+    test('refuses a populated collection built with another embedder', async () => {
+        await ingest(loadStore({ VECTOR_STORE: 'local', EMBEDDING_PROVIDER: 'hashed', HASHED_EMBEDDING_DIM: '64' }));
+
+        const store = loadStore({ HASHED_EMBEDDING_DIM: '128' });
+        await expect(store.queryTopK('80C')).rejects.toThrow(
+            /embedded with hashed\/bow-v1 \(64 dimensions\).*Re-ingest/
+        );
+    });
+
+    test('an empty collection adopts the current embedder', async () => {
+        const file = path.join(dir, 'tax_docs.json');
+        fs.writeFileSync(file, JSON.stringify({
+            name: 'tax_docs',
+            metadata: { embedding_provider: 'hashed/bow-v1', embedding_dimension: 64 },
+            records: [],
+        }));
+
+        const store = loadStore({ VECTOR_STORE: 'local', EMBEDDING_PROVIDER: 'hashed', HASHED_EMBEDDING_DIM: '128' });
+        const collection = await store.getCollection();
+        expect(collection.metadata.embedding_dimension).toBe(128);
+        const reopened = JSON.parse(fs.readFileSync(file, 'utf8'));
+        expect(reopened.metadata.embedding_dimension).toBe(128);
+    });
+
+    test('adopting the embedder leaves Chroma\'s index parameters out of modify', async () => {
+        const collection = {
+            name: 'tax_docs',
+            metadata: { 'hnsw:space': 'cosine' }, // created before providers were recorded
+            count: async () => 0,
+            modify: jest.fn(async () => {}),
+        };
+        jest.resetModules();
+        jest.doMock('../src/vectorStores/chroma', () => ({ openCollection: async () => collection }));
+        Object.assign(process.env, { VECTOR_STORE: 'chroma', EMBEDDING_PROVIDER: 'hashed', HASHED_EMBEDDING_DIM: '64' });
+        const store = require('../src/vectorStore');
+
+        await store.getCollection();
+        expect(collection.modify).toHaveBeenCalledWith({
+            metadata: { embedding_provider: 'hashed/bow-v1', embedding_dimension: 64 },
+        });
+        expect(collection.metadata).toEqual({
+            'hnsw:space': 'cosine', embedding_provider: 'hashed/bow-v1', embedding_dimension: 64,
+        });
+        jest.dontMock('../src/vectorStores/chroma');
+    });
+
+    test('rejects vectors of the wrong length', async () => {
+        const store = loadStore({ VECTOR_STORE: 'local', EMBEDDING_PROVIDER: 'hashed', HASHED_EMBEDDING_DIM: '64' });
+        await expect(store.upsertChunks({
+            ids: ['a'], embeddings: [[1, 0]], documents: ['x'], metadatas: [{}],
+        })).rejects.toThrow(/"a" has 2 dimensions; hashed\/bow-v1 produces 64/);
+    });
+
+    test('lists, fetches and deletes chunks for re-ingestion', async () => {
+        const store = loadStore({ VECTOR_STORE: 'local', EMBEDDING_PROVIDER: 'hashed' });
+        await ingest(store);
+
+        expect(await store.listChunks()).toEqual({ ids: ['a', 'b'], metadatas: [{}, { page: 2 }] });
+        const vectors = await store.getEmbeddings(['b', 'gone']);
+        expect([...vectors.keys()]).toEqual(['b']);
+        expect(vectors.get('b')).toEqual(await store.embedText(texts[1]));
+
+        await store.deleteChunks(['b']);
+        expect((await store.listChunks()).ids).toEqual(['a']);
+        // The keyword index forgets deleted chunks
+        const chunks = await store.queryTopK('PPF 80C', 5);
+        expect(chunks.map((c) => c.id)).toEqual(['a']);
+    });
+
+    test('rejects an unknown backend', () => {
+        const store = loadStore({ VECTOR_STORE: 'pinecone' });
+        expect(() => store.describeStore()).toThrow(/Unknown VECTOR_STORE "pinecone"/);
+    });
+});